@@ -0,0 +1,75 @@
+//
+//  ExtensionImportPayload.swift
+//  PublicationManagerCore
+//
+//  Lossless import payload sent by the browser extensions as
+//  `imbib://import?payload=...&encoding=...`.
+//
+
+import Foundation
+
+/// The full metadata of one or more papers from the browser extensions.
+///
+/// `payload` is a base64url-encoded JSON document, `{"version": 1, "items": [...]}`,
+/// raw-DEFLATE compressed before encoding when `encoding` is `deflate` (the
+/// default) and plain JSON when it is `json`. Each item is the extension's
+/// metadata object, in the same shape Safari sends `SafariImportHandler`
+/// through native messaging, so nothing is truncated or flattened to strings.
+public struct ExtensionImportPayload: Sendable {
+
+    /// Newest payload version this build understands
+    public static let currentVersion = 1
+
+    public let version: Int
+    public let items: [[String: AnyCodable]]
+
+    /// Items as the dictionaries `SafariImportHandler.processImportItem` takes
+    public var importItems: [[String: Any]] {
+        items.map { $0.mapValues(\.value) }
+    }
+
+    public init(payload: String, encoding: String? = nil) throws {
+        guard var data = Self.base64URLDecoded(payload) else {
+            throw AutomationError.invalidParameter("payload", "not base64url")
+        }
+
+        switch encoding ?? "deflate" {
+        case "deflate":
+            // Apple's zlib algorithm is raw DEFLATE, what CompressionStream('deflate-raw') writes
+            guard let inflated = try? (data as NSData).decompressed(using: .zlib) as Data else {
+                throw AutomationError.invalidParameter("payload", "not deflate-compressed")
+            }
+            data = inflated
+        case "json":
+            break
+        case let other:
+            throw AutomationError.invalidParameter("encoding", other)
+        }
+
+        guard let document = try? JSONDecoder().decode(Document.self, from: data) else {
+            throw AutomationError.invalidParameter("payload", "not an import document")
+        }
+        guard document.version <= Self.currentVersion else {
+            throw AutomationError.invalidParameter("payload", "unsupported version \(document.version)")
+        }
+        guard !document.items.isEmpty else {
+            throw AutomationError.invalidParameter("payload", "no items")
+        }
+
+        self.version = document.version
+        self.items = document.items
+    }
+
+    private struct Document: Decodable {
+        let version: Int
+        let items: [[String: AnyCodable]]
+    }
+
+    static func base64URLDecoded(_ string: String) -> Data? {
+        var base64 = string
+            .replacingOccurrences(of: "-", with: "+")
+            .replacingOccurrences(of: "_", with: "/")
+        base64 += String(repeating: "=", count: (4 - base64.count % 4) % 4)
+        return Data(base64Encoded: base64)
+    }
+}
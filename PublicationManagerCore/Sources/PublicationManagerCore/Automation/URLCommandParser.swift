@@ -26,6 +26,9 @@ public enum AutomationCommand: Sendable {
     /// Import from browser extension with metadata
     case importFromExtension(item: [String: String])
 
+    /// Import the lossless payload current browser extensions send
+    case importPayloadFromExtension(payload: ExtensionImportPayload)
+
     /// Export library to specified format
     case exportLibrary(libraryID: UUID?, format: ExportFormat)
 
@@ -344,6 +347,13 @@ public struct URLCommandParser {
     }
 
     private func parseImportCommand(_ params: [String: String]) throws -> AutomationCommand {
+        // Full metadata from the browser extension (versioned, compressed JSON)
+        if let payload = params["payload"] {
+            return .importPayloadFromExtension(
+                payload: try ExtensionImportPayload(payload: payload, encoding: params["encoding"])
+            )
+        }
+
         // Check if this is a browser extension import (has sourceType parameter)
         if params["sourceType"] != nil {
             // Pass all parameters as the import item
@@ -111,16 +111,7 @@ public actor URLSchemeHandler {
 
         case .importFromExtension(let item):
             NSLog("[DEBUG] importFromExtension case reached")
-            // Convert [String: String] to [String: Any] for SafariImportHandler
-            var importItem: [String: Any] = [:]
-            for (key, value) in item {
-                if key == "authors" {
-                    // Authors are pipe-separated in the URL
-                    importItem["authors"] = value.split(separator: "|").map(String.init)
-                } else {
-                    importItem[key] = value
-                }
-            }
+            let importItem = extensionImportItem(from: item)
             NSLog("[DEBUG] Import item: %@", importItem.description)
             do {
                 try await SafariImportHandler.shared.processImportItem(importItem)
@@ -131,6 +122,10 @@ public actor URLSchemeHandler {
                 return .failure(command: "importFromExtension", error: error.localizedDescription)
             }
 
+        case .importPayloadFromExtension(let payload):
+            let (imported, failures) = await importExtensionItems(payload.importItems)
+            return Self.extensionImportResult(command: "importPayloadFromExtension", imported: imported, failures: failures)
+
         case .exportLibrary(_, let format):
             await postNotification(.exportBibTeX, userInfo: ["format": format.rawValue])
             return .success(command: "exportLibrary")
@@ -438,6 +433,99 @@ public actor URLSchemeHandler {
         return .success(command: "app", result: ["action": AnyCodable(action.rawValue)])
     }
 
+    // MARK: - Extension Imports
+
+    /// An extension item that could not be imported.
+    struct ExtensionImportFailure: Equatable, Sendable {
+        /// Position of the item in the batch
+        let index: Int
+        let title: String?
+        let error: String
+    }
+
+    /// Import each item, recording the ones that failed rather than stopping.
+    private func importExtensionItems(_ items: [[String: Any]]) async -> (imported: Int, failures: [ExtensionImportFailure]) {
+        var imported = 0
+        var failures: [ExtensionImportFailure] = []
+        for (index, item) in items.enumerated() {
+            do {
+                try await SafariImportHandler.shared.processImportItem(item)
+                imported += 1
+            } catch {
+                automationLogger.error("Extension import item failed: \(error.localizedDescription)")
+                failures.append(ExtensionImportFailure(
+                    index: index,
+                    title: item["title"] as? String,
+                    error: error.localizedDescription
+                ))
+            }
+        }
+        return (imported, failures)
+    }
+
+    /// The result of an extension batch import.
+    ///
+    /// Succeeds only when every item was imported. Otherwise the result is a
+    /// failure that still reports how many items were imported and lists the
+    /// failed ones. A URL-scheme launch sends nothing back to the extension,
+    /// so this is for the automation log and callers of `execute(_:)`.
+    static func extensionImportResult(
+        command: String,
+        imported: Int,
+        failures: [ExtensionImportFailure]
+    ) -> AutomationResult {
+        let failedItems: [[String: Any]] = failures.map { failure in
+            [
+                "index": failure.index,
+                "title": failure.title ?? NSNull(),
+                "error": failure.error
+            ]
+        }
+        let result: [String: AnyCodable] = [
+            "imported": AnyCodable(imported),
+            "failed": AnyCodable(failures.count),
+            "failedItems": AnyCodable(failedItems)
+        ]
+
+        if failures.isEmpty && imported > 0 {
+            return .success(command: command, result: result)
+        }
+
+        let error: String
+        if imported == 0 && failures.isEmpty {
+            error = "No items to import"
+        } else if imported == 0 {
+            error = "None of the \(failures.count) items could be imported"
+        } else {
+            error = "\(failures.count) of \(imported + failures.count) items could not be imported"
+        }
+        return AutomationResult(success: false, command: command, error: error, result: result)
+    }
+
+    /// Convert URL query parameters from the browser extension to the
+    /// item dictionary `SafariImportHandler` expects.
+    private func extensionImportItem(from item: [String: String]) -> [String: Any] {
+        var importItem: [String: Any] = [:]
+        for (key, value) in item {
+            if key == "authors" {
+                // Authors are pipe-separated in the URL
+                importItem["authors"] = value.split(separator: "|").map(String.init)
+            } else if key == "authorRecords" {
+                continue
+            } else {
+                importItem[key] = value
+            }
+        }
+
+        // Structured author records (JSON) supersede the plain name list
+        if let json = item["authorRecords"]?.data(using: .utf8),
+           let records = try? JSONSerialization.jsonObject(with: json) as? [[String: Any]],
+           !records.isEmpty {
+            importItem["authors"] = records
+        }
+        return importItem
+    }
+
     // MARK: - Notification Posting
 
     @MainActor
@@ -0,0 +1,75 @@
+//
+//  ExtensionImportFiling.swift
+//  PublicationManagerCore
+//
+//  Where and how the browser extensions ask for an imported paper to be filed.
+//
+
+import Foundation
+
+/// Tags, collection, note and read/flagged state chosen in the extension popup.
+///
+/// These travel in the import item next to the bibliographic fields:
+/// `tags` (a list, or comma-separated in URL parameters), `collectionId` for an
+/// existing collection, `collectionName` for a new one, `note`, `isRead` and
+/// `isFlagged`. Values arrive as JSON types from native messaging and import
+/// payloads, and as strings from URL parameters.
+public struct ExtensionImportFiling: Equatable, Sendable {
+
+    public var tags: [String] = []
+    public var collectionID: UUID?
+    public var collectionName: String?
+    public var note: String?
+    /// `nil` leaves the app's default
+    public var isRead: Bool?
+    public var isStarred: Bool?
+
+    public init(item: [String: Any]) {
+        tags = Self.tags(from: item["tags"])
+        collectionID = Self.string(from: item["collectionId"]).flatMap { UUID(uuidString: $0) }
+        // An existing collection wins over a name for a new one
+        collectionName = collectionID == nil ? Self.string(from: item["collectionName"]) : nil
+        note = Self.string(from: item["note"])
+        isRead = Self.bool(from: item["isRead"])
+        isStarred = Self.bool(from: item["isFlagged"])
+    }
+
+    /// Trimmed, non-empty tag names, without case-insensitive repeats.
+    static func tags(from value: Any?) -> [String] {
+        let names: [String]
+        if let list = value as? [Any] {
+            names = list.compactMap { $0 as? String }
+        } else if let string = value as? String {
+            names = string.components(separatedBy: ",")
+        } else {
+            return []
+        }
+
+        var seen = Set<String>()
+        return names
+            .map { $0.trimmingCharacters(in: .whitespacesAndNewlines) }
+            .filter { !$0.isEmpty && seen.insert($0.lowercased()).inserted }
+    }
+
+    static func string(from value: Any?) -> String? {
+        guard let string = (value as? String)?.trimmingCharacters(in: .whitespacesAndNewlines),
+              !string.isEmpty else {
+            return nil
+        }
+        return string
+    }
+
+    static func bool(from value: Any?) -> Bool? {
+        if let bool = value as? Bool {
+            return bool
+        }
+        switch (value as? String)?.lowercased() {
+        case "true", "1", "yes":
+            return true
+        case "false", "0", "no":
+            return false
+        default:
+            return nil
+        }
+    }
+}
@@ -46,6 +46,7 @@ public actor SafariImportHandler {
         static let smartSearchQueue = "safariSmartSearchQueue"
         static let knownIdentifiers = "knownIdentifiers"
         static let availableLibraries = "availableLibraries"
+        static let availableCollections = "availableCollections"
     }
 
     // MARK: - Initialization
@@ -305,18 +306,44 @@ public actor SafariImportHandler {
             fields["title"] = title
         }
 
-        if let authors = item["authors"] as? [String], !authors.isEmpty {
-            fields["author"] = authors.joined(separator: " and ")
+        if let author = Self.bibTeXAuthorField(from: item["authors"]) {
+            fields["author"] = author
         }
 
         if let year = item["year"] as? String, !year.isEmpty {
             fields["year"] = year
         }
 
+        if let month = Self.bibTeXMonth(from: item["month"]) {
+            fields["month"] = month
+        }
+
+        // Partial ISO 8601 dates; the online (first published) date is kept
+        // separately from the print date
+        if let date = item["date"] as? String, !date.isEmpty {
+            fields["date"] = date
+        }
+
+        if let onlineDate = item["onlineDate"] as? String, !onlineDate.isEmpty {
+            fields["onlinedate"] = onlineDate
+        }
+
         if let journal = item["journal"] as? String, !journal.isEmpty {
             fields["journal"] = journal
         }
 
+        let entryType = Self.bibTeXEntryType(from: item["entryType"])
+
+        if let booktitle = item["booktitle"] as? String, !booktitle.isEmpty {
+            fields["booktitle"] = booktitle
+        }
+
+        // Theses name the awarding school, reports the issuing institution
+        if let institution = item["institution"] as? String, !institution.isEmpty {
+            let isThesis = entryType == "phdthesis" || entryType == "mastersthesis"
+            fields[isThesis ? "school" : "institution"] = institution
+        }
+
         if let volume = item["volume"] as? String, !volume.isEmpty {
             fields["volume"] = volume
         }
@@ -325,6 +352,19 @@ public actor SafariImportHandler {
             fields["pages"] = pages
         }
 
+        // Remaining bibliographic fields; list values (ISSNs, keywords) arrive
+        // as arrays from Safari and comma-separated in import URLs
+        let extraFields = [
+            ("issue", "number"), ("articleNumber", "eid"), ("issn", "issn"), ("isbn", "isbn"),
+            ("publisher", "publisher"), ("keywords", "keywords"), ("language", "language"),
+            ("license", "license")
+        ]
+        for (key, field) in extraFields {
+            if let value = Self.fieldValue(from: item[key]) {
+                fields[field] = value
+            }
+        }
+
         if let doi = item["doi"] as? String, !doi.isEmpty {
             fields["doi"] = doi
         }
@@ -345,17 +385,149 @@ public actor SafariImportHandler {
         // Generate cite key using fields dictionary
         let citeKey = CiteKeyGenerator().generate(from: fields)
 
-        // Determine entry type (article by default)
-        let entryType = "article"
-
         let entry = BibTeXEntry(citeKey: citeKey, entryType: entryType, fields: fields)
         try await createPublication(from: entry, item: item)
     }
 
+    // MARK: - Authors
+
+    /// Build a BibTeX `author` field from the extension's authors, which are either
+    /// display strings or structured records (`given`, `family`, `particle`,
+    /// `suffix`, `literal`).
+    ///
+    /// Records are written as "von Last, Jr, First" so the family name survives
+    /// BibTeX name parsing; collaboration names are braced to keep them whole.
+    static func bibTeXAuthorField(from authors: Any?) -> String? {
+        let names: [String]
+        if let records = authors as? [[String: Any]] {
+            names = records.compactMap(bibTeXName(from:))
+        } else if let strings = authors as? [String] {
+            names = strings.filter { !$0.isEmpty }
+        } else {
+            return nil
+        }
+        return names.isEmpty ? nil : names.joined(separator: " and ")
+    }
+
+    private static func bibTeXName(from record: [String: Any]) -> String? {
+        func part(_ key: String) -> String? {
+            guard let value = record[key] as? String, !value.isEmpty else { return nil }
+            return value
+        }
+
+        if let literal = part("literal") {
+            return "{\(literal)}"
+        }
+        guard let family = part("family") else { return nil }
+
+        let last = [part("particle"), family].compactMap { $0 }.joined(separator: " ")
+        return [last, part("suffix"), part("given")].compactMap { $0 }.joined(separator: ", ")
+    }
+
+    /// A non-empty field value from a string or a list of strings.
+    static func fieldValue(from value: Any?) -> String? {
+        if let string = value as? String {
+            return string.isEmpty ? nil : string
+        }
+        if let list = value as? [String] {
+            let joined = list.filter { !$0.isEmpty }.joined(separator: ", ")
+            return joined.isEmpty ? nil : joined
+        }
+        return nil
+    }
+
+    // MARK: - Entry Types
+
+    /// Entry types the extension infers from page metadata.
+    private static let supportedEntryTypes: Set<String> = [
+        "article", "inproceedings", "incollection", "book",
+        "phdthesis", "mastersthesis", "techreport", "dataset", "software", "misc"
+    ]
+
+    /// The extension's inferred entry type, or "article" when it sent none
+    /// or one we don't recognise.
+    static func bibTeXEntryType(from value: Any?) -> String {
+        guard let type = (value as? String)?.lowercased(),
+              supportedEntryTypes.contains(type) else {
+            return "article"
+        }
+        return type
+    }
+
+    // MARK: - Dates
+
+    private static let monthAbbreviations = [
+        "jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"
+    ]
+
+    /// BibTeX month abbreviation from the extension's month number (1-12),
+    /// sent as a number by Safari and as a string in import URLs.
+    static func bibTeXMonth(from value: Any?) -> String? {
+        let number: Int?
+        if let int = value as? Int {
+            number = int
+        } else if let string = value as? String {
+            number = Int(string)
+        } else {
+            number = nil
+        }
+        guard let month = number, (1...12).contains(month) else { return nil }
+        return monthAbbreviations[month - 1]
+    }
+
+    // MARK: - Edits
+
+    /// Fields the extension's popup can edit, by item key and BibTeX field.
+    private static let editableFields = [
+        ("title", "title"), ("journal", "journal"), ("volume", "volume"),
+        ("pages", "pages"), ("doi", "doi"), ("abstract", "abstract")
+    ]
+
+    /// The record for an import with the fields the user edited in the
+    /// extension's popup laid over it, so ADS, arXiv and DOI imports keep the
+    /// corrections instead of the fetched values. The extension names the
+    /// edited fields in `editedFields`; ones the user emptied are removed.
+    static func applyingEdits(from item: [String: Any], to entry: BibTeXEntry) -> BibTeXEntry {
+        let edited = editedFieldNames(from: item["editedFields"])
+        guard !edited.isEmpty else { return entry }
+
+        var entry = entry
+        for (key, field) in editableFields where edited.contains(key) {
+            entry.fields[field] = fieldValue(from: item[key])
+        }
+        if edited.contains("authors") {
+            entry.fields["author"] = bibTeXAuthorField(from: item["authors"])
+        }
+        if edited.contains("year") {
+            // A different year makes the fetched month and date meaningless
+            entry.fields["year"] = fieldValue(from: item["year"]) ?? (item["year"] as? Int).map(String.init)
+            entry.fields["month"] = bibTeXMonth(from: item["month"])
+            entry.fields["date"] = fieldValue(from: item["date"])
+        }
+        return entry
+    }
+
+    /// Edited field names, sent as a list by Safari and in payloads and
+    /// comma-separated in import URLs.
+    static func editedFieldNames(from value: Any?) -> Set<String> {
+        let names = (value as? [String]) ?? (value as? String)?.components(separatedBy: ",") ?? []
+        return Set(names.map { $0.trimmingCharacters(in: .whitespaces) }.filter { !$0.isEmpty })
+    }
+
+    // MARK: - Filing
+
+    /// Note field for an imported paper: the user's note after any note the
+    /// fetched record already had.
+    static func noteField(_ note: String, existing: String?) -> String {
+        guard let existing = existing, !existing.isEmpty else { return note }
+        return "\(existing)\n\n\(note)"
+    }
+
     // MARK: - Publication Creation
 
     private func createPublication(from entry: BibTeXEntry, item: [String: Any]) async throws {
         let repository = PublicationRepository()
+        let filing = ExtensionImportFiling(item: item)
 
         // Get target library if specified
         let libraryID = (item["libraryId"] as? String).flatMap { UUID(uuidString: $0) }
@@ -364,8 +536,14 @@ public actor SafariImportHandler {
         // Note: Duplicate detection is handled by the extension via known identifiers cache.
         // If needed, additional deduplication can be done here using findExistingByIdentifiers.
 
+        var entry = Self.applyingEdits(from: item, to: entry)
+        if let note = filing.note {
+            entry.fields["note"] = Self.noteField(note, existing: entry.fields["note"])
+        }
+
         // Create publication
         let publication = await repository.create(from: entry, in: library, processLinkedFiles: false)
+        await file(publication, as: filing, in: library, repository: repository)
 
         // Update known identifiers cache for future duplicate detection
         updateKnownIdentifiers(from: entry)
@@ -373,6 +551,90 @@ public actor SafariImportHandler {
         logger.info("Created publication: \(publication.citeKey)")
     }
 
+    /// Apply the tags, collection and read/flagged state chosen in the extension.
+    private func file(
+        _ publication: CDPublication,
+        as filing: ExtensionImportFiling,
+        in library: CDLibrary?,
+        repository: PublicationRepository
+    ) async {
+        let tagRepository = TagRepository()
+        var tags: [CDTag] = []
+        for name in filing.tags {
+            tags.append(await tagRepository.findOrCreate(name: name))
+        }
+
+        if !tags.isEmpty || filing.isRead != nil || filing.isStarred != nil {
+            let context = PersistenceController.shared.viewContext
+            await context.perform {
+                if !tags.isEmpty {
+                    publication.tags = (publication.tags ?? []).union(tags)
+                }
+                if let isRead = filing.isRead {
+                    publication.isRead = isRead
+                    publication.dateRead = isRead ? Date() : nil
+                }
+                if let isStarred = filing.isStarred {
+                    publication.isStarred = isStarred
+                }
+                PersistenceController.shared.save()
+            }
+        }
+
+        if let collection = await findOrCreateCollection(for: filing, in: library) {
+            await repository.addToCollection(publication, collection: collection)
+            logger.info("Filed \(publication.citeKey) in collection: \(collection.name)")
+        }
+    }
+
+    /// The existing collection the extension picked, or the static collection it
+    /// named. A named collection is created once, in the import's library, and
+    /// reused by later imports with the same name.
+    private func findOrCreateCollection(for filing: ExtensionImportFiling, in library: CDLibrary?) async -> CDCollection? {
+        let context = PersistenceController.shared.viewContext
+
+        if let id = filing.collectionID {
+            let collection = await MainActor.run {
+                let request = NSFetchRequest<CDCollection>(entityName: "Collection")
+                request.predicate = NSPredicate(format: "id == %@ AND isSmartCollection == NO", id as CVarArg)
+                request.fetchLimit = 1
+                return try? context.fetch(request).first
+            }
+            if collection == nil {
+                logger.warning("Collection not found for import: \(id)")
+            }
+            return collection
+        }
+
+        guard let name = filing.collectionName else { return nil }
+
+        let existing = await MainActor.run {
+            let request = NSFetchRequest<CDCollection>(entityName: "Collection")
+            var predicates = [
+                NSPredicate(format: "name ==[cd] %@", name),
+                NSPredicate(format: "isSmartCollection == NO AND isSystemCollection == NO")
+            ]
+            if let library = library {
+                predicates.append(NSPredicate(format: "library == %@", library))
+            }
+            request.predicate = NSCompoundPredicate(andPredicateWithSubpredicates: predicates)
+            request.fetchLimit = 1
+            return try? context.fetch(request).first
+        }
+        if let existing = existing {
+            return existing
+        }
+
+        let collection = await CollectionRepository().create(name: name)
+        if let library = library {
+            await context.perform {
+                collection.library = library
+                PersistenceController.shared.save()
+            }
+        }
+        return collection
+    }
+
     private func findLibrary(id: UUID?) async -> CDLibrary? {
         guard let id = id else { return nil }
 
@@ -467,6 +729,38 @@ public actor SafariImportHandler {
         logger.info("Synced \(libraries.count) libraries to App Group")
     }
 
+    /// Sync static collections to the App Group for the extension's collection picker.
+    public func syncAvailableCollections() async {
+        guard let defaults = defaults else { return }
+
+        let context = PersistenceController.shared.viewContext
+        let collections: [[String: String]] = await MainActor.run {
+            let request = NSFetchRequest<CDCollection>(entityName: "Collection")
+            request.predicate = NSPredicate(
+                format: "isSmartCollection == NO AND isSystemCollection == NO AND isSmartSearchResults == NO"
+            )
+            request.sortDescriptors = [NSSortDescriptor(key: "name", ascending: true)]
+
+            guard let results = try? context.fetch(request) else { return [] }
+
+            return results.map { collection in
+                var info = [
+                    "id": collection.id.uuidString,
+                    "name": collection.name
+                ]
+                if let library = collection.library {
+                    info["libraryId"] = library.id.uuidString
+                }
+                return info
+            }
+        }
+
+        defaults.set(collections, forKey: Keys.availableCollections)
+        defaults.synchronize()
+
+        logger.info("Synced \(collections.count) collections to App Group")
+    }
+
     // MARK: - Darwin Notification Observer
 
     /// Set up Darwin notification observers for notifications from the extension.
@@ -487,6 +781,7 @@ public actor SafariImportHandler {
                     // may appear here (only when user actually uses the extension)
                     await SafariImportHandler.shared.syncKnownIdentifiers()
                     await SafariImportHandler.shared.syncAvailableLibraries()
+                    await SafariImportHandler.shared.syncAvailableCollections()
                 }
             },
             importName,
@@ -0,0 +1,127 @@
+//
+//  ExtensionImportPayloadTests.swift
+//  PublicationManagerCoreTests
+//
+
+import XCTest
+@testable import PublicationManagerCore
+
+final class ExtensionImportPayloadTests: XCTestCase {
+
+    // MARK: - Helpers
+
+    /// Encode a document the way the browser extension's payload.js does
+    private func encode(_ document: Any, compress: Bool = true) throws -> String {
+        var data = try JSONSerialization.data(withJSONObject: document)
+        if compress {
+            data = try (data as NSData).compressed(using: .zlib) as Data
+        }
+        return data.base64EncodedString()
+            .replacingOccurrences(of: "+", with: "-")
+            .replacingOccurrences(of: "/", with: "_")
+            .replacingOccurrences(of: "=", with: "")
+    }
+
+    // MARK: - Decoding
+
+    func testDecode_deflate_keepsFullMetadata() throws {
+        let authors: [[String: Any]] = (0..<500).map { index in
+            ["given": "Author \(index) | Jr", "family": "Müller", "orcid": NSNull()]
+        }
+        let abstract = String(repeating: "a", count: 5000)
+        let document: [String: Any] = [
+            "version": 1,
+            "items": [[
+                "sourceType": "doi",
+                "doi": "10.1234/abc",
+                "title": "Lossless ∑ title",
+                "authors": authors,
+                "abstract": abstract,
+                "issn": ["0004-637X", "1538-4357"],
+                "month": 3
+            ]]
+        ]
+
+        let payload = try ExtensionImportPayload(payload: encode(document), encoding: "deflate")
+        let item = try XCTUnwrap(payload.importItems.first)
+
+        XCTAssertEqual(payload.version, 1)
+        XCTAssertEqual(item["title"] as? String, "Lossless ∑ title")
+        XCTAssertEqual((item["abstract"] as? String)?.count, 5000)
+        XCTAssertEqual(item["issn"] as? [String], ["0004-637X", "1538-4357"])
+        XCTAssertEqual(item["month"] as? Int, 3)
+
+        let records = try XCTUnwrap(item["authors"] as? [[String: Any]])
+        XCTAssertEqual(records.count, 500)
+        XCTAssertEqual(records[7]["given"] as? String, "Author 7 | Jr")
+        XCTAssertTrue(records[7]["orcid"] is NSNull)
+    }
+
+    func testDecode_json_withoutCompression() throws {
+        let document: [String: Any] = [
+            "version": 1,
+            "items": [["sourceType": "arxiv", "arxivID": "2401.00001"]]
+        ]
+
+        let payload = try ExtensionImportPayload(payload: encode(document, compress: false), encoding: "json")
+
+        XCTAssertEqual(payload.importItems.first?["arxivID"] as? String, "2401.00001")
+    }
+
+    func testDecode_severalItems() throws {
+        let document: [String: Any] = [
+            "version": 1,
+            "items": [
+                ["sourceType": "arxiv", "arxivID": "2401.00001"],
+                ["sourceType": "ads", "bibcode": "2020ApJ...900....1A"]
+            ]
+        ]
+
+        let payload = try ExtensionImportPayload(payload: encode(document))
+
+        XCTAssertEqual(payload.items.count, 2)
+        XCTAssertEqual(payload.importItems[1]["bibcode"] as? String, "2020ApJ...900....1A")
+    }
+
+    // MARK: - Rejection
+
+    func testDecode_newerVersion_throwsError() throws {
+        let document: [String: Any] = ["version": 2, "items": [["sourceType": "doi"]]]
+
+        XCTAssertThrowsError(try ExtensionImportPayload(payload: encode(document))) { error in
+            guard case AutomationError.invalidParameter(let param, let value) = error else {
+                XCTFail("Expected invalidParameter error")
+                return
+            }
+            XCTAssertEqual(param, "payload")
+            XCTAssertEqual(value, "unsupported version 2")
+        }
+    }
+
+    func testDecode_emptyItems_throwsError() throws {
+        let document: [String: Any] = ["version": 1, "items": [[String: Any]]()]
+
+        XCTAssertThrowsError(try ExtensionImportPayload(payload: encode(document)))
+    }
+
+    func testDecode_notCompressed_throwsError() throws {
+        let document: [String: Any] = ["version": 1, "items": [["sourceType": "doi"]]]
+
+        XCTAssertThrowsError(try ExtensionImportPayload(payload: encode(document, compress: false), encoding: "deflate"))
+    }
+
+    func testDecode_unknownEncoding_throwsError() throws {
+        XCTAssertThrowsError(try ExtensionImportPayload(payload: "e30", encoding: "brotli")) { error in
+            guard case AutomationError.invalidParameter(let param, _) = error else {
+                XCTFail("Expected invalidParameter error")
+                return
+            }
+            XCTAssertEqual(param, "encoding")
+        }
+    }
+
+    func testBase64URLDecoded_restoresPadding() {
+        XCTAssertEqual(ExtensionImportPayload.base64URLDecoded("_-8"), Data([0xFF, 0xEF]))
+        XCTAssertEqual(ExtensionImportPayload.base64URLDecoded("YQ"), Data("a".utf8))
+    }
+}
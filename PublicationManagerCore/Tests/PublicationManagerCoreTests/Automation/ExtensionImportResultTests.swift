@@ -0,0 +1,73 @@
+//
+//  ExtensionImportResultTests.swift
+//  PublicationManagerCoreTests
+//
+
+import XCTest
+@testable import PublicationManagerCore
+
+final class ExtensionImportResultTests: XCTestCase {
+
+    private typealias Failure = URLSchemeHandler.ExtensionImportFailure
+
+    private func failedItems(_ result: AutomationResult) -> [[String: Any]] {
+        result.result?["failedItems"]?.value as? [[String: Any]] ?? []
+    }
+
+    func testAllImported_succeeds() {
+        let result = URLSchemeHandler.extensionImportResult(command: "importPayloadFromExtension", imported: 3, failures: [])
+
+        XCTAssertTrue(result.success)
+        XCTAssertNil(result.error)
+        XCTAssertEqual(result.result?["imported"]?.value as? Int, 3)
+        XCTAssertEqual(result.result?["failed"]?.value as? Int, 0)
+        XCTAssertTrue(failedItems(result).isEmpty)
+    }
+
+    func testNoneImported_fails() {
+        let failures = [
+            Failure(index: 0, title: "Dark Matter Halos", error: "Network unavailable"),
+            Failure(index: 1, title: nil, error: "Network unavailable")
+        ]
+        let result = URLSchemeHandler.extensionImportResult(command: "importPayloadFromExtension", imported: 0, failures: failures)
+
+        XCTAssertFalse(result.success)
+        XCTAssertEqual(result.command, "importPayloadFromExtension")
+        XCTAssertEqual(result.error, "None of the 2 items could be imported")
+        XCTAssertEqual(result.result?["imported"]?.value as? Int, 0)
+        XCTAssertEqual(failedItems(result).count, 2)
+    }
+
+    func testSomeImported_listsFailedItems() throws {
+        let failures = [Failure(index: 2, title: "Rotation of M31", error: "Invalid DOI")]
+        let result = URLSchemeHandler.extensionImportResult(command: "importPayloadFromExtension", imported: 2, failures: failures)
+
+        XCTAssertFalse(result.success)
+        XCTAssertEqual(result.error, "1 of 3 items could not be imported")
+        XCTAssertEqual(result.result?["imported"]?.value as? Int, 2)
+        XCTAssertEqual(result.result?["failed"]?.value as? Int, 1)
+
+        let item = try XCTUnwrap(failedItems(result).first)
+        XCTAssertEqual(item["index"] as? Int, 2)
+        XCTAssertEqual(item["title"] as? String, "Rotation of M31")
+        XCTAssertEqual(item["error"] as? String, "Invalid DOI")
+    }
+
+    func testEmptyBatch_fails() {
+        let result = URLSchemeHandler.extensionImportResult(command: "importPayloadFromExtension", imported: 0, failures: [])
+
+        XCTAssertFalse(result.success)
+        XCTAssertEqual(result.error, "No items to import")
+    }
+
+    func testFailedItems_encodeAsJSON() throws {
+        let failures = [Failure(index: 0, title: nil, error: "Invalid DOI")]
+        let result = URLSchemeHandler.extensionImportResult(command: "importPayloadFromExtension", imported: 0, failures: failures)
+
+        let data = try JSONEncoder().encode(result)
+        let json = try XCTUnwrap(JSONSerialization.jsonObject(with: data) as? [String: Any])
+        let items = try XCTUnwrap((json["result"] as? [String: Any])?["failedItems"] as? [[String: Any]])
+        XCTAssertEqual(items.first?["error"] as? String, "Invalid DOI")
+        XCTAssertTrue(items.first?["title"] is NSNull)
+    }
+}
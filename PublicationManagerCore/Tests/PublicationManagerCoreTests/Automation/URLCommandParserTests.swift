@@ -363,6 +363,34 @@ final class URLCommandParserTests: XCTestCase {
         }
     }
 
+    func testImportCommand_extensionPayload() throws {
+        let json = #"{"version":1,"items":[{"sourceType":"arxiv","arxivID":"2401.00001"}]}"#
+        let payload = Data(json.utf8).base64EncodedString()
+            .replacingOccurrences(of: "+", with: "-")
+            .replacingOccurrences(of: "/", with: "_")
+            .replacingOccurrences(of: "=", with: "")
+        let url = URL(string: "imbib://import?payload=\(payload)&encoding=json")!
+        let command = try parser.parse(url)
+
+        if case .importPayloadFromExtension(let parsed) = command {
+            XCTAssertEqual(parsed.version, 1)
+            XCTAssertEqual(parsed.importItems.first?["arxivID"] as? String, "2401.00001")
+        } else {
+            XCTFail("Expected importPayloadFromExtension command")
+        }
+    }
+
+    func testImportCommand_extensionPayloadInvalid_throwsError() throws {
+        let url = URL(string: "imbib://import?payload=not-a-payload")!
+        XCTAssertThrowsError(try parser.parse(url)) { error in
+            guard case AutomationError.invalidParameter(let param, _) = error else {
+                XCTFail("Expected invalidParameter error")
+                return
+            }
+            XCTAssertEqual(param, "payload")
+        }
+    }
+
     // MARK: - Export Command
 
     func testExportCommand_bibtex() throws {
@@ -0,0 +1,78 @@
+//
+//  ExtensionImportFilingTests.swift
+//  PublicationManagerCoreTests
+//
+
+import XCTest
+@testable import PublicationManagerCore
+
+final class ExtensionImportFilingTests: XCTestCase {
+
+    // MARK: - Native Messaging and Payload Items
+
+    func testInit_jsonValues() {
+        let collectionID = UUID()
+        let filing = ExtensionImportFiling(item: [
+            "title": "Paper",
+            "tags": ["to-read", " cosmology ", ""],
+            "collectionId": collectionID.uuidString,
+            "note": "  Check Fig. 3  ",
+            "isRead": true,
+            "isFlagged": false
+        ])
+
+        XCTAssertEqual(filing.tags, ["to-read", "cosmology"])
+        XCTAssertEqual(filing.collectionID, collectionID)
+        XCTAssertNil(filing.collectionName)
+        XCTAssertEqual(filing.note, "Check Fig. 3")
+        XCTAssertEqual(filing.isRead, true)
+        XCTAssertEqual(filing.isStarred, false)
+    }
+
+    func testInit_newCollectionName() {
+        let filing = ExtensionImportFiling(item: ["collectionName": "Project X"])
+
+        XCTAssertNil(filing.collectionID)
+        XCTAssertEqual(filing.collectionName, "Project X")
+    }
+
+    func testInit_existingCollectionWinsOverName() {
+        let filing = ExtensionImportFiling(item: [
+            "collectionId": UUID().uuidString,
+            "collectionName": "Project X"
+        ])
+
+        XCTAssertNotNil(filing.collectionID)
+        XCTAssertNil(filing.collectionName)
+    }
+
+    func testInit_nothingChosen_leavesDefaults() {
+        let filing = ExtensionImportFiling(item: ["title": "Paper", "note": "", "collectionId": "not-a-uuid"])
+
+        XCTAssertEqual(filing.tags, [])
+        XCTAssertNil(filing.collectionID)
+        XCTAssertNil(filing.collectionName)
+        XCTAssertNil(filing.note)
+        XCTAssertNil(filing.isRead)
+        XCTAssertNil(filing.isStarred)
+    }
+
+    // MARK: - URL Parameter Items
+
+    func testInit_stringValues() {
+        let filing = ExtensionImportFiling(item: [
+            "tags": "to-read, Cosmology,cosmology",
+            "isRead": "false",
+            "isFlagged": "1"
+        ])
+
+        XCTAssertEqual(filing.tags, ["to-read", "Cosmology"])
+        XCTAssertEqual(filing.isRead, false)
+        XCTAssertEqual(filing.isStarred, true)
+    }
+
+    func testBool_unrecognized_returnsNil() {
+        XCTAssertNil(ExtensionImportFiling.bool(from: "maybe"))
+        XCTAssertNil(ExtensionImportFiling.bool(from: nil))
+    }
+}
@@ -0,0 +1,181 @@
+//
+//  SafariImportHandlerTests.swift
+//  PublicationManagerCoreTests
+//
+
+import XCTest
+@testable import PublicationManagerCore
+
+final class SafariImportHandlerTests: XCTestCase {
+
+    // MARK: - Author Field Tests
+
+    func testAuthorField_records_usesFamilyFirstForm() {
+        let authors: [[String: Any]] = [
+            ["given": "Anna", "family": "Berg", "particle": "van der", "suffix": NSNull(), "literal": NSNull()],
+            ["given": "Martin Luther", "family": "King", "suffix": "Jr."]
+        ]
+
+        XCTAssertEqual(
+            SafariImportHandler.bibTeXAuthorField(from: authors),
+            "van der Berg, Anna and King, Jr., Martin Luther"
+        )
+    }
+
+    func testAuthorField_collaboration_isBraced() {
+        let authors: [[String: Any]] = [
+            ["literal": "LIGO Scientific Collaboration"],
+            ["family": "Abbott", "given": "B. P."]
+        ]
+
+        XCTAssertEqual(
+            SafariImportHandler.bibTeXAuthorField(from: authors),
+            "{LIGO Scientific Collaboration} and Abbott, B. P."
+        )
+    }
+
+    func testAuthorField_recordWithoutName_isSkipped() {
+        let authors: [[String: Any]] = [
+            ["given": "Anna"],
+            ["family": "Smith"]
+        ]
+
+        XCTAssertEqual(SafariImportHandler.bibTeXAuthorField(from: authors), "Smith")
+    }
+
+    func testAuthorField_plainStrings_areJoined() {
+        XCTAssertEqual(
+            SafariImportHandler.bibTeXAuthorField(from: ["Jane Doe", "", "John Smith"]),
+            "Jane Doe and John Smith"
+        )
+    }
+
+    func testAuthorField_missingOrEmpty_returnsNil() {
+        XCTAssertNil(SafariImportHandler.bibTeXAuthorField(from: nil))
+        XCTAssertNil(SafariImportHandler.bibTeXAuthorField(from: [String]()))
+    }
+
+    // MARK: - Field Value Tests
+
+    func testFieldValue_list_isCommaSeparated() {
+        XCTAssertEqual(
+            SafariImportHandler.fieldValue(from: ["0004-637X", "", "1538-4357"]),
+            "0004-637X, 1538-4357"
+        )
+    }
+
+    func testFieldValue_emptyOrUnsupported_returnsNil() {
+        XCTAssertNil(SafariImportHandler.fieldValue(from: ""))
+        XCTAssertNil(SafariImportHandler.fieldValue(from: [String]()))
+        XCTAssertNil(SafariImportHandler.fieldValue(from: 42))
+    }
+
+    // MARK: - Entry Type Tests
+
+    func testEntryType_supported_isKept() {
+        XCTAssertEqual(SafariImportHandler.bibTeXEntryType(from: "inproceedings"), "inproceedings")
+        XCTAssertEqual(SafariImportHandler.bibTeXEntryType(from: "PhDThesis"), "phdthesis")
+        XCTAssertEqual(SafariImportHandler.bibTeXEntryType(from: "software"), "software")
+    }
+
+    func testEntryType_unknownOrMissing_defaultsToArticle() {
+        XCTAssertEqual(SafariImportHandler.bibTeXEntryType(from: "webpage"), "article")
+        XCTAssertEqual(SafariImportHandler.bibTeXEntryType(from: nil), "article")
+    }
+
+    // MARK: - Month Tests
+
+    func testMonth_number_returnsAbbreviation() {
+        XCTAssertEqual(SafariImportHandler.bibTeXMonth(from: 3), "mar")
+        XCTAssertEqual(SafariImportHandler.bibTeXMonth(from: 12), "dec")
+    }
+
+    func testMonth_string_returnsAbbreviation() {
+        XCTAssertEqual(SafariImportHandler.bibTeXMonth(from: "9"), "sep")
+    }
+
+    func testMonth_outOfRangeOrMissing_returnsNil() {
+        XCTAssertNil(SafariImportHandler.bibTeXMonth(from: 0))
+        XCTAssertNil(SafariImportHandler.bibTeXMonth(from: "13"))
+        XCTAssertNil(SafariImportHandler.bibTeXMonth(from: "March"))
+        XCTAssertNil(SafariImportHandler.bibTeXMonth(from: nil))
+    }
+
+    // MARK: - Edit Tests
+
+    /// A record as ADS returns it for a paper
+    private let adsEntry = BibTeXEntry(citeKey: "2019ApJ...882L..12A", entryType: "article", fields: [
+        "title": "{Properties of the Binary Neutron Star Merger GW170817}",
+        "author": "{LIGO Scientific Collaboration} and Abbott, B. P.",
+        "journal": "\\apjl",
+        "year": "2019",
+        "month": "sep",
+        "abstract": "On 2017 August 17...",
+        "adsurl": "https://ui.adsabs.harvard.edu/abs/2019ApJ...882L..12A"
+    ])
+
+    func testApplyingEdits_editedTitleSurvivesADSImport() {
+        let item: [String: Any] = [
+            "sourceType": "ads",
+            "bibcode": "2019ApJ...882L..12A",
+            "title": "Properties of GW170817",
+            "journal": "Astrophysical Journal Letters",
+            "editedFields": ["title"]
+        ]
+
+        let entry = SafariImportHandler.applyingEdits(from: item, to: adsEntry)
+
+        XCTAssertEqual(entry.title, "Properties of GW170817")
+        // Fields the user left alone keep the fetched values
+        XCTAssertEqual(entry.fields["journal"], "\\apjl")
+        XCTAssertEqual(entry.fields["author"], adsEntry.fields["author"])
+        XCTAssertEqual(entry.citeKey, adsEntry.citeKey)
+    }
+
+    func testApplyingEdits_authorsAndYear() {
+        let item: [String: Any] = [
+            "sourceType": "arxiv",
+            "authors": [["given": "Anna", "family": "Berg", "particle": "van der"]],
+            "year": "2020",
+            "month": NSNull(),
+            "date": "2020",
+            "editedFields": ["authors", "year"]
+        ]
+
+        let entry = SafariImportHandler.applyingEdits(from: item, to: adsEntry)
+
+        XCTAssertEqual(entry.fields["author"], "van der Berg, Anna")
+        XCTAssertEqual(entry.fields["year"], "2020")
+        XCTAssertNil(entry.fields["month"])
+        XCTAssertEqual(entry.fields["date"], "2020")
+    }
+
+    func testApplyingEdits_emptiedField_isRemoved() {
+        let item: [String: Any] = ["sourceType": "doi", "editedFields": "abstract, title", "title": "Paper"]
+
+        let entry = SafariImportHandler.applyingEdits(from: item, to: adsEntry)
+
+        XCTAssertNil(entry.fields["abstract"])
+        XCTAssertEqual(entry.title, "Paper")
+    }
+
+    func testApplyingEdits_withoutEditedFields_keepsRecord() {
+        let item: [String: Any] = ["sourceType": "ads", "title": "Scraped title"]
+
+        XCTAssertEqual(SafariImportHandler.applyingEdits(from: item, to: adsEntry), adsEntry)
+    }
+
+    // MARK: - Note Tests
+
+    func testNoteField_withoutExistingNote_isTheNote() {
+        XCTAssertEqual(SafariImportHandler.noteField("Check Fig. 3", existing: nil), "Check Fig. 3")
+        XCTAssertEqual(SafariImportHandler.noteField("Check Fig. 3", existing: ""), "Check Fig. 3")
+    }
+
+    func testNoteField_afterExistingNote() {
+        XCTAssertEqual(
+            SafariImportHandler.noteField("Check Fig. 3", existing: "Accepted to ApJ"),
+            "Accepted to ApJ\n\nCheck Fig. 3"
+        )
+    }
+}
@@ -21,6 +21,7 @@ EXCLUDES=(
     "build"
     ".DS_Store"
     "manifest.firefox.json"
+    "native-host"
 )
 
 # Build Chrome/Edge extension
@@ -33,7 +34,8 @@ zip -r "$BUILD_DIR/imbib-chrome.zip" . \
     -x "build-extensions.sh" \
     -x "build/*" \
     -x "*.DS_Store" \
-    -x "manifest.firefox.json"
+    -x "manifest.firefox.json" \
+    -x "native-host/*"
 
 echo "Created: $BUILD_DIR/imbib-chrome.zip"
 
@@ -51,6 +53,7 @@ cp "$SCRIPT_DIR/manifest.firefox.json" "$FIREFOX_TEMP/manifest.json"
 rm -f "$FIREFOX_TEMP/manifest.firefox.json"
 rm -f "$FIREFOX_TEMP/build-extensions.sh"
 rm -rf "$FIREFOX_TEMP/build"
+rm -rf "$FIREFOX_TEMP/native-host"
 
 # Create Firefox zip
 cd "$FIREFOX_TEMP"
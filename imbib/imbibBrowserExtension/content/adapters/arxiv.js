@@ -0,0 +1,139 @@
+// arxiv.js - arXiv site adapter
+// Abstract, PDF and listing pages on arxiv.org; listings enumerate their
+// papers for batch import
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib;
+    const { getMetaContent, extractHighwireAuthors, extractAuthorsFromElements, extractMetaDates } = imbib.meta;
+    const { parseArXiv, normalizeArXiv } = imbib.identifiers;
+
+    function isListingURL(url) {
+        return url.includes('/search/') || url.includes('/search?') ||
+               url.includes('/list/') || url.includes('/new/') ||
+               url.includes('/recent/');
+    }
+
+    function extractArXiv(location) {
+        const url = location.href;
+
+        // PDF URLs carry the arXiv ID - import straight from them
+        if (url.includes('/pdf/')) {
+            return imbib.pdfSource.fromURL(url);
+        }
+
+        // Detect search/list pages
+        if (isListingURL(url)) {
+            const items = extractArXivListItems();
+            return {
+                sourceType: 'arxiv',
+                isSearchPage: true,
+                items: items,
+                message: items.length > 0
+                    ? `${items.length} paper${items.length === 1 ? '' : 's'} on this page`
+                    : 'This is a listing page. Click on a paper to import it.'
+            };
+        }
+
+        // Extract arXiv ID from URL: /abs/{id}, old-style IDs included
+        const arxiv = url.includes('/abs/') ? parseArXiv(url) : null;
+        if (!arxiv) return null;
+
+        const metadata = {
+            arxivID: arxiv.id,
+            arxivVersion: arxiv.version,
+            sourceType: 'arxiv',
+            title: getMetaContent('citation_title') ||
+                   document.querySelector('h1.title')?.textContent?.replace(/^Title:\s*/i, '').trim(),
+            authors: extractHighwireAuthors(),
+            abstract: document.querySelector('blockquote.abstract')?.textContent
+                     ?.replace(/^Abstract:\s*/i, '').trim(),
+            doi: getMetaContent('citation_doi'),
+            categories: extractArXivCategories(),
+            pdfURL: `https://arxiv.org/pdf/${arxiv.id}${arxiv.version || ''}`
+        };
+
+        imbib.dates.applyDates(metadata, extractMetaDates());
+
+        // Fallback author extraction
+        if (!metadata.authors || metadata.authors.length === 0) {
+            const authorDiv = document.querySelector('div.authors');
+            if (authorDiv) {
+                metadata.authors = extractAuthorsFromElements(authorDiv.querySelectorAll('a'));
+            }
+        }
+
+        return metadata;
+    }
+
+    // Enumerate papers on /list/, /new/, /recent/ and search result pages
+    function extractArXivListItems() {
+        const items = [];
+        const seen = new Set();
+
+        const addItem = (href, title, authorLinks) => {
+            // Old-style IDs contain a slash: /abs/astro-ph/0601001
+            const match = href?.match(/\/abs\/([^?#]+)/);
+            const arxivID = match ? normalizeArXiv(match[1]) : null;
+            if (!arxivID || seen.has(arxivID)) return;
+            seen.add(arxivID);
+
+            items.push({
+                sourceType: 'arxiv',
+                arxivID: arxivID,
+                title: title,
+                authors: extractAuthorsFromElements(authorLinks)
+            });
+        };
+
+        // Listing pages: <dt> holds the identifier link, the following <dd> the metadata
+        document.querySelectorAll('dl dt').forEach(dt => {
+            const link = dt.querySelector('a[href*="/abs/"]');
+            const dd = dt.nextElementSibling;
+            if (!link || dd?.tagName !== 'DD') return;
+
+            const title = dd.querySelector('.list-title')?.textContent
+                ?.replace(/^\s*Title:\s*/i, '').trim();
+            addItem(link.getAttribute('href'), title, dd.querySelectorAll('.list-authors a'));
+        });
+
+        // Search results: <li class="arxiv-result">
+        document.querySelectorAll('li.arxiv-result').forEach(li => {
+            const link = li.querySelector('.list-title a[href*="/abs/"]');
+            const title = li.querySelector('p.title')?.textContent?.trim();
+            addItem(link?.getAttribute('href'), title, li.querySelectorAll('p.authors a'));
+        });
+
+        return items;
+    }
+
+    function extractArXivCategories() {
+        const categories = [];
+
+        // Primary subject
+        const primary = document.querySelector('span.primary-subject');
+        if (primary) {
+            const match = primary.textContent.match(/\(([^)]+)\)/);
+            if (match) categories.push(match[1]);
+        }
+
+        // All subjects from meta
+        const subjectMeta = getMetaContent('citation_arxiv_primary_subject');
+        if (subjectMeta && !categories.includes(subjectMeta)) {
+            categories.push(subjectMeta);
+        }
+
+        return categories;
+    }
+
+    imbib.adapters.register({
+        id: 'arxiv',
+        priority: 100,
+        hosts: ['arxiv.org'],
+        detect: (location) => location.href.includes('/abs/') ||
+                              location.href.includes('/pdf/') ||
+                              isListingURL(location.href),
+        extract: extractArXiv
+    });
+})(globalThis);
@@ -0,0 +1,67 @@
+// pubmed.js - PubMed and PubMed Central site adapter
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib;
+    const { getMetaContent, extractHighwireAuthors, extractAuthorsFromElements, extractMetaDates, inferEntryType, formatPages } = imbib.meta;
+    const { normalizePMID, normalizePMCID } = imbib.identifiers;
+
+    function extractPubMed(location) {
+        const url = location.href;
+
+        // Extract PMID from URL
+        const pmidMatch = url.match(/pubmed\.ncbi\.nlm\.nih\.gov\/(\d+)/);
+        const pmcidMatch = url.match(/ncbi\.nlm\.nih\.gov\/pmc\/articles\/(PMC\d+)/);
+
+        // Each page names the other identifier too: PubMed links to the PMC
+        // full text and PMC articles carry citation_pmid
+        const pmid = normalizePMID(pmidMatch?.[1]) ||
+                     normalizePMID(getMetaContent('citation_pmid'));
+        const pmcid = normalizePMCID(pmcidMatch?.[1]) ||
+                      normalizePMCID(extractPMCIDFromPage());
+
+        if (!pmidMatch && !pmcidMatch) return null;
+
+        const metadata = {
+            pmid: pmid,
+            pmcid: pmcid,
+            sourceType: 'pubmed',
+            title: getMetaContent('citation_title') ||
+                   document.querySelector('h1.heading-title')?.textContent?.trim(),
+            authors: extractHighwireAuthors(),
+            journal: getMetaContent('citation_journal_title'),
+            volume: getMetaContent('citation_volume'),
+            issue: getMetaContent('citation_issue'),
+            pages: formatPages(getMetaContent('citation_firstpage'), getMetaContent('citation_lastpage')),
+            doi: getMetaContent('citation_doi'),
+            abstract: document.querySelector('div.abstract-content')?.textContent?.trim(),
+            pdfURL: getMetaContent('citation_pdf_url'),
+            entryType: inferEntryType()
+        };
+
+        imbib.dates.applyDates(metadata, extractMetaDates());
+
+        // Fallback author extraction
+        if (!metadata.authors || metadata.authors.length === 0) {
+            metadata.authors = extractAuthorsFromElements(document.querySelectorAll('.authors-list .author-name'));
+        }
+
+        return metadata;
+    }
+
+    function extractPMCIDFromPage() {
+        const link = document.querySelector('a[data-ga-action="PMCID"], a[href*="/pmc/articles/PMC"]');
+        return link?.textContent.match(/PMC\d+/)?.[0] ||
+               link?.getAttribute('href')?.match(/PMC\d+/)?.[0] ||
+               null;
+    }
+
+    imbib.adapters.register({
+        id: 'pubmed',
+        priority: 100,
+        hosts: ['pubmed.ncbi.nlm.nih.gov'],
+        urlPatterns: [/ncbi\.nlm\.nih\.gov\/pmc\//],
+        extract: extractPubMed
+    });
+})(globalThis);
@@ -0,0 +1,395 @@
+// inline-buttons.js - "+imbib" buttons next to scholarly links on any page
+// Off unless turned on in the popup, for every site or just some. Links to
+// DOIs, arXiv papers and ADS abstracts, and identifiers in the page's text,
+// get a small import button, marked once imbib says the paper is already
+// in the library. The page is scanned in idle time and buttons are only
+// added as their spot nears the viewport, so long reference lists stay
+// cheap.
+
+(function() {
+    'use strict';
+
+    const imbib = globalThis.imbib;
+
+    // Use chrome API (works in Chrome, Edge, and Firefox MV3)
+    const runtime = typeof chrome !== 'undefined' ? chrome.runtime : browser.runtime;
+    const storage = typeof chrome !== 'undefined' ? chrome.storage : browser.storage;
+
+    // { enabled, sites: { hostname: 'allow' | 'deny' } }, kept by the popup
+    const SETTINGS_KEY = 'imbib.inlineButtons';
+
+    // Nodes looked at per idle slice
+    const SCAN_BATCH = 250;
+    // Buttons appear this far ahead of scrolling
+    const VIEWPORT_MARGIN = '300px';
+    // Pages with more identifiers than this only get buttons for the first ones
+    const MAX_CANDIDATES = 500;
+
+    const BUTTON_ATTRIBUTE = 'data-imbib-button';
+    const IMPORTABLE_TYPES = ['doi', 'arxiv', 'bibcode'];
+
+    // Nothing in these is read as text or decorated
+    const SKIPPED_TAGS = new Set([
+        'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'INPUT', 'SELECT',
+        'OPTION', 'BUTTON', 'SVG', 'CANVAS', 'IFRAME', 'HEAD'
+    ]);
+
+    const BUTTON_STYLE = `
+        :host { all: initial; }
+        button {
+            margin: 0 0 0 0.3em;
+            padding: 0 0.45em;
+            border: 1px solid #007AFF;
+            border-radius: 0.7em;
+            background: transparent;
+            color: #007AFF;
+            font: 600 11px/15px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+            vertical-align: baseline;
+            cursor: pointer;
+            white-space: nowrap;
+        }
+        button:hover:not(:disabled) { background: #007AFF; color: #fff; }
+        button:disabled { cursor: default; }
+        button.saved, button.sent { border-color: #34C759; color: #34C759; }
+        button.failed { border-color: #FF3B30; color: #FF3B30; }
+    `;
+
+    const LABELS = { doi: 'DOI', arxiv: 'arXiv', bibcode: 'bibcode' };
+
+    let active = false;
+    let candidateCount = 0;
+    let scanQueue = [];
+    let walker = null;
+    let scanScheduled = false;
+    let visibilityObserver = null;
+    let mutationObserver = null;
+    let checkTimer = null;
+
+    // Visible-soon spots waiting for their buttons: element -> candidates
+    const waiting = new Map();
+    // Buttons whose library state is unknown, keyed by identifier
+    const unchecked = new Map();
+    // Library answers so far: 'type:value' -> true / false
+    const libraryState = new Map();
+    // Links and text nodes already read, including the pieces splitting
+    // leaves behind
+    let scanned = new WeakSet();
+
+    const whenIdle = globalThis.requestIdleCallback || (callback => setTimeout(callback, 50));
+
+    function siteName(hostname) {
+        return hostname.toLowerCase().replace(/^www\./, '');
+    }
+
+    // A site's own choice wins over the setting for every site
+    function enabledHere(settings) {
+        const site = settings?.sites?.[siteName(window.location.hostname)];
+        if (site === 'allow') return true;
+        if (site === 'deny') return false;
+        return Boolean(settings?.enabled);
+    }
+
+    function identifierKey({ type, value }) {
+        return `${type}:${value}`;
+    }
+
+    // ==================== Scanning ====================
+
+    function acceptNode(node) {
+        if (scanned.has(node)) return NodeFilter.FILTER_REJECT;
+        if (node.nodeType === Node.TEXT_NODE) {
+            // Text in a link is the link's; a button inside it would follow it
+            return node.parentElement?.closest('a') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+        }
+        if (SKIPPED_TAGS.has(node.tagName.toUpperCase()) || node.hasAttribute(BUTTON_ATTRIBUTE) ||
+            node.isContentEditable) {
+            return NodeFilter.FILTER_REJECT;
+        }
+        return node.tagName === 'A' ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+    }
+
+    // Content added inside something the walk would have passed over
+    function insideSkipped(root) {
+        const parent = root.parentElement;
+        if (!parent) return false;
+        if (parent.isContentEditable || parent.closest(`[${BUTTON_ATTRIBUTE}]`)) return true;
+        for (let element = parent; element; element = element.parentElement) {
+            if (SKIPPED_TAGS.has(element.tagName.toUpperCase())) return true;
+        }
+        return false;
+    }
+
+    function scanNode(node) {
+        scanned.add(node);
+        if (node.nodeType === Node.TEXT_NODE) {
+            if (node.data.length > 6 && imbib.identifiers.scanIdentifiers(node.data).length > 0) {
+                wait(node.parentElement, { textNode: node });
+            }
+            return;
+        }
+
+        const identifier = imbib.identifiers.identifyURL(node.href);
+        if (identifier && IMPORTABLE_TYPES.includes(identifier.type)) {
+            wait(node, { link: node, identifier });
+        }
+    }
+
+    // Hand a spot to the viewport observer until it's about to be seen
+    function wait(element, candidate) {
+        if (!element) return;
+        candidateCount++;
+        const candidates = waiting.get(element);
+        if (candidates) {
+            candidates.push(candidate);
+            return;
+        }
+        waiting.set(element, [candidate]);
+        visibilityObserver.observe(element);
+    }
+
+    function scanSlice(deadline) {
+        scanScheduled = false;
+        if (!active) return;
+
+        let budget = SCAN_BATCH;
+        while (budget > 0 && candidateCount < MAX_CANDIDATES) {
+            if (!walker) {
+                const root = scanQueue.shift();
+                if (!root) return;
+                if (!root.isConnected || insideSkipped(root)) continue;
+                const filter = acceptNode(root);
+                if (filter === NodeFilter.FILTER_REJECT) continue;
+                if (filter === NodeFilter.FILTER_ACCEPT) scanNode(root);
+                walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, { acceptNode });
+            }
+
+            const node = walker.nextNode();
+            if (!node) {
+                walker = null;
+                continue;
+            }
+            scanNode(node);
+            budget--;
+            if (deadline?.timeRemaining && deadline.timeRemaining() < 1) break;
+        }
+
+        if (candidateCount < MAX_CANDIDATES && (walker || scanQueue.length > 0)) scheduleScan();
+    }
+
+    function scheduleScan() {
+        if (scanScheduled) return;
+        scanScheduled = true;
+        whenIdle(scanSlice, { timeout: 1000 });
+    }
+
+    function queueScan(root) {
+        scanQueue.push(root);
+        scheduleScan();
+    }
+
+    // ==================== Buttons ====================
+
+    function createButton(identifier) {
+        const host = document.createElement('span');
+        host.setAttribute(BUTTON_ATTRIBUTE, '');
+        // A closed shadow root keeps the page's styles and scripts out
+        const shadow = host.attachShadow({ mode: 'closed' });
+        const style = document.createElement('style');
+        style.textContent = BUTTON_STYLE;
+        const button = document.createElement('button');
+        button.type = 'button';
+        shadow.append(style, button);
+
+        setButtonState(button, identifier, null);
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            // Only the user's own clicks import; the page can't press it
+            if (event.isTrusted && navigator.userActivation?.isActive !== false) {
+                importFromButton(button, identifier);
+            }
+        });
+
+        host.imbibButton = button;
+        return host;
+    }
+
+    function setButtonState(button, identifier, state, message) {
+        const label = `${LABELS[identifier.type]} ${identifier.value}`;
+        button.className = state || '';
+        button.disabled = state !== null && state !== 'failed';
+
+        switch (state) {
+            case 'saved':
+                button.textContent = '✓ imbib';
+                button.title = `${label} is in your imbib library`;
+                break;
+            case 'sent':
+                button.textContent = '✓ imbib';
+                button.title = `Sent ${label} to imbib`;
+                break;
+            case 'busy':
+                button.textContent = '…';
+                button.title = `Importing ${label} to imbib`;
+                break;
+            case 'failed':
+                button.textContent = '+imbib';
+                button.title = `${message || 'Import failed'}. Click to try again.`;
+                break;
+            default:
+                button.textContent = '+imbib';
+                button.title = `Import ${label} to imbib`;
+        }
+    }
+
+    async function importFromButton(button, identifier) {
+        setButtonState(button, identifier, 'busy');
+        try {
+            const response = await runtime.sendMessage({ action: 'inlineImport', identifier });
+            if (!response || response.status === 'failed') {
+                setButtonState(button, identifier, 'failed', response?.error);
+                return;
+            }
+            // Anything else is on its way through the outbox or the URL scheme
+            libraryState.set(identifierKey(identifier), true);
+            setButtonState(button, identifier, response.status === 'delivered' ? 'saved' : 'sent');
+        } catch (error) {
+            setButtonState(button, identifier, 'failed', error.message);
+        }
+    }
+
+    function addButton(parent, before, identifier) {
+        const host = createButton(identifier);
+        parent.insertBefore(host, before);
+
+        const saved = libraryState.get(identifierKey(identifier));
+        if (saved) {
+            setButtonState(host.imbibButton, identifier, 'saved');
+        } else if (saved === undefined) {
+            const key = identifierKey(identifier);
+            if (!unchecked.has(key)) unchecked.set(key, { identifier, buttons: [] });
+            unchecked.get(key).buttons.push(host.imbibButton);
+            scheduleCheck();
+        }
+    }
+
+    // A button after each identifier in the text node, splitting it there.
+    // Working backwards keeps the earlier offsets valid.
+    function decorateText(node) {
+        if (!node.isConnected || !node.parentNode) return;
+
+        const found = imbib.identifiers.scanIdentifiers(node.data);
+        for (let i = found.length - 1; i >= 0; i--) {
+            const rest = node.splitText(found[i].index + found[i].length);
+            scanned.add(rest);
+            addButton(node.parentNode, rest, found[i]);
+        }
+    }
+
+    function decorate(candidate) {
+        if (candidate.textNode) {
+            decorateText(candidate.textNode);
+        } else if (candidate.link.isConnected) {
+            addButton(candidate.link.parentNode, candidate.link.nextSibling, candidate.identifier);
+        }
+    }
+
+    function handleVisibility(entries) {
+        for (const entry of entries) {
+            if (!entry.isIntersecting) continue;
+            visibilityObserver.unobserve(entry.target);
+            const candidates = waiting.get(entry.target) || [];
+            waiting.delete(entry.target);
+            candidates.forEach(decorate);
+        }
+    }
+
+    // ==================== Library Checks ====================
+
+    // Ask about everything decorated so far in one go once decorating
+    // settles; without the app nothing is marked, and buttons stay as they are
+    function scheduleCheck() {
+        clearTimeout(checkTimer);
+        checkTimer = setTimeout(checkLibrary, 300);
+    }
+
+    async function checkLibrary() {
+        const batch = [...unchecked.values()];
+        if (batch.length === 0) return;
+        unchecked.clear();
+
+        let saved = [];
+        try {
+            const response = await runtime.sendMessage({
+                action: 'inlineCheck',
+                identifiers: batch.map(({ identifier }) => ({ type: identifier.type, value: identifier.value }))
+            });
+            saved = response?.saved || [];
+        } catch (e) {
+            // Extension context may not be available
+        }
+
+        batch.forEach(({ identifier, buttons }, index) => {
+            libraryState.set(identifierKey(identifier), Boolean(saved[index]));
+            if (saved[index]) buttons.forEach(button => setButtonState(button, identifier, 'saved'));
+        });
+    }
+
+    // ==================== Start and Stop ====================
+
+    function start() {
+        if (active || !document.body) return;
+        active = true;
+
+        visibilityObserver = new IntersectionObserver(handleVisibility, { rootMargin: VIEWPORT_MARGIN });
+        // Content the page adds later (infinite scroll, expanded sections)
+        mutationObserver = new MutationObserver(records => {
+            for (const record of records) {
+                for (const node of record.addedNodes) {
+                    if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.TEXT_NODE) continue;
+                    if (!scanned.has(node) && !node.hasAttribute?.(BUTTON_ATTRIBUTE)) queueScan(node);
+                }
+            }
+        });
+        mutationObserver.observe(document.body, { childList: true, subtree: true });
+        queueScan(document.body);
+    }
+
+    // Remove every button; split text nodes stay split, which reads the same
+    function stop() {
+        if (!active) return;
+        active = false;
+
+        mutationObserver.disconnect();
+        visibilityObserver.disconnect();
+        clearTimeout(checkTimer);
+        waiting.clear();
+        unchecked.clear();
+        scanQueue = [];
+        walker = null;
+        candidateCount = 0;
+        scanned = new WeakSet();
+
+        document.querySelectorAll(`[${BUTTON_ATTRIBUTE}]`).forEach(host => host.remove());
+    }
+
+    function applySettings(settings) {
+        if (enabledHere(settings)) {
+            start();
+        } else {
+            stop();
+        }
+    }
+
+    storage.local.get(SETTINGS_KEY).then(({ [SETTINGS_KEY]: settings }) => {
+        applySettings(settings);
+    }).catch(() => {
+        // Extension context may not be available
+    });
+
+    storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes[SETTINGS_KEY]) {
+            applySettings(changes[SETTINGS_KEY].newValue);
+        }
+    });
+})();
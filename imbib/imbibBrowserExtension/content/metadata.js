@@ -0,0 +1,386 @@
+// metadata.js - Shared page metadata helpers for site adapters
+// Reads meta tags, JSON-LD and COinS from the current document
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib || (root.imbib = {});
+
+    function getMetaContent(name, attr = 'name') {
+        // Try both name and property attributes
+        const selectors = [
+            `meta[${attr}="${name}"]`,
+            `meta[name="${name}"]`,
+            `meta[property="${name}"]`
+        ];
+
+        for (const selector of selectors) {
+            const el = document.querySelector(selector);
+            if (el?.content) {
+                return el.content.trim();
+            }
+        }
+        return null;
+    }
+
+    function getMetaContentAll(name, attr = 'name') {
+        const results = [];
+        const selectors = [
+            `meta[${attr}="${name}"]`,
+            `meta[name="${name}"]`
+        ];
+
+        for (const selector of selectors) {
+            const elements = document.querySelectorAll(selector);
+            elements.forEach(el => {
+                if (el.content?.trim()) {
+                    results.push(el.content.trim());
+                }
+            });
+        }
+
+        return [...new Set(results)]; // Dedupe
+    }
+
+    // Highwire author tags come in document order, each citation_author
+    // followed by that author's own institution and ORCID tags
+    function extractHighwireAuthors() {
+        const { parseName, normalizeORCID, displayName } = imbib.authors;
+        const authors = [];
+        const seen = new Set();
+        let current = null;
+
+        document.querySelectorAll('meta[name^="citation_author"]').forEach(el => {
+            const value = el.content?.trim();
+            if (!value) return;
+
+            switch (el.getAttribute('name')) {
+                case 'citation_author': {
+                    const record = parseName(value);
+                    const key = displayName(record);
+                    // Skip repeated tags but keep attaching to the same author
+                    current = seen.has(key) ? null : record;
+                    if (current) {
+                        seen.add(key);
+                        authors.push(current);
+                    }
+                    break;
+                }
+                case 'citation_authors':
+                    // Some sites put every author in one tag, separated by semicolons
+                    value.split(';').map(parseName).filter(Boolean).forEach(record => {
+                        if (seen.has(displayName(record))) return;
+                        seen.add(displayName(record));
+                        authors.push(record);
+                    });
+                    current = null;
+                    break;
+                case 'citation_author_institution':
+                    if (current && !current.affiliations.includes(value)) {
+                        current.affiliations.push(value);
+                    }
+                    break;
+                case 'citation_author_orcid':
+                    if (current) current.orcid = normalizeORCID(value);
+                    break;
+            }
+        });
+
+        return authors;
+    }
+
+    // Author records from DOM elements holding one name each, picking up an
+    // ORCID link inside the element or right after it
+    function extractAuthorsFromElements(elements) {
+        const { parseName, normalizeORCID } = imbib.authors;
+        const orcidSelector = 'a[href*="orcid.org"]';
+
+        return Array.from(elements)
+            .filter(el => !el.matches(orcidSelector))
+            .map(el => {
+                const record = parseName(el.textContent);
+                if (!record) return null;
+
+                const next = el.nextElementSibling;
+                const orcidLink = el.querySelector(orcidSelector) ||
+                                  (next?.matches(orcidSelector) ? next : null);
+                record.orcid = normalizeORCID(orcidLink?.getAttribute('href'));
+                return record;
+            })
+            .filter(Boolean);
+    }
+
+    // Print and online dates from Highwire, PRISM and Dublin Core tags, most
+    // specific first. citation_date is arXiv's first-submission date.
+    function extractMetaDates() {
+        const { firstDate } = imbib.dates;
+        const meta = name => getMetaContent(name);
+
+        return {
+            printDate: firstDate(
+                meta('citation_publication_date'),
+                meta('citation_date'),
+                meta('citation_cover_date'),
+                meta('prism.coverDate'),
+                meta('prism.publicationDate'),
+                meta('DCTERMS.issued') || meta('dcterms.issued'),
+                meta('DC.date') || meta('dc.date'),
+                meta('citation_year')
+            ),
+            onlineDate: firstDate(meta('citation_online_date'))
+        };
+    }
+
+    // "123-130", "123–130" or "e1002" -> { first, last }
+    function parsePageRange(range) {
+        if (!range) return { first: null, last: null };
+        const [first, last] = String(range).split(/\s*[-\u2010-\u2015]+\s*/);
+        return { first: first || null, last: last || null };
+    }
+
+    function formatPages(first, last) {
+        if (!first) return null;
+        return last && last !== first ? `${first}–${last}` : first;
+    }
+
+    // Keyword tags hold one keyword each or a separated list; merge them
+    // into one list without case-insensitive duplicates
+    function splitKeywords(values) {
+        const seen = new Set();
+        return [].concat(values || [])
+            .flatMap(value => String(value).split(/[;,]/))
+            .map(keyword => keyword.trim())
+            .filter(keyword => {
+                const key = keyword.toLowerCase();
+                if (!keyword || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    // License URL from <link rel="license">, falling back to Dublin Core rights
+    function extractLicense() {
+        const link = document.querySelector('link[rel="license"], a[rel="license"]');
+        if (link?.href) return link.href;
+        return getMetaContent('DCTERMS.license') || getMetaContent('dcterms.license') ||
+               getMetaContent('DC.rights') || getMetaContent('dc.rights');
+    }
+
+    function extractDOIFromContent(content) {
+        return imbib.identifiers.extractDOI(content);
+    }
+
+    function extractSchemaOrg() {
+        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+        for (const script of scripts) {
+            try {
+                const data = JSON.parse(script.textContent);
+
+                // Handle @graph arrays
+                if (data['@graph']) {
+                    for (const item of data['@graph']) {
+                        if (isScholarlyType(item['@type'])) {
+                            return item;
+                        }
+                    }
+                }
+
+                // Direct type check
+                if (isScholarlyType(data['@type'])) {
+                    return data;
+                }
+            } catch (e) {
+                // Invalid JSON, skip
+            }
+        }
+        return null;
+    }
+
+    function isScholarlyType(type) {
+        const scholarlyTypes = [
+            'ScholarlyArticle', 'Article', 'NewsArticle',
+            'TechArticle', 'BlogPosting', 'WebPage',
+            ...Object.keys(JSONLD_ENTRY_TYPES)
+        ];
+        if (Array.isArray(type)) {
+            return type.some(t => scholarlyTypes.includes(t));
+        }
+        return scholarlyTypes.includes(type);
+    }
+
+    function extractAuthorsFromJsonLd(jsonLd) {
+        if (!jsonLd.author) return [];
+
+        const authors = Array.isArray(jsonLd.author) ? jsonLd.author : [jsonLd.author];
+        return authors
+            .map(a => {
+                if (typeof a === 'string') return imbib.authors.parseName(a);
+
+                // Organizations and Person entries without split names
+                const record = a.familyName
+                    ? { given: a.givenName || null, family: a.familyName }
+                    : { name: a.name };
+                if (a['@type'] === 'Organization' && a.name) {
+                    record.literal = a.name;
+                }
+
+                const affiliations = Array.isArray(a.affiliation) ? a.affiliation : [a.affiliation];
+                record.affiliations = affiliations
+                    .map(aff => typeof aff === 'string' ? aff : aff?.name)
+                    .filter(Boolean);
+
+                // ORCID as @id, identifier or sameAs URL
+                const ids = [a['@id'], a.identifier, ...(Array.isArray(a.sameAs) ? a.sameAs : [a.sameAs])];
+                record.orcid = ids.find(id => typeof id === 'string' && id.includes('orcid.org')) || null;
+
+                return imbib.authors.toRecord(record);
+            })
+            .filter(Boolean);
+    }
+
+    // JSON-LD values may be plain strings or nested objects with a name
+    function jsonLdText(value) {
+        if (Array.isArray(value)) value = value[0];
+        if (value && typeof value === 'object') {
+            value = value.name || value.alternateName || value.url || value['@id'];
+        }
+        return value ? String(value).trim() || null : null;
+    }
+
+    // First value of a property on the work or the issue, volume and
+    // periodical it is part of (issueNumber, volumeNumber, issn, publisher)
+    function jsonLdPartOf(jsonLd, key) {
+        let node = jsonLd;
+        for (let depth = 0; node && typeof node === 'object' && depth < 5; depth++) {
+            if (node[key] != null) return node[key];
+            node = Array.isArray(node.isPartOf) ? node.isPartOf[0] : node.isPartOf;
+        }
+        return null;
+    }
+
+    function extractDOIFromJsonLd(jsonLd) {
+        // Check identifier array
+        if (jsonLd.identifier) {
+            const identifiers = Array.isArray(jsonLd.identifier) ?
+                               jsonLd.identifier : [jsonLd.identifier];
+            for (const id of identifiers) {
+                if (id.propertyID?.toLowerCase() === 'doi' && id.value) {
+                    return imbib.identifiers.normalizeDOI(id.value);
+                }
+                if (typeof id === 'string') {
+                    const doi = extractDOIFromContent(id);
+                    if (doi) return doi;
+                }
+            }
+        }
+
+        // Check sameAs for DOI URL
+        if (jsonLd.sameAs) {
+            const urls = Array.isArray(jsonLd.sameAs) ? jsonLd.sameAs : [jsonLd.sameAs];
+            for (const url of urls) {
+                if (url.includes('doi.org')) {
+                    return extractDOIFromContent(url);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Schema.org types that name a BibTeX entry type outright
+    const JSONLD_ENTRY_TYPES = {
+        Book: 'book',
+        Chapter: 'incollection',
+        Thesis: 'phdthesis',
+        Report: 'techreport',
+        Dataset: 'dataset',
+        SoftwareSourceCode: 'software',
+        SoftwareApplication: 'software'
+    };
+
+    // COinS rft.genre values
+    const COINS_ENTRY_TYPES = {
+        article: 'article',
+        proceeding: 'inproceedings',
+        conference: 'inproceedings',
+        book: 'book',
+        bookitem: 'incollection',
+        report: 'techreport',
+        dissertation: 'phdthesis'
+    };
+
+    function thesisType(degree) {
+        return /master|m\.?sc|m\.?a\b/i.test(degree || '') ? 'mastersthesis' : 'phdthesis';
+    }
+
+    // Infer the BibTeX entry type from Highwire tags, then JSON-LD and COinS.
+    // Returns null when nothing on the page says what kind of work it is.
+    function inferEntryType({ jsonLd = null, coins = null } = {}) {
+        if (getMetaContent('citation_dissertation_institution')) {
+            return thesisType(getMetaContent('citation_dissertation_name'));
+        }
+        if (getMetaContent('citation_technical_report_institution')) return 'techreport';
+        if (getMetaContent('citation_conference_title')) return 'inproceedings';
+
+        // A book's own landing page may repeat its title as citation_book_title
+        const bookTitle = getMetaContent('citation_book_title');
+        if (bookTitle) {
+            return bookTitle === getMetaContent('citation_title') ? 'book' : 'incollection';
+        }
+        if (getMetaContent('citation_journal_title')) return 'article';
+        if (getMetaContent('citation_isbn')) return 'book';
+
+        const types = [].concat(jsonLd?.['@type'] || []);
+        for (const type of types) {
+            if (type === 'Thesis') return thesisType(jsonLd.inSupportOf);
+            if (JSONLD_ENTRY_TYPES[type]) return JSONLD_ENTRY_TYPES[type];
+        }
+        if (types.includes('ScholarlyArticle')) return 'article';
+
+        if (coins) {
+            if (/dissertation$/.test(coins['rft_val_fmt'] || '')) return 'phdthesis';
+            const genre = COINS_ENTRY_TYPES[coins['rft.genre']];
+            if (genre) return genre;
+        }
+
+        return null;
+    }
+
+    function extractCOinS() {
+        const span = document.querySelector('span.Z3988');
+        if (!span) return null;
+
+        const title = span.getAttribute('title');
+        if (!title) return null;
+
+        const params = {};
+        try {
+            new URLSearchParams(title).forEach((value, key) => {
+                params[key] = decodeURIComponent(value);
+            });
+        } catch (e) {
+            // Invalid URL params
+        }
+        return Object.keys(params).length > 0 ? params : null;
+    }
+
+    imbib.meta = {
+        getMetaContent,
+        getMetaContentAll,
+        extractHighwireAuthors,
+        extractAuthorsFromElements,
+        extractMetaDates,
+        parsePageRange,
+        formatPages,
+        splitKeywords,
+        extractLicense,
+        extractDOIFromContent,
+        extractSchemaOrg,
+        extractAuthorsFromJsonLd,
+        extractDOIFromJsonLd,
+        jsonLdText,
+        jsonLdPartOf,
+        inferEntryType,
+        extractCOinS
+    };
+})(globalThis);
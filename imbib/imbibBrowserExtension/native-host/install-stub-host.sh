@@ -0,0 +1,79 @@
+#!/bin/bash
+# install-stub-host.sh
+# Register stub-host.py as the com.imbib.app native messaging host for
+# Chrome, Chromium, Edge and Firefox (development only)
+#
+# Usage: ./install-stub-host.sh <chrome-extension-id>
+#        ./install-stub-host.sh --uninstall
+
+set -e
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+HOST_NAME="com.imbib.app"
+HOST_PATH="$SCRIPT_DIR/stub-host.py"
+FIREFOX_EXTENSION_ID="imbib@imbib.app"
+
+if [ "$(uname)" = "Darwin" ]; then
+    SUPPORT="$HOME/Library/Application Support"
+    CHROMIUM_DIRS=(
+        "$SUPPORT/Google/Chrome/NativeMessagingHosts"
+        "$SUPPORT/Chromium/NativeMessagingHosts"
+        "$SUPPORT/Microsoft Edge/NativeMessagingHosts"
+    )
+    FIREFOX_DIR="$SUPPORT/Mozilla/NativeMessagingHosts"
+else
+    CHROMIUM_DIRS=(
+        "$HOME/.config/google-chrome/NativeMessagingHosts"
+        "$HOME/.config/chromium/NativeMessagingHosts"
+        "$HOME/.config/microsoft-edge/NativeMessagingHosts"
+    )
+    FIREFOX_DIR="$HOME/.mozilla/native-messaging-hosts"
+fi
+
+if [ "$1" = "--uninstall" ]; then
+    for dir in "${CHROMIUM_DIRS[@]}" "$FIREFOX_DIR"; do
+        rm -f "$dir/$HOST_NAME.json"
+    done
+    echo "Removed $HOST_NAME host manifests"
+    exit 0
+fi
+
+CHROME_EXTENSION_ID="$1"
+if [ -z "$CHROME_EXTENSION_ID" ]; then
+    echo "Usage: $0 <chrome-extension-id>"
+    echo "Find the ID on chrome://extensions (or edge://extensions) after loading the unpacked extension."
+    exit 1
+fi
+
+chmod +x "$HOST_PATH"
+
+# Chromium browsers list allowed extension origins, Firefox extension IDs
+for dir in "${CHROMIUM_DIRS[@]}"; do
+    mkdir -p "$dir"
+    cat > "$dir/$HOST_NAME.json" <<JSON
+{
+  "name": "$HOST_NAME",
+  "description": "imbib stub native messaging host",
+  "path": "$HOST_PATH",
+  "type": "stdio",
+  "allowed_origins": ["chrome-extension://$CHROME_EXTENSION_ID/"]
+}
+JSON
+    echo "Installed: $dir/$HOST_NAME.json"
+done
+
+mkdir -p "$FIREFOX_DIR"
+cat > "$FIREFOX_DIR/$HOST_NAME.json" <<JSON
+{
+  "name": "$HOST_NAME",
+  "description": "imbib stub native messaging host",
+  "path": "$HOST_PATH",
+  "type": "stdio",
+  "allowed_extensions": ["$FIREFOX_EXTENSION_ID"]
+}
+JSON
+echo "Installed: $FIREFOX_DIR/$HOST_NAME.json"
+
+echo ""
+echo "Reload the extension, then open its popup on a paper: the library picker"
+echo "appears and imports are logged to the browser's stderr."
@@ -0,0 +1,155 @@
+#!/usr/bin/env python3
+# stub-host.py - Stand-in for imbib's native messaging host (development only)
+#
+# Speaks the browser native messaging protocol (a 4-byte native-endian length,
+# then that many bytes of UTF-8 JSON, in both directions) and answers the same
+# actions as SafariWebExtensionHandler. Imported items and smart searches are
+# kept in a JSON file so duplicate checks survive host restarts; nothing
+# reaches the app.
+
+import json
+import os
+import struct
+import sys
+import tempfile
+import time
+import uuid
+
+STATE_PATH = os.environ.get(
+    "IMBIB_STUB_STATE",
+    os.path.join(tempfile.gettempdir(), "imbib-stub-host.json"),
+)
+
+LIBRARIES = [
+    {"id": "stub-library", "name": "Stub Library"},
+    {"id": "stub-reading-list", "name": "Stub Reading List"},
+]
+
+COLLECTIONS = [
+    {"id": "stub-collection", "name": "Stub Project", "libraryId": "stub-library"},
+    {"id": "stub-triage", "name": "Stub Triage", "libraryId": "stub-reading-list"},
+]
+
+
+def log(message):
+    # stdout carries the protocol; browsers log the host's stderr
+    print(f"imbib stub host: {message}", file=sys.stderr, flush=True)
+
+
+# ==================== Protocol ====================
+
+def read_message():
+    header = sys.stdin.buffer.read(4)
+    if len(header) < 4:
+        return None
+    (length,) = struct.unpack("=I", header)
+    return json.loads(sys.stdin.buffer.read(length).decode("utf-8"))
+
+
+def write_message(message):
+    data = json.dumps(message).encode("utf-8")
+    sys.stdout.buffer.write(struct.pack("=I", len(data)))
+    sys.stdout.buffer.write(data)
+    sys.stdout.buffer.flush()
+
+
+# ==================== State ====================
+
+def load_state():
+    try:
+        with open(STATE_PATH, encoding="utf-8") as f:
+            return json.load(f)
+    except (OSError, ValueError):
+        return {"items": [], "smartSearches": []}
+
+
+def save_state(state):
+    with open(STATE_PATH, "w", encoding="utf-8") as f:
+        json.dump(state, f, indent=2)
+
+
+# ==================== Actions ====================
+
+def same_identifier(a, b):
+    return bool(a) and bool(b) and str(a).lower() == str(b).lower()
+
+
+def handle(message, state):
+    action = message.get("action")
+
+    if action == "ping":
+        return {"success": True, "message": "pong"}
+
+    if action == "getLibraries":
+        return {"libraries": LIBRARIES}
+
+    if action == "getCollections":
+        return {"collections": COLLECTIONS}
+
+    if action == "importItem":
+        item = message.get("item")
+        if not isinstance(item, dict):
+            return {"error": "No item data"}
+        state["items"].append({**item, "id": str(uuid.uuid4()), "timestamp": time.time()})
+        save_state(state)
+        log(f"imported {item.get('title') or 'unknown'}")
+        return {"success": True}
+
+    if action == "checkDuplicate":
+        exists = any(
+            same_identifier(message.get(key), item.get(key))
+            for item in state["items"]
+            for key in ("doi", "arxivID", "bibcode")
+        )
+        return {"exists": exists}
+
+    if action == "checkDuplicates":
+        items = message.get("items")
+        if not isinstance(items, list):
+            return {"error": "No items"}
+        exists = [
+            isinstance(candidate, dict) and any(
+                same_identifier(candidate.get(key), item.get(key))
+                for item in state["items"]
+                for key in ("doi", "arxivID", "bibcode")
+            )
+            for candidate in items
+        ]
+        return {"exists": exists}
+
+    if action == "createSmartSearch":
+        query = message.get("query")
+        if not query:
+            return {"error": "No query provided"}
+        state["smartSearches"].append({
+            "query": query,
+            "name": message.get("name") or f"Search: {query[:40]}",
+            "sourceID": message.get("sourceID") or "ads",
+        })
+        save_state(state)
+        log(f"created smart search {query}")
+        return {"success": True}
+
+    log(f"unknown action {action}")
+    return {"error": "Unknown action"}
+
+
+def main():
+    state = load_state()
+    log(f"started, state in {STATE_PATH}")
+
+    while True:
+        message = read_message()
+        if message is None:
+            # The browser closed the port
+            return
+
+        response = handle(message, state)
+        # Echo the request id so the extension can match the answer
+        if "id" in message:
+            response["id"] = message["id"]
+        write_message(response)
+
+
+if __name__ == "__main__":
+    main()
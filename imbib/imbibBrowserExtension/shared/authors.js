@@ -0,0 +1,210 @@
+// authors.js - Structured author records
+// Parses display names into given/family parts (with particles and suffixes),
+// recognises collaborations, and validates ORCID iDs.
+//
+// Author record:
+//   {
+//       given: 'Anna', family: 'Berg', particle: 'van der', suffix: 'Jr.',
+//       literal: null,            // Set instead of name parts for collaborations
+//       affiliations: ['...'],
+//       orcid: '0000-0002-1825-0097'
+//   }
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib || (root.imbib = {});
+
+    // Lower-case name particles, longest first so "van der" wins over "van"
+    const PARTICLES = [
+        'van den', 'van der', 'van de', 'von der', 'de la', 'de las', 'de los', 'del',
+        'van', 'von', 'der', 'den', 'de', 'la', 'le', 'du', 'da', 'das', 'dos',
+        'di', 'della', 'delle', 'ten', 'ter', 'zu', 'af', 'al', 'el', 'bin', 'ibn'
+    ];
+
+    // No bare "V": it is far more often an initial ("Rubin, V.")
+    const SUFFIX_PATTERN = /^(?:jr|sr|ii|iii|iv|2nd|3rd)\.?$/i;
+
+    // Initials written after the family name, PubMed style: "Smith JR", "Rubin V.C."
+    const INITIALS_PATTERN = /^(?:[A-Z]\.?){1,3}$/;
+
+    const COLLABORATION_PATTERN =
+        /\b(?:collaboration|consortium|team|group|survey|project|observatory|committee|network|association)\b/i;
+
+    function cleanName(raw) {
+        return String(raw || '')
+            .replace(/\s+/g, ' ')
+            .replace(/[;†‡*]+$/, '')  // List separators, footnote daggers and asterisks
+            .trim();
+    }
+
+    function isCollaboration(name) {
+        return COLLABORATION_PATTERN.test(name);
+    }
+
+    // Split a leading particle off a family name: "van der Berg" -> ["van der", "Berg"]
+    function splitParticle(family) {
+        const lower = family.toLowerCase();
+        for (const particle of PARTICLES) {
+            if (lower.startsWith(particle + ' ') && family.length > particle.length + 1) {
+                return [family.substring(0, particle.length), family.substring(particle.length + 1)];
+            }
+        }
+        return [null, family];
+    }
+
+    function emptyRecord() {
+        return { given: null, family: null, particle: null, suffix: null, literal: null, affiliations: [], orcid: null };
+    }
+
+    // Parse "Family, Given", "Family, Suffix, Given", "Family, Given, Suffix",
+    // "Given Particle Family Suffix" or "Family Initials" into an author record
+    function parseName(raw) {
+        const name = cleanName(raw);
+        const record = emptyRecord();
+        if (!name) return null;
+
+        if (isCollaboration(name)) {
+            record.literal = name;
+            return record;
+        }
+
+        if (name.includes(',')) {
+            const parts = name.split(',').map(p => p.trim()).filter(Boolean);
+            let family = parts.shift();
+            let rest = parts;
+
+            // A suffix needs given names beside it: "Grant, Iv" is Iv Grant
+            const suffixIndex = rest.length > 1 ? rest.findIndex(p => SUFFIX_PATTERN.test(p)) : -1;
+            if (suffixIndex !== -1) {
+                record.suffix = rest[suffixIndex];
+                rest = rest.filter((_, i) => i !== suffixIndex);
+            }
+
+            [record.particle, family] = splitParticle(family);
+            record.family = family;
+            record.given = rest.join(' ') || null;
+            return record;
+        }
+
+        const words = name.split(' ');
+        if (words.length > 2 && SUFFIX_PATTERN.test(words[words.length - 1])) {
+            record.suffix = words.pop();
+        }
+
+        if (words.length === 1) {
+            record.family = words[0];
+            return record;
+        }
+
+        // "Smith JR", "van der Berg A": family name first, then initials
+        let initialsStart = words.length;
+        while (initialsStart > 1 && INITIALS_PATTERN.test(words[initialsStart - 1])) initialsStart--;
+        if (initialsStart < words.length && !INITIALS_PATTERN.test(words[0])) {
+            [record.particle, record.family] = splitParticle(words.slice(0, initialsStart).join(' '));
+            record.given = words.slice(initialsStart).join(' ');
+            return record;
+        }
+
+        // The family name starts at the first lower-case particle word after
+        // the given names, otherwise it is the last word
+        let familyStart = words.length - 1;
+        for (let i = 1; i < words.length - 1; i++) {
+            const rest = words.slice(i).join(' ');
+            if (words[i] === words[i].toLowerCase() && splitParticle(rest)[0]) {
+                familyStart = i;
+                break;
+            }
+        }
+
+        const family = words.slice(familyStart).join(' ');
+        [record.particle, record.family] = splitParticle(family);
+        record.given = words.slice(0, familyStart).join(' ') || null;
+        return record;
+    }
+
+    // ==================== ORCID ====================
+
+    // ISO 7064 MOD 11-2 check character
+    function orcidCheckDigit(digits) {
+        let total = 0;
+        for (const digit of digits) {
+            total = (total + Number(digit)) * 2;
+        }
+        const result = (12 - (total % 11)) % 11;
+        return result === 10 ? 'X' : String(result);
+    }
+
+    function normalizeORCID(raw) {
+        if (!raw) return null;
+        const match = String(raw).toUpperCase().match(/(\d{4})-?(\d{4})-?(\d{4})-?(\d{3}[\dX])/);
+        if (!match) return null;
+
+        const digits = match.slice(1).join('');
+        if (orcidCheckDigit(digits.substring(0, 15)) !== digits[15]) return null;
+        return match.slice(1).join('-');
+    }
+
+    // ==================== Records ====================
+
+    // Accept a display string or a (partial) record and return a full record
+    function toRecord(author) {
+        if (!author) return null;
+        if (typeof author === 'string') return parseName(author);
+
+        const record = { ...emptyRecord(), ...author };
+        record.affiliations = (author.affiliations || []).filter(Boolean);
+        record.orcid = normalizeORCID(author.orcid);
+
+        if (!record.family && !record.literal && author.name) {
+            const parsed = parseName(author.name);
+            if (!parsed) return null;
+            Object.assign(record, parsed, {
+                affiliations: record.affiliations,
+                orcid: record.orcid
+            });
+        }
+        delete record.name;
+
+        return record.family || record.literal ? record : null;
+    }
+
+    function toRecords(authors) {
+        return (authors || []).map(toRecord).filter(Boolean);
+    }
+
+    // "Anna van der Berg Jr."
+    function displayName(author) {
+        if (!author) return '';
+        if (typeof author === 'string') return author;
+        if (author.literal) return author.literal;
+        return [author.given, author.particle, author.family, author.suffix].filter(Boolean).join(' ');
+    }
+
+    // "van der Berg, Jr., Anna" - BibTeX's "von Last, Jr, First" form
+    function sortName(author) {
+        if (!author) return '';
+        if (typeof author === 'string') return author;
+        if (author.literal) return author.literal;
+
+        const last = [author.particle, author.family].filter(Boolean).join(' ');
+        return [last, author.suffix, author.given].filter(Boolean).join(', ');
+    }
+
+    function familyName(author) {
+        if (!author) return '';
+        if (typeof author === 'string') return parseName(author)?.family || author;
+        return author.literal || author.family || '';
+    }
+
+    imbib.authors = {
+        parseName,
+        normalizeORCID,
+        isCollaboration,
+        toRecord,
+        toRecords,
+        displayName,
+        sortName,
+        familyName
+    };
+})(globalThis);
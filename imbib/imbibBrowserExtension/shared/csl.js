@@ -0,0 +1,101 @@
+// csl.js - CSL-JSON item writer
+// Converts extracted metadata into Citation Style Language items, the format
+// Zotero, Pandoc and citeproc-based tools read.
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib || (root.imbib = {});
+
+    // BibTeX entry type -> CSL item type
+    const CSL_TYPES = {
+        article: 'article-journal',
+        inproceedings: 'paper-conference',
+        incollection: 'chapter',
+        book: 'book',
+        phdthesis: 'thesis',
+        mastersthesis: 'thesis',
+        techreport: 'report',
+        dataset: 'dataset',
+        software: 'software',
+        misc: 'document'
+    };
+
+    function cslName(author) {
+        if (author.literal) return { literal: author.literal };
+
+        const name = { family: author.family };
+        if (author.given) name.given = author.given;
+        if (author.particle) name['non-dropping-particle'] = author.particle;
+        if (author.suffix) name.suffix = author.suffix;
+        return name;
+    }
+
+    // { 'date-parts': [[2021, 3, 4]] } with trailing unknown parts omitted
+    function cslDate(date) {
+        if (!date?.year) return null;
+        const parts = [Number(date.year)];
+        if (date.month) {
+            parts.push(Number(date.month));
+            if (date.day) parts.push(Number(date.day));
+        }
+        return { 'date-parts': [parts] };
+    }
+
+    function toItem(rawMetadata, id) {
+        const metadata = imbib.identifiers.normalizeMetadata(rawMetadata);
+        const entryType = metadata.entryType || 'article';
+
+        // An arXiv paper with no journal yet is a preprint
+        const isPreprint = metadata.arxivID && !metadata.journal && entryType === 'article';
+
+        const item = {
+            id: id || imbib.bibtex.citeKey(metadata),
+            type: isPreprint ? 'article' : CSL_TYPES[entryType] || 'article-journal',
+            title: metadata.title,
+            author: imbib.authors.toRecords(metadata.authors).map(cslName),
+            issued: cslDate(metadata),
+            'available-date': cslDate(imbib.dates.parseDate(metadata.onlineDate)),
+            'container-title': metadata.journal || metadata.booktitle,
+            volume: metadata.volume,
+            issue: metadata.issue,
+            page: metadata.pages,
+            number: metadata.articleNumber,
+            publisher: metadata.publisher || metadata.institution || (isPreprint ? 'arXiv' : null),
+            genre: entryType === 'phdthesis' ? 'PhD thesis' :
+                   entryType === 'mastersthesis' ? "Master's thesis" : null,
+            DOI: metadata.doi,
+            URL: metadata.url || metadata.landingURL ||
+                 (metadata.arxivID ? `https://arxiv.org/abs/${metadata.arxivID}` : null),
+            ISSN: [].concat(metadata.issn || [])[0],
+            ISBN: metadata.isbn,
+            PMID: metadata.pmid,
+            PMCID: metadata.pmcid,
+            language: metadata.language,
+            keyword: [].concat(metadata.keywords || []).join(', '),
+            abstract: metadata.abstract,
+            license: metadata.license
+        };
+
+        if (isPreprint) item.number = `arXiv:${metadata.arxivID}`;
+
+        // Leave out everything that is empty
+        for (const [key, value] of Object.entries(item)) {
+            if (value == null || value === '' || Array.isArray(value) && value.length === 0) {
+                delete item[key];
+            }
+        }
+        return item;
+    }
+
+    // A CSL-JSON document: always an array, with distinct ids
+    function format(items) {
+        const ids = imbib.bibtex.uniqueCiteKeys(items);
+        return JSON.stringify(items.map((item, index) => toItem(item, ids[index])), null, 2) + '\n';
+    }
+
+    imbib.csl = {
+        toItem,
+        format
+    };
+})(globalThis);
@@ -0,0 +1,127 @@
+// dates.js - Publication date parsing
+// Understands the date formats found in Highwire, Dublin Core, PRISM, JSON-LD
+// and COinS metadata and returns year, month and day separately.
+//
+// Parsed date: { year: 2021, month: 3, day: 4 } - month and day may be null
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib || (root.imbib = {});
+
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    // "mar", "March", "Sept." -> 3
+    function monthNumber(name) {
+        if (!name) return null;
+        const key = String(name).toLowerCase().replace(/\.$/, '').substring(0, 3);
+        const index = MONTHS.indexOf(key);
+        return index === -1 ? null : index + 1;
+    }
+
+    function isValidYear(year) {
+        return year >= 1000 && year <= 2999;
+    }
+
+    function makeDate(year, month = null, day = null) {
+        year = Number(year);
+        month = month ? Number(month) : null;
+        day = day ? Number(day) : null;
+
+        if (!isValidYear(year)) return null;
+        if (month !== null && (month < 1 || month > 12)) month = null;
+        if (month === null || day !== null && (day < 1 || day > 31)) day = null;
+
+        return { year, month, day };
+    }
+
+    function parseDate(raw) {
+        if (!raw) return null;
+        const value = String(raw).trim().replace(/\s+/g, ' ');
+        let match;
+
+        // ISO 8601 and Highwire's slash form: 2021-03-04, 2021/3/4, 2021-03,
+        // 2021-03-04T12:00:00Z
+        match = value.match(/^(\d{4})(?:[-/.](\d{1,2})(?:[-/.](\d{1,2}))?)?(?:[T ]\d|$)/);
+        if (match) return makeDate(match[1], match[2], match[3]);
+
+        // Compact form used in some COinS and PRISM values: 20210304
+        match = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+        if (match) return makeDate(match[1], match[2], match[3]);
+
+        // PubMed style: "2021 Mar 4", "2021 Mar-Apr", "2021 Spring"
+        match = value.match(/^(\d{4}) ([A-Za-z]+)\.?(?:[-/][A-Za-z]+)?(?: (\d{1,2}))?$/);
+        if (match) return makeDate(match[1], monthNumber(match[2]), match[3]);
+
+        // "4 Mar 2021", "04 March 2021"
+        match = value.match(/^(\d{1,2}) ([A-Za-z]+)\.?,? (\d{4})$/);
+        if (match && monthNumber(match[2])) return makeDate(match[3], monthNumber(match[2]), match[1]);
+
+        // "March 4, 2021", "Mar. 4 2021", "March 2021"
+        match = value.match(/^([A-Za-z]+)\.?(?: (\d{1,2})(?:st|nd|rd|th)?)?,? (\d{4})$/);
+        if (match) return makeDate(match[3], monthNumber(match[1]), match[2]);
+
+        // Numeric day/month order is ambiguous unless one part exceeds 12:
+        // "04/03/2021" could be either, so only the year is kept
+        match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+        if (match) {
+            const [first, second] = [Number(match[1]), Number(match[2])];
+            if (first > 12) return makeDate(match[3], second, first);
+            if (second > 12) return makeDate(match[3], first, second);
+            return makeDate(match[3]);
+        }
+
+        // Last resort: a plausible four-digit year anywhere ("Spring 2021")
+        match = value.match(/\b(1[5-9]\d{2}|2\d{3})\b/);
+        return match ? makeDate(match[1]) : null;
+    }
+
+    // Partial ISO 8601: "2021", "2021-03" or "2021-03-04"
+    function formatDate(date) {
+        if (!date?.year) return null;
+        const pad = n => String(n).padStart(2, '0');
+        let result = String(date.year);
+        if (date.month) result += `-${pad(date.month)}`;
+        if (date.month && date.day) result += `-${pad(date.day)}`;
+        return result;
+    }
+
+    // BibTeX's three-letter month macro name: 3 -> "mar"
+    function monthAbbreviation(month) {
+        return MONTHS[Number(month) - 1] || null;
+    }
+
+    // First value that parses, so callers can list sources in priority order
+    function firstDate(...values) {
+        for (const value of values) {
+            const date = parseDate(value);
+            if (date) return date;
+        }
+        return null;
+    }
+
+    // Copy a print date (falling back to the online date) onto a metadata
+    // object as year/month/day/date fields, plus onlineDate when known
+    function applyDates(metadata, { printDate, onlineDate }) {
+        const primary = printDate || onlineDate;
+        if (primary) {
+            metadata.year = String(primary.year);
+            metadata.month = primary.month;
+            metadata.day = primary.day;
+            metadata.date = formatDate(primary);
+        }
+        if (onlineDate) {
+            metadata.onlineDate = formatDate(onlineDate);
+        }
+        return metadata;
+    }
+
+    imbib.dates = {
+        parseDate,
+        formatDate,
+        monthNumber,
+        monthAbbreviation,
+        firstDate,
+        applyDates
+    };
+})(globalThis);
@@ -0,0 +1,414 @@
+// identifiers.js - Identifier normalization and cross-mapping
+// Validates and canonicalizes DOI, arXiv, bibcode, PMID/PMCID and ISBN values,
+// and derives identifiers from one another where the mapping is exact.
+// Shared by the site adapters, the popup and the background worker.
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib || (root.imbib = {});
+
+    // ==================== DOI ====================
+
+    const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+    // DataCite DOIs that arXiv mints for every paper: 10.48550/arXiv.2401.00001
+    const ARXIV_DOI_PATTERN = /^10\.48550\/arxiv\.(.+)$/i;
+
+    function safeDecode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    // Trailing punctuation that is almost never part of a DOI but often follows
+    // one in running text. Closing brackets are only dropped when unbalanced,
+    // since DOIs like 10.1016/0006-2952(78)90207-0 end in one legitimately.
+    function trimTrailing(value) {
+        let result = value.replace(/[.,;:'"]+$/, '');
+        const pairs = { ')': '(', ']': '[', '}': '{', '>': '<' };
+
+        let last = result.charAt(result.length - 1);
+        while (pairs[last]) {
+            const opens = result.split(pairs[last]).length - 1;
+            const closes = result.split(last).length - 1;
+            if (closes <= opens) break;
+            result = result.slice(0, -1).replace(/[.,;:'"]+$/, '');
+            last = result.charAt(result.length - 1);
+        }
+        return result;
+    }
+
+    function normalizeDOI(raw) {
+        if (!raw) return null;
+
+        let value = safeDecode(String(raw).trim());
+        value = value.replace(/^(?:https?:\/\/)?(?:dx\.|www\.)?doi\.org\//i, '');
+        value = value.replace(/^doi:\s*/i, '');
+
+        const match = value.match(/10\.\d{4,9}\/\S+/);
+        if (!match) return null;
+
+        const doi = trimTrailing(match[0]);
+        return DOI_PATTERN.test(doi) ? doi : null;
+    }
+
+    // Find a DOI anywhere in a string (URL, citation text, identifier field)
+    function extractDOI(text) {
+        if (!text) return null;
+        const match = safeDecode(String(text)).match(/10\.\d{4,9}\/[^\s"<>]+/);
+        return match ? normalizeDOI(match[0]) : null;
+    }
+
+    // ==================== arXiv ====================
+
+    // New scheme (2007+): YYMM.NNNN (to 1412) or YYMM.NNNNN, optional version
+    const ARXIV_NEW_PATTERN = /^(\d{4}\.\d{4,5})(v\d+)?$/;
+
+    // Old scheme: archive(.SUBJ-CLASS)/YYMMNNN, optional version
+    const ARXIV_OLD_PATTERN = /^([a-z-]+)(?:\.[A-Za-z-]{2,})?\/(\d{7})(v\d+)?$/i;
+
+    // Returns { id, version, scheme } with the version split out, or null
+    function parseArXiv(raw) {
+        if (!raw) return null;
+
+        let value = safeDecode(String(raw).trim());
+        value = value.replace(/^(?:https?:\/\/)?(?:www\.|export\.)?arxiv\.org\/(?:abs|pdf)\//i, '');
+        value = value.replace(/^arxiv:\s*/i, '');
+        value = value.replace(/[?#].*$/, '').replace(/\/$/, '').replace(/\.pdf$/i, '');
+
+        const doiMatch = value.match(ARXIV_DOI_PATTERN);
+        if (doiMatch) value = doiMatch[1];
+
+        let match = value.match(ARXIV_NEW_PATTERN);
+        if (match) {
+            return { id: match[1], version: match[2] || null, scheme: 'new' };
+        }
+
+        match = value.match(ARXIV_OLD_PATTERN);
+        if (match) {
+            // Subject classes (math.GT/...) are not part of the canonical ID
+            return { id: `${match[1].toLowerCase()}/${match[2]}`, version: match[3] || null, scheme: 'old' };
+        }
+
+        return null;
+    }
+
+    function normalizeArXiv(raw) {
+        return parseArXiv(raw)?.id || null;
+    }
+
+    function arxivDOI(arxivID) {
+        const id = normalizeArXiv(arxivID);
+        return id ? `10.48550/arXiv.${id}` : null;
+    }
+
+    // ==================== ADS Bibcode ====================
+
+    // YYYY JJJJJ VVVV M PPPP A - 19 characters, journal part may contain '&'
+    const BIBCODE_PATTERN = /^\d{4}[A-Za-z&.]{5}[\w.]{4}[\w.:][\w.]{4}[A-Za-z.]$/;
+
+    function normalizeBibcode(raw) {
+        if (!raw) return null;
+        const value = safeDecode(String(raw).trim());
+        return BIBCODE_PATTERN.test(value) ? value : null;
+    }
+
+    // arXiv e-print bibcodes: 2020arXiv200112345X or 2010arXiv1001.1234X
+    function arxivFromBibcode(bibcode) {
+        const value = normalizeBibcode(bibcode);
+        if (!value) return null;
+
+        const match = value.match(/^\d{4}arXiv(\d{4})\.?(\d{4,5})[A-Za-z.]$/);
+        return match ? `${match[1]}.${match[2]}` : null;
+    }
+
+    // ==================== PubMed ====================
+
+    function normalizePMID(raw) {
+        if (!raw) return null;
+        const match = String(raw).trim().match(/^(?:pmid:?\s*)?(\d{1,9})$/i);
+        return match ? String(Number(match[1])) : null;
+    }
+
+    function normalizePMCID(raw) {
+        if (!raw) return null;
+        const match = String(raw).trim().match(/^(?:pmcid:?\s*)?(?:PMC)?(\d{1,9})$/i);
+        return match ? `PMC${match[1]}` : null;
+    }
+
+    // ==================== ISBN ====================
+
+    function isbn10CheckDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < 9; i++) sum += (10 - i) * Number(digits[i]);
+        const check = (11 - (sum % 11)) % 11;
+        return check === 10 ? 'X' : String(check);
+    }
+
+    function isbn13CheckDigit(digits) {
+        let sum = 0;
+        for (let i = 0; i < 12; i++) sum += (i % 2 === 0 ? 1 : 3) * Number(digits[i]);
+        return String((10 - (sum % 10)) % 10);
+    }
+
+    // Canonical form is the hyphen-free ISBN-13; ISBN-10s are converted
+    function normalizeISBN(raw) {
+        if (!raw) return null;
+        const value = String(raw).replace(/^isbn(?:-1[03])?:?\s*/i, '').replace(/[\s-]/g, '').toUpperCase();
+
+        if (/^\d{9}[\dX]$/.test(value)) {
+            if (isbn10CheckDigit(value) !== value[9]) return null;
+            const body = '978' + value.substring(0, 9);
+            return body + isbn13CheckDigit(body);
+        }
+
+        if (/^97[89]\d{10}$/.test(value)) {
+            return isbn13CheckDigit(value) === value[12] ? value : null;
+        }
+
+        return null;
+    }
+
+    // ==================== ISSN ====================
+
+    // Canonical form is NNNN-NNNC with an upper-case X check character
+    function normalizeISSN(raw) {
+        if (!raw) return null;
+        const match = String(raw).toUpperCase().match(/(\d{4})-?(\d{3}[\dX])/);
+        if (!match) return null;
+
+        const digits = match[1] + match[2];
+        let sum = 0;
+        for (let i = 0; i < 7; i++) sum += (8 - i) * Number(digits[i]);
+        const check = (11 - (sum % 11)) % 11;
+        if ((check === 10 ? 'X' : String(check)) !== digits[7]) return null;
+
+        return `${match[1]}-${match[2]}`;
+    }
+
+    // ==================== Metadata ====================
+
+    // Canonicalize every identifier on a metadata object and fill in the ones
+    // that follow from others. Invalid values are dropped rather than passed
+    // on, so duplicate checks and imports compare like with like. PMIDs and
+    // PMCIDs only map onto each other through NCBI's ID converter, so neither
+    // is derived here.
+    function normalizeMetadata(metadata) {
+        if (!metadata) return metadata;
+
+        const result = { ...metadata };
+
+        if ('doi' in result) result.doi = normalizeDOI(result.doi);
+        if ('bibcode' in result) result.bibcode = normalizeBibcode(result.bibcode);
+        if ('pmid' in result) result.pmid = normalizePMID(result.pmid);
+        if ('pmcid' in result) result.pmcid = normalizePMCID(result.pmcid);
+        if ('isbn' in result) result.isbn = normalizeISBN(result.isbn);
+        if (Array.isArray(result.issn)) {
+            result.issn = [...new Set(result.issn.map(normalizeISSN).filter(Boolean))];
+        }
+
+        if ('arxivID' in result) {
+            const arxiv = parseArXiv(result.arxivID);
+            result.arxivID = arxiv?.id || null;
+            if (arxiv?.version && !result.arxivVersion) result.arxivVersion = arxiv.version;
+        }
+
+        // Cross-derive: arXiv bibcodes and arXiv DOIs both name the e-print
+        if (!result.arxivID && result.bibcode) {
+            result.arxivID = arxivFromBibcode(result.bibcode) || result.arxivID;
+        }
+        if (!result.arxivID && result.doi && ARXIV_DOI_PATTERN.test(result.doi)) {
+            result.arxivID = normalizeArXiv(result.doi);
+        }
+        // ...and every e-print has a DataCite DOI, for papers without a journal one
+        if (!result.doi && result.arxivID) {
+            result.doi = arxivDOI(result.arxivID);
+        }
+
+        if (Array.isArray(result.items)) {
+            result.items = result.items.map(normalizeMetadata);
+        }
+
+        return result;
+    }
+
+    // Keys in the format the app's known-identifier cache uses
+    function identifierKeys(metadata) {
+        const keys = [];
+        const doi = normalizeDOI(metadata?.doi);
+        const arxivID = normalizeArXiv(metadata?.arxivID);
+        const bibcode = normalizeBibcode(metadata?.bibcode);
+        const pmid = normalizePMID(metadata?.pmid);
+        const pmcid = normalizePMCID(metadata?.pmcid);
+
+        if (doi) keys.push(`doi:${doi.toLowerCase()}`);
+        if (arxivID) keys.push(`arxiv:${arxivID}`);
+        if (bibcode) keys.push(`bibcode:${bibcode}`);
+        if (pmid) keys.push(`pmid:${pmid}`);
+        if (pmcid) keys.push(`pmcid:${pmcid}`);
+        return keys;
+    }
+
+    // Recognise a bare identifier typed or selected by the user.
+    // Returns { type, value } or null.
+    function identify(text) {
+        if (!text) return null;
+        const value = String(text).trim();
+
+        const arxiv = parseArXiv(value);
+        if (arxiv) return { type: 'arxiv', value: arxiv.id };
+
+        const doi = /^(?:doi:|https?:\/\/(?:dx\.)?doi\.org\/)?\s*10\./i.test(value) ? normalizeDOI(value) : null;
+        if (doi) return { type: 'doi', value: doi };
+
+        const bibcode = normalizeBibcode(value);
+        if (bibcode) return { type: 'bibcode', value: bibcode };
+
+        const pmcid = /^pmc\d+$/i.test(value) ? normalizePMCID(value) : null;
+        if (pmcid) return { type: 'pmcid', value: pmcid };
+
+        const pmid = /^pmid:?\s*\d+$/i.test(value) ? normalizePMID(value) : null;
+        if (pmid) return { type: 'pmid', value: pmid };
+
+        const isbn = /^isbn/i.test(value) || /^[\d-]{10,17}X?$/i.test(value) ? normalizeISBN(value) : null;
+        if (isbn) return { type: 'isbn', value: isbn };
+
+        return null;
+    }
+
+    // Bare new-scheme arXiv IDs in running text must have a real month,
+    // so numbers like 1234.5678 aren't mistaken for one
+    const ARXIV_MONTH_PATTERN = /^\d{2}(?:0[1-9]|1[0-2])\./;
+
+    // arXiv DOIs name the preprint
+    function doiOrArXiv(doi) {
+        const arxiv = parseArXiv(doi);
+        return arxiv ? { type: 'arxiv', value: arxiv.id } : { type: 'doi', value: doi };
+    }
+
+    // Find a DOI, arXiv ID or bibcode anywhere in free text, such as a
+    // selection or a reference list entry. Returns { type, value } or null.
+    function findIdentifier(text) {
+        if (!text) return null;
+
+        const whole = identify(text);
+        if (whole && ['arxiv', 'doi', 'bibcode'].includes(whole.type)) return whole;
+
+        const doi = extractDOI(text);
+        if (doi) return doiOrArXiv(doi);
+
+        for (const token of String(text).split(/[\s,;()[\]<>"]+/)) {
+            const value = trimTrailing(token);
+
+            const arxiv = parseArXiv(value);
+            if (arxiv && (arxiv.scheme === 'old' || /^(?:arxiv:|https?:)/i.test(value) ||
+                    ARXIV_MONTH_PATTERN.test(arxiv.id))) {
+                return { type: 'arxiv', value: arxiv.id };
+            }
+
+            // Bibcodes may end in '.', which trimming would drop
+            const bibcode = normalizeBibcode(token) || normalizeBibcode(value);
+            if (bibcode) return { type: 'bibcode', value: bibcode };
+        }
+
+        return null;
+    }
+
+    // DOIs, prefixed arXiv IDs, arxiv.org links and bibcodes in running text
+    const TEXT_IDENTIFIER_PATTERN = new RegExp([
+        /\b10\.\d{4,9}\/[^\s"<>]+/.source,
+        /\barXiv:\s*(?:\d{4}\.\d{4,5}|[a-z-]+(?:\.[a-z]{2})?\/\d{7})(?:v\d+)?/.source,
+        /\barxiv\.org\/(?:abs|pdf)\/(?:\d{4}\.\d{4,5}|[a-z-]+(?:\.[a-z]{2})?\/\d{7})(?:v\d+)?/.source,
+        /\b\d{4}[a-z&.]{5}[\w.]{4}[\w.:][\w.]{4}[a-z.](?![\w&])/.source
+    ].join('|'), 'gi');
+
+    // Every DOI, arXiv ID and bibcode in a page's text, with where each
+    // was found: [{ type, value, index, length }]. Stricter than
+    // findIdentifier: arXiv IDs need their "arXiv:" prefix or link, since
+    // bare numbers are common in text nobody pointed at.
+    function scanIdentifiers(text) {
+        const found = [];
+        if (!text) return found;
+
+        for (const match of String(text).matchAll(TEXT_IDENTIFIER_PATTERN)) {
+            let raw = match[0];
+            let identifier = null;
+
+            if (raw.startsWith('10.')) {
+                raw = trimTrailing(raw);
+                const doi = normalizeDOI(raw);
+                identifier = doi && doiOrArXiv(doi);
+            } else if (/^arxiv/i.test(raw)) {
+                const arxiv = parseArXiv(raw);
+                identifier = arxiv && { type: 'arxiv', value: arxiv.id };
+            } else {
+                const bibcode = normalizeBibcode(raw);
+                identifier = bibcode && { type: 'bibcode', value: bibcode };
+            }
+
+            if (identifier) found.push({ ...identifier, index: match.index, length: raw.length });
+        }
+        return found;
+    }
+
+    // Recognise a link to a single paper: a doi.org resolver URL, an arXiv
+    // abstract or PDF, an ADS abstract page or a PubMed record.
+    // Returns { type, value } or null.
+    function identifyURL(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return null;
+        }
+
+        const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        const path = parsed.pathname;
+        let match;
+
+        if (host === 'doi.org' || host === 'dx.doi.org') {
+            const doi = normalizeDOI(path.slice(1));
+            return doi ? doiOrArXiv(doi) : null;
+        }
+
+        if ((host === 'arxiv.org' || host === 'export.arxiv.org') && (match = path.match(/^\/(?:abs|pdf)\/(.+)$/))) {
+            const arxiv = parseArXiv(match[1]);
+            return arxiv ? { type: 'arxiv', value: arxiv.id } : null;
+        }
+
+        if (host === 'ui.adsabs.harvard.edu' && (match = path.match(/^\/abs\/([^/]+)/))) {
+            const bibcode = normalizeBibcode(match[1]);
+            return bibcode ? { type: 'bibcode', value: bibcode } : null;
+        }
+
+        if (host === 'pubmed.ncbi.nlm.nih.gov' && (match = path.match(/^\/(\d+)\/?$/))) {
+            const pmid = normalizePMID(match[1]);
+            return pmid ? { type: 'pmid', value: pmid } : null;
+        }
+
+        return null;
+    }
+
+    imbib.identifiers = {
+        normalizeDOI,
+        extractDOI,
+        parseArXiv,
+        normalizeArXiv,
+        arxivDOI,
+        normalizeBibcode,
+        arxivFromBibcode,
+        normalizePMID,
+        normalizePMCID,
+        normalizeISBN,
+        normalizeISSN,
+        normalizeMetadata,
+        identifierKeys,
+        identify,
+        findIdentifier,
+        scanIdentifiers,
+        identifyURL
+    };
+})(globalThis);
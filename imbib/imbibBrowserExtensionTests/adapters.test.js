@@ -0,0 +1,32 @@
+// adapters.test.js - Which site adapters a page belongs to
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers');
+
+const { adapters } = loadExtension(
+    'content/metadata.js',
+    'content/registry.js',
+    'content/adapters/ads.js',
+    'content/adapters/arxiv.js',
+    'content/adapters/pubmed.js',
+    'content/adapters/embedded.js'
+);
+
+const ids = list => list.map(adapter => adapter.id);
+
+describe('forSite', () => {
+    test('claims every page of a site, not just its papers', () => {
+        const landing = new URL('https://ui.adsabs.harvard.edu/');
+        assert.deepEqual(ids(adapters.forSite(landing)), ['ads']);
+        // There's no paper to detect yet, which is why the page is watched
+        assert.ok(!ids(adapters.match(landing, null)).includes('ads'));
+
+        assert.deepEqual(ids(adapters.forSite(new URL('https://ui.adsabs.harvard.edu/user/libraries'))), ['ads']);
+        assert.deepEqual(ids(adapters.forSite(new URL('https://www.ncbi.nlm.nih.gov/pmc/articles/PMC123/'))), ['pubmed']);
+    });
+
+    test('leaves out the catch-all adapters', () => {
+        assert.deepEqual(adapters.forSite(new URL('https://journals.example.org/article/1')), []);
+    });
+});
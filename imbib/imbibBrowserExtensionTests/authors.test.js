@@ -0,0 +1,67 @@
+// authors.test.js - Author name parsing and ORCID iDs
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers');
+
+const { authors } = loadExtension();
+
+// The name parts of a parsed display name
+function parts(name) {
+    const { given, particle, family, suffix } = authors.parseName(name);
+    return { given, particle, family, suffix };
+}
+
+describe('parseName', () => {
+    test('reads "Family, Given" and "Given Family"', () => {
+        assert.deepEqual(parts('Rubin, Vera C.'), { given: 'Vera C.', particle: null, family: 'Rubin', suffix: null });
+        assert.deepEqual(parts('Vera C. Rubin'), { given: 'Vera C.', particle: null, family: 'Rubin', suffix: null });
+    });
+
+    test('splits off particles', () => {
+        assert.deepEqual(parts('Anna van der Berg'), { given: 'Anna', particle: 'van der', family: 'Berg', suffix: null });
+        assert.deepEqual(parts('de la Cruz, Maria'), { given: 'Maria', particle: 'de la', family: 'Cruz', suffix: null });
+    });
+
+    test('reads suffixes in either comma position', () => {
+        assert.deepEqual(parts('Smith, Jr., John'), { given: 'John', particle: null, family: 'Smith', suffix: 'Jr.' });
+        assert.deepEqual(parts('Smith, John, III'), { given: 'John', particle: null, family: 'Smith', suffix: 'III' });
+        assert.deepEqual(parts('John Smith Jr.'), { given: 'John', particle: null, family: 'Smith', suffix: 'Jr.' });
+    });
+
+    test('reads a lone trailing initial as the given name, not a suffix', () => {
+        assert.deepEqual(parts('Rubin, V.'), { given: 'V.', particle: null, family: 'Rubin', suffix: null });
+        assert.deepEqual(parts('Smith V'), { given: 'V', particle: null, family: 'Smith', suffix: null });
+        assert.deepEqual(parts('Grant, Iv'), { given: 'Iv', particle: null, family: 'Grant', suffix: null });
+    });
+
+    test('reads PubMed-style initials after the family name', () => {
+        assert.deepEqual(parts('Smith JR'), { given: 'JR', particle: null, family: 'Smith', suffix: null });
+        assert.deepEqual(parts('van der Berg A'), { given: 'A', particle: 'van der', family: 'Berg', suffix: null });
+        assert.deepEqual(parts('Ford W. K.'), { given: 'W. K.', particle: null, family: 'Ford', suffix: null });
+    });
+
+    test('keeps collaborations whole', () => {
+        assert.equal(authors.parseName('The LIGO Scientific Collaboration').literal, 'The LIGO Scientific Collaboration');
+    });
+
+    test('drops footnote marks and ignores empty names', () => {
+        assert.equal(authors.parseName('Jane Doe*†').family, 'Doe');
+        assert.equal(authors.parseName('  '), null);
+    });
+});
+
+describe('records', () => {
+    test('validates ORCID check digits', () => {
+        assert.equal(authors.normalizeORCID('https://orcid.org/0000-0002-1825-0097'), '0000-0002-1825-0097');
+        assert.equal(authors.normalizeORCID('0000000218250097'), '0000-0002-1825-0097');
+        assert.equal(authors.normalizeORCID('0000-0002-1825-0098'), null);
+    });
+
+    test('writes display and sort names', () => {
+        const author = authors.toRecord({ given: 'Anna', particle: 'van der', family: 'Berg', suffix: 'Jr.' });
+        assert.equal(authors.displayName(author), 'Anna van der Berg Jr.');
+        assert.equal(authors.sortName(author), 'van der Berg, Jr., Anna');
+        assert.equal(authors.familyName('Anna van der Berg'), 'Berg');
+    });
+});
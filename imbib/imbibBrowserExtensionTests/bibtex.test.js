@@ -0,0 +1,124 @@
+// bibtex.test.js - BibTeX reading, writing and cite keys
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, fixture } = require('./helpers');
+
+const { bibtex, ris } = loadExtension();
+
+const ITEM = {
+    entryType: 'article',
+    title: 'The Shape of Dark Matter Halos',
+    authors: ['Anna van der Berg', 'Müller, Jörg'],
+    year: 2019,
+    month: 3,
+    journal: 'ApJ',
+    volume: '882',
+    pages: '12–30',
+    doi: '10.1234/ABC'
+};
+
+describe('parse', () => {
+    test('reads an ADS export with macros, comments and LaTeX', () => {
+        const [entry, ...rest] = bibtex.parse(fixture('ads-export.bib'));
+        assert.equal(rest.length, 0);
+
+        assert.equal(entry.entryType, 'article');
+        assert.equal(entry.citeKey, '2019ApJ...882L..12A');
+        assert.equal(entry.title, 'Properties of the Binary Neutron Star Merger GW170817');
+        assert.equal(entry.journal, 'Astrophysical Journal');
+        assert.equal(entry.volume, '882');
+        assert.equal(entry.issue, '2');
+        assert.equal(entry.articleNumber, 'L12');
+        assert.equal(entry.doi, '10.3847/2041-8213/ab3800');
+        assert.equal(entry.arxivID, '1811.12940');
+        assert.deepEqual(entry.categories, ['astro-ph.HE']);
+        assert.equal(entry.bibcode, '2019ApJ...882L..12A');
+        assert.equal(entry.date, '2019-09');
+        assert.deepEqual(entry.keywords, [
+            'gravitational waves', 'stars: neutron', 'Astrophysics - High Energy Astrophysical Phenomena'
+        ]);
+    });
+
+    test('keeps name parts, particles, suffixes and collaborations', () => {
+        const [{ authors }] = bibtex.parse(fixture('ads-export.bib'));
+        const parts = authors.map(({ given, particle, family, suffix, literal }) =>
+            ({ given, particle, family, suffix, literal }));
+
+        assert.deepEqual(parts, [
+            { given: null, particle: null, family: null, suffix: null, literal: 'LIGO Scientific Collaboration' },
+            { given: 'Anna', particle: 'van der', family: 'Berg', suffix: null, literal: null },
+            { given: 'Jörg', particle: null, family: 'Müller', suffix: null, literal: null },
+            { given: 'John', particle: null, family: 'Smith', suffix: 'Jr.', literal: null }
+        ]);
+    });
+
+    test('reads arXiv\'s own BibTeX record', () => {
+        const [entry] = bibtex.parse(fixture('arxiv-abs.bib'));
+        assert.equal(entry.entryType, 'misc');
+        assert.equal(entry.arxivID, '1706.03762');
+        assert.deepEqual(entry.categories, ['cs.CL']);
+        assert.equal(entry.url, 'https://arxiv.org/abs/1706.03762');
+        assert.deepEqual(entry.authors.map(author => author.family), ['Vaswani', 'Shazeer', 'Parmar']);
+    });
+
+    test('reads back what it writes', () => {
+        const [entry] = bibtex.parse(bibtex.formatEntry(ITEM));
+        assert.equal(entry.citeKey, 'Berg2019Shape');
+        assert.equal(entry.title, ITEM.title);
+        assert.equal(entry.pages, '12-30');
+        assert.equal(entry.date, '2019-03');
+        assert.deepEqual(entry.authors.map(author => author.family), ['Berg', 'Müller']);
+    });
+
+    test('ignores text that is not BibTeX', () => {
+        assert.deepEqual(bibtex.parse('<html><body>Sign in</body></html>'), []);
+        assert.deepEqual(bibtex.parse(''), []);
+    });
+});
+
+describe('formatEntry', () => {
+    test('writes an escaped entry', () => {
+        assert.equal(bibtex.formatEntry(ITEM), [
+            '@article{Berg2019Shape,',
+            '    author = {van der Berg, Anna and M{\\"u}ller, J{\\"o}rg},',
+            '    title = {{The Shape of Dark Matter Halos}},',
+            '    journal = {ApJ},',
+            '    year = 2019,',
+            '    month = mar,',
+            '    volume = 882,',
+            '    pages = {12--30},',
+            '    doi = {10.1234/ABC}',
+            '}'
+        ].join('\n'));
+    });
+
+    test('escapes LaTeX specials and accents', () => {
+        assert.equal(bibtex.escapeLaTeX('Müller & Co 50% _x_ Çelik'),
+            'M{\\"u}ller \\& Co 50\\% \\_x\\_ {\\c{C}}elik');
+    });
+});
+
+describe('citeKey', () => {
+    test('makes keys unique in order', () => {
+        assert.deepEqual(bibtex.uniqueCiteKeys([ITEM, ITEM, ITEM]),
+            ['Berg2019Shape', 'Berg2019Shapea', 'Berg2019Shapeb']);
+    });
+
+    test('spells out letters that don\'t decompose', () => {
+        const key = (author, title) => bibtex.citeKey({ authors: [author], year: 1820, title });
+        assert.equal(key('Ørsted, Hans Christian', 'Experiments'), 'Orsted1820Experiments');
+        assert.equal(key('Łukasiewicz, Jan', 'Æther Drift'), 'Lukasiewicz1820Aether');
+        assert.equal(key('Großmann, Marcel', 'Œuvres'), 'Grossmann1820Oeuvres');
+        assert.equal(key('Đorđević, Dragan', 'Straße'), 'Dordevic1820Strasse');
+    });
+
+    test('keys an imported record by its spelled-out family name', () => {
+        const [record] = ris.parseEndNote(fixture('journal-article.enw'));
+        assert.equal(bibtex.citeKey(record), 'Orsted1820Experiments');
+    });
+
+    test('skips stop words and falls back to Unknown', () => {
+        assert.equal(bibtex.citeKey({ title: 'On the Origin of Species', year: 1859 }), 'Unknown1859Origin');
+    });
+});
@@ -0,0 +1,130 @@
+// citation-files.test.js - Finding, fetching and merging publisher citation files
+// Pages are stand-ins with just the DOM calls the harvester makes, and
+// fetch() answers from the fixtures, so nothing goes over the network.
+
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, fixture } = require('./helpers');
+
+const { citationFiles, bibtex } = loadExtension('content/citation-files.js');
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+// A page whose only elements are the given links: [{ href, text }]
+function page(url, links = []) {
+    const anchors = links.map(({ href, text = '' }) => ({
+        textContent: text,
+        getAttribute: name => name === 'href' ? href : null
+    }));
+    return {
+        location: new URL(url),
+        document: { querySelectorAll: selector => selector === 'a[href]' ? anchors : [] }
+    };
+}
+
+// fetch() answering with the given text by URL; everything else is a 404.
+// Returns the list of URLs requested, filled in as they are.
+function serve(responses) {
+    const requested = [];
+    globalThis.fetch = async (url) => {
+        requested.push(url);
+        const text = responses[url];
+        return {
+            ok: text != null,
+            headers: { get: () => null },
+            text: async () => text
+        };
+    };
+    return requested;
+}
+
+describe('findLinks', () => {
+    test('recognises BibTeX, RIS and EndNote downloads, BibTeX first', () => {
+        const { location, document } = page('https://journal.example/article/1', [
+            { href: '/cite/1.enw', text: 'EndNote' },
+            { href: '/cite/1.ris', text: 'RIS' },
+            { href: '/cite?format=bibtex', text: 'Download citation' },
+            { href: 'https://other.example/1.bib', text: 'BibTeX' },
+            { href: 'javascript:void(0)', text: 'BibTeX' }
+        ]);
+
+        assert.deepEqual(citationFiles.findLinks(location, document), [
+            { url: 'https://journal.example/cite?format=bibtex', format: 'bibtex' },
+            { url: 'https://journal.example/cite/1.ris', format: 'ris' },
+            { url: 'https://journal.example/cite/1.enw', format: 'endnote' }
+        ]);
+    });
+
+    test('offers arXiv\'s BibTeX endpoint on abstract pages', () => {
+        const { location, document } = page('https://arxiv.org/abs/1706.03762v5');
+        assert.deepEqual(citationFiles.findLinks(location, document),
+            [{ url: 'https://arxiv.org/bibtex/1706.03762', format: 'bibtex' }]);
+    });
+});
+
+describe('harvest', () => {
+    test('reads the record for the page\'s DOI', async () => {
+        serve({ 'https://journal.example/cite/1.ris': fixture('two-records.ris') });
+        const { location, document } = page('https://journal.example/article/1',
+            [{ href: '/cite/1.ris', text: 'RIS' }]);
+
+        const harvested = await citationFiles.harvest(location, document, { doi: '10.1086/150317' });
+        assert.equal(harvested.format, 'ris');
+        assert.equal(harvested.record.title, 'Rotation of the Andromeda Nebula from a Spectroscopic Survey');
+    });
+
+    test('trusts the content over the link and skips login pages', async () => {
+        const requested = serve({
+            'https://journal.example/cite/1.bib': '<html><body>Sign in</body></html>',
+            'https://journal.example/cite/1.ris': fixture('journal-article.enw')
+        });
+        const { location, document } = page('https://journal.example/article/1', [
+            { href: '/cite/1.bib', text: 'BibTeX' },
+            { href: '/cite/1.ris', text: 'RIS' },
+            { href: '/cite/1.enw', text: 'EndNote' }
+        ]);
+
+        const harvested = await citationFiles.harvest(location, document, { doi: '10.5555/ORSTED.1820' });
+        assert.equal(harvested.format, 'endnote');
+        assert.equal(harvested.url, 'https://journal.example/cite/1.ris');
+        assert.equal(harvested.record.journal, 'Annals of Philosophy');
+        assert.deepEqual(requested, ['https://journal.example/cite/1.bib', 'https://journal.example/cite/1.ris']);
+    });
+
+    test('passes over a file about another paper', async () => {
+        serve({ 'https://journal.example/cite/1.bib': fixture('ads-export.bib') });
+        const { location, document } = page('https://journal.example/article/1',
+            [{ href: '/cite/1.bib', text: 'BibTeX' }]);
+
+        assert.equal(await citationFiles.harvest(location, document, { doi: '10.1234/other' }), null);
+    });
+});
+
+describe('merge', () => {
+    test('prefers the file\'s fields and keeps the page\'s ORCIDs and types', () => {
+        const [record] = bibtex.parse(fixture('arxiv-abs.bib'));
+        const metadata = {
+            entryType: 'article',
+            title: 'Attention is all you need',
+            authors: [
+                { name: 'A. Vaswani', orcid: '0000-0002-1825-0097' },
+                'N. Shazeer',
+                'N. Parmar'
+            ],
+            year: '2017',
+            month: 6
+        };
+
+        const merged = citationFiles.merge(metadata, { record, format: 'bibtex', url: 'https://arxiv.org/bibtex/1706.03762' });
+        assert.equal(merged.title, 'Attention Is All You Need');
+        assert.equal(merged.entryType, 'article');
+        assert.equal(merged.month, 6);
+        assert.equal(merged.authors[0].given, 'Ashish');
+        assert.equal(merged.authors[0].orcid, '0000-0002-1825-0097');
+        assert.deepEqual(merged.citationSource, { format: 'bibtex', url: 'https://arxiv.org/bibtex/1706.03762' });
+    });
+});
@@ -0,0 +1,41 @@
+// dates.test.js - Publication date parsing
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers');
+
+const { dates } = loadExtension();
+
+test('parses the date forms publishers use', () => {
+    const cases = {
+        '2019': [2019, null, null],
+        '2019-03': [2019, 3, null],
+        '2019/03/04': [2019, 3, 4],
+        '2019-03-04T12:00:00Z': [2019, 3, 4],
+        '20190304': [2019, 3, 4],
+        '2019 Aug 26': [2019, 8, 26],
+        '4 March 2019': [2019, 3, 4],
+        'Mar 4, 2019': [2019, 3, 4],
+        'March 2019': [2019, 3, null],
+        '25/12/2019': [2019, 12, 25],
+        'Spring 2019': [2019, null, null]
+    };
+    for (const [raw, [year, month, day]] of Object.entries(cases)) {
+        assert.deepEqual(dates.parseDate(raw), { year, month, day }, raw);
+    }
+});
+
+test('keeps only the year when day and month could be swapped', () => {
+    assert.deepEqual(dates.parseDate('04/03/2019'), { year: 2019, month: null, day: null });
+});
+
+test('rejects text without a date', () => {
+    assert.equal(dates.parseDate('nonsense'), null);
+    assert.equal(dates.parseDate(''), null);
+});
+
+test('formats partial ISO dates', () => {
+    assert.equal(dates.formatDate({ year: 2019, month: 3, day: null }), '2019-03');
+    assert.equal(dates.formatDate({ year: 2019, month: null, day: 4 }), '2019');
+    assert.equal(dates.monthAbbreviation(9), 'sep');
+});
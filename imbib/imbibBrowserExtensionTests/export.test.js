@@ -0,0 +1,86 @@
+// export.test.js - CSL-JSON items, formatted citations and import payloads
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { loadExtension } = require('./helpers');
+
+const { csl, citations, payload } = loadExtension();
+
+const ITEM = {
+    entryType: 'article',
+    title: 'The Shape of Dark Matter Halos',
+    authors: ['Anna van der Berg', 'Müller, Jörg'],
+    year: 2019,
+    month: 3,
+    journal: 'ApJ',
+    volume: '882',
+    pages: '12–30',
+    doi: '10.1234/ABC'
+};
+
+describe('csl', () => {
+    test('converts metadata to a CSL-JSON item', () => {
+        assert.deepEqual(csl.toItem(ITEM), {
+            'id': 'Berg2019Shape',
+            'type': 'article-journal',
+            'title': 'The Shape of Dark Matter Halos',
+            'author': [
+                { 'family': 'Berg', 'given': 'Anna', 'non-dropping-particle': 'van der' },
+                { 'family': 'Müller', 'given': 'Jörg' }
+            ],
+            'issued': { 'date-parts': [[2019, 3]] },
+            'container-title': 'ApJ',
+            'volume': '882',
+            'page': '12–30',
+            'DOI': '10.1234/ABC'
+        });
+    });
+
+    test('keeps initials written after the family name', () => {
+        const item = csl.toItem({ title: 'Rotation of M31', authors: ['Rubin, V.', 'Ford WK'], year: 1970 });
+        assert.deepEqual(item.author, [
+            { family: 'Rubin', given: 'V.' },
+            { family: 'Ford', given: 'WK' }
+        ]);
+        assert.equal(item.id, 'Rubin1970Rotation');
+    });
+});
+
+describe('citations', () => {
+    test('formats APA as text and HTML', () => {
+        const { text, html } = citations.format(ITEM, 'apa');
+        assert.equal(text,
+            'van der Berg, A. & Müller, J. (2019). The Shape of Dark Matter Halos. ApJ, 882, 12–30. https://doi.org/10.1234/ABC');
+        assert.match(html, /<i>ApJ<\/i>/);
+        assert.match(html, /&amp;/);
+    });
+});
+
+describe('payload', () => {
+    // The app's side: base64url, then raw inflate for encoding=deflate
+    function decode({ payload: data, encoding }) {
+        const bytes = Buffer.from(data, 'base64url');
+        const json = encoding === 'deflate' ? zlib.inflateRawSync(bytes) : bytes;
+        return JSON.parse(json.toString('utf8'));
+    }
+
+    test('carries every item losslessly', async () => {
+        const abstract = 'x'.repeat(5000);
+        const authorList = Array.from({ length: 300 }, (_, i) => `Author${i}, Given`);
+        const encoded = await payload.encode([{ ...ITEM, abstract, authors: authorList }]);
+
+        assert.equal(encoded.encoding, 'deflate');
+        const document = decode(encoded);
+        assert.equal(document.version, payload.VERSION);
+        assert.equal(document.items[0].abstract.length, 5000);
+        assert.equal(document.items[0].authors.length, 300);
+        assert.equal(document.items[0].authors[299].family, 'Author299');
+    });
+
+    test('builds imbib://import URLs', async () => {
+        const url = new URL(await payload.importURL([ITEM]));
+        assert.equal(url.protocol, 'imbib:');
+        assert.equal(decode(Object.fromEntries(url.searchParams)).items[0].title, ITEM.title);
+    });
+});
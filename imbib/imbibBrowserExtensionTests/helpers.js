@@ -0,0 +1,59 @@
+// helpers.js - Setup shared by the extension's Node tests
+// Loads the extension's scripts the way the popup's <script> tags and the
+// manifest's content_scripts do: each one attaches its module to
+// globalThis.imbib. The Safari extension carries identical copies of these
+// files, so one run covers both. The background worker runs in a context
+// of its own, against a stand-in for the browser's APIs.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'imbibBrowserExtension');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// In the order popup.html loads them
+const SHARED_MODULES = [
+    'identifiers', 'authors', 'dates', 'bibtex', 'ris', 'csl', 'citations', 'pdf-source', 'payload'
+];
+
+// The imbib namespace with every shared module, plus the named content
+// scripts (paths relative to the extension folder)
+function loadExtension(...contentScripts) {
+    SHARED_MODULES.forEach(name => require(path.join(EXTENSION_DIR, 'shared', `${name}.js`)));
+    contentScripts.forEach(file => require(path.join(EXTENSION_DIR, file)));
+    return globalThis.imbib;
+}
+
+// A fresh background worker, as after the browser restarted it. Its
+// timers don't keep the test run alive.
+function loadBackground(chrome) {
+    const read = file => fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+    const context = vm.createContext({
+        chrome,
+        console,
+        crypto,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        Blob,
+        Response,
+        CompressionStream,
+        btoa,
+        setTimeout: (callback, delay) => setTimeout(callback, delay).unref(),
+        clearTimeout,
+        importScripts: (...files) => files.forEach(file => vm.runInContext(read(file), context, { filename: file }))
+    });
+    vm.runInContext(read('background.js'), context, { filename: 'background.js' });
+    return context;
+}
+
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+module.exports = {
+    loadExtension,
+    loadBackground,
+    fixture
+};
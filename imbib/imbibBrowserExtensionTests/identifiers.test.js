@@ -0,0 +1,105 @@
+// identifiers.test.js - DOI, arXiv, bibcode and PubMed identifiers
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers');
+
+const { identifiers } = loadExtension();
+
+describe('normalize', () => {
+    test('strips resolver prefixes and trailing punctuation from DOIs', () => {
+        assert.equal(identifiers.normalizeDOI('https://doi.org/10.1234/ABC'), '10.1234/ABC');
+        assert.equal(identifiers.normalizeDOI('doi:10.1038/nature12373'), '10.1038/nature12373');
+        assert.equal(identifiers.normalizeDOI('not a doi'), null);
+    });
+
+    test('parses new and old arXiv IDs with versions', () => {
+        assert.equal(identifiers.parseArXiv('https://arxiv.org/pdf/2301.00001v3').id, '2301.00001');
+        assert.equal(identifiers.parseArXiv('arXiv:hep-th/9901001').id, 'hep-th/9901001');
+        assert.equal(identifiers.normalizeArXiv('arXiv:2301.00001v2'), '2301.00001');
+    });
+
+    test('accepts 19-character bibcodes only', () => {
+        assert.equal(identifiers.normalizeBibcode('2019ApJ...882L..12A'), '2019ApJ...882L..12A');
+        assert.equal(identifiers.normalizeBibcode('2019ApJ...882L'), null);
+    });
+});
+
+describe('normalizeMetadata', () => {
+    test('gives e-prints without a journal DOI their arXiv DOI', () => {
+        const metadata = identifiers.normalizeMetadata({ arxivID: 'arXiv:2301.00001v2' });
+        assert.equal(metadata.arxivID, '2301.00001');
+        assert.equal(metadata.arxivVersion, 'v2');
+        assert.equal(metadata.doi, '10.48550/arXiv.2301.00001');
+        assert.ok(identifiers.identifierKeys(metadata).includes('doi:10.48550/arxiv.2301.00001'));
+    });
+
+    test('keeps a journal DOI over the arXiv one', () => {
+        const metadata = identifiers.normalizeMetadata({ arxivID: '1811.12940', doi: '10.3847/2041-8213/ab3800' });
+        assert.equal(metadata.doi, '10.3847/2041-8213/ab3800');
+    });
+
+    test('reads the e-print from arXiv bibcodes and arXiv DOIs', () => {
+        assert.equal(identifiers.normalizeMetadata({ bibcode: '2023arXiv230100001S' }).arxivID, '2301.00001');
+        assert.equal(identifiers.normalizeMetadata({ doi: '10.48550/arXiv.2301.00001' }).arxivID, '2301.00001');
+    });
+});
+
+describe('findIdentifier', () => {
+    test('finds identifiers in selected text', () => {
+        assert.deepEqual(identifiers.findIdentifier('see doi:10.1038/nature12373.'),
+            { type: 'doi', value: '10.1038/nature12373' });
+        assert.deepEqual(identifiers.findIdentifier('Smith et al. 2020, arXiv:2301.00001v2, ApJ'),
+            { type: 'arxiv', value: '2301.00001' });
+        assert.deepEqual(identifiers.findIdentifier('ref 2019ApJ...882L..12A, p. 3'),
+            { type: 'bibcode', value: '2019ApJ...882L..12A' });
+    });
+
+    test('turns arXiv DOIs into arXiv IDs', () => {
+        assert.deepEqual(identifiers.findIdentifier('10.48550/arXiv.2301.00001'),
+            { type: 'arxiv', value: '2301.00001' });
+    });
+
+    test('ignores numbers that only look like new-style arXiv IDs', () => {
+        assert.equal(identifiers.findIdentifier('page 1234.5678 of'), null);
+        assert.equal(identifiers.findIdentifier('just words'), null);
+    });
+});
+
+describe('identifyURL', () => {
+    test('recognises links to single papers', () => {
+        assert.deepEqual(identifiers.identifyURL('https://doi.org/10.1234/abc%2Fdef'),
+            { type: 'doi', value: '10.1234/abc/def' });
+        assert.deepEqual(identifiers.identifyURL('https://arxiv.org/abs/hep-th/9901001'),
+            { type: 'arxiv', value: 'hep-th/9901001' });
+        assert.deepEqual(identifiers.identifyURL('https://ui.adsabs.harvard.edu/abs/2019A%26A...882L..12A/abstract'),
+            { type: 'bibcode', value: '2019A&A...882L..12A' });
+        assert.deepEqual(identifiers.identifyURL('https://pubmed.ncbi.nlm.nih.gov/31452104/'),
+            { type: 'pmid', value: '31452104' });
+    });
+
+    test('ignores listings and non-URLs', () => {
+        assert.equal(identifiers.identifyURL('https://arxiv.org/list/astro-ph'), null);
+        assert.equal(identifiers.identifyURL('https://pubmed.ncbi.nlm.nih.gov/?term=x'), null);
+        assert.equal(identifiers.identifyURL('nonsense'), null);
+    });
+});
+
+describe('scanIdentifiers', () => {
+    test('finds every identifier with its position', () => {
+        const text = 'Cited as doi:10.1038/nature12373, arXiv:2301.00001v2 and 2019ApJ...882L..12A.';
+        const found = identifiers.scanIdentifiers(text);
+
+        assert.deepEqual(found.map(({ type, value }) => [type, value]), [
+            ['doi', '10.1038/nature12373'],
+            ['arxiv', '2301.00001'],
+            ['bibcode', '2019ApJ...882L..12A']
+        ]);
+        found.forEach(({ index, length }) => assert.ok(index >= 0 && index + length <= text.length));
+        assert.equal(text.slice(found[0].index, found[0].index + found[0].length), '10.1038/nature12373');
+    });
+
+    test('wants bare arXiv numbers prefixed', () => {
+        assert.deepEqual(identifiers.scanIdentifiers('see 2301.12345 and page 1234.5678'), []);
+    });
+});
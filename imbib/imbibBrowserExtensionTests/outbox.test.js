@@ -0,0 +1,126 @@
+// outbox.test.js - Delivering imports that were sent by imbib:// link
+// The worker runs against an in-memory chrome.*: storage survives a worker
+// restart, and the native host answers through `host` (null: not installed).
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers');
+
+const POPUP = { url: 'chrome-extension://imbib/popup/popup.html' };
+
+const IMPORT = {
+    kind: 'import',
+    title: 'The Shape of Dark Matter Halos',
+    sourceURL: 'https://journals.example.org/article/1',
+    request: {
+        action: 'importItem',
+        item: { sourceType: 'doi', doi: '10.1234/abc', title: 'The Shape of Dark Matter Halos' }
+    }
+};
+
+function memoryArea(data) {
+    const copy = value => JSON.parse(JSON.stringify(value));
+    return {
+        get: async (keys) => Object.fromEntries([].concat(keys).filter(key => key in data).map(key => [key, copy(data[key])])),
+        set: async (items) => Object.assign(data, copy(items)),
+        remove: async (keys) => [].concat(keys).forEach(key => delete data[key])
+    };
+}
+
+// Namespaces the worker only listens to or calls without needing an answer
+function namespace(members = {}) {
+    return new Proxy(members, {
+        get: (target, name) => name in target ? target[name]
+            : String(name).startsWith('on') ? { addListener() {} }
+            : async () => {}
+    });
+}
+
+// Start a worker on `storage`; returns a way to message it like the popup
+// does, the requests the host got and the URLs opened in tabs
+function startWorker(storage, host) {
+    const asked = [];
+    const opened = [];
+    let onMessage;
+
+    function connectNative() {
+        const listeners = {};
+        return {
+            onMessage: { addListener: listener => { listeners.message = listener; } },
+            onDisconnect: { addListener: listener => { listeners.disconnect = listener; } },
+            postMessage(message) {
+                asked.push(message.action);
+                setImmediate(() => host
+                    ? listeners.message({ id: message.id, ...host(message) })
+                    : listeners.disconnect());
+            },
+            disconnect() {}
+        };
+    }
+
+    const chrome = new Proxy({
+        runtime: namespace({
+            id: 'imbib',
+            getURL: file => `chrome-extension://imbib/${file}`,
+            onMessage: { addListener: listener => { onMessage = listener; } },
+            connectNative
+        }),
+        storage: { local: memoryArea(storage), session: memoryArea({}), onChanged: { addListener() {} } },
+        tabs: namespace({ sendMessage: async (tabId, message) => { opened.push(message.url); } })
+    }, {
+        get: (target, name) => target[name] || namespace()
+    });
+    loadBackground(chrome);
+
+    const send = message => new Promise(resolve => onMessage(message, POPUP, resolve));
+    return { send, asked, opened };
+}
+
+// Submit an import while the app can't be reached and send it by link
+async function sendByLink(storage) {
+    const worker = startWorker(storage, null);
+    const { entries: [entry], reachable } = await worker.send({ action: 'outboxSubmit', requests: [IMPORT] });
+    assert.equal(reachable, false);
+
+    const { sent } = await worker.send({ action: 'outboxSendByURL', ids: [entry.id], tabId: 1 });
+    assert.deepEqual(sent, [entry.id]);
+    assert.match(worker.opened[0], /^imbib:\/\/import\?payload=/);
+    assert.equal(storage['imbib.outbox'][0].status, 'sent');
+    return entry;
+}
+
+test('delivers a linked import once the app has it', async () => {
+    const storage = {};
+    await sendByLink(storage);
+
+    const worker = startWorker(storage, message => ({ exists: message.action === 'checkDuplicate' }));
+    await worker.send({ action: 'outboxFlush' });
+
+    assert.deepEqual(worker.asked, ['checkDuplicate']);
+    assert.deepEqual(storage['imbib.outbox'], []);
+});
+
+test('sends a linked import again through the app when it never arrived', async () => {
+    const storage = {};
+    await sendByLink(storage);
+    storage['imbib.outbox'][0].sentAt -= 60 * 60 * 1000;
+
+    const worker = startWorker(storage, message => message.action === 'checkDuplicate'
+        ? { exists: false }
+        : { success: true });
+    await worker.send({ action: 'outboxFlush' });
+
+    assert.deepEqual(worker.asked, ['checkDuplicate', 'importItem']);
+    assert.deepEqual(storage['imbib.outbox'], []);
+});
+
+test('gives a linked import time to arrive', async () => {
+    const storage = {};
+    await sendByLink(storage);
+
+    const worker = startWorker(storage, () => ({ exists: false }));
+    await worker.send({ action: 'outboxFlush' });
+
+    assert.deepEqual(worker.asked, ['checkDuplicate']);
+    assert.equal(storage['imbib.outbox'][0].status, 'sent');
+});
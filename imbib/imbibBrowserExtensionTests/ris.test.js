@@ -0,0 +1,88 @@
+// ris.test.js - RIS and EndNote reading and RIS writing
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, fixture } = require('./helpers');
+
+const { ris } = loadExtension();
+
+describe('parse', () => {
+    test('reads every record of a CRLF file', () => {
+        const [article, chapter, ...rest] = ris.parse(fixture('two-records.ris'));
+        assert.equal(rest.length, 0);
+
+        assert.equal(article.entryType, 'article');
+        assert.equal(article.title, 'Rotation of the Andromeda Nebula from a Spectroscopic Survey');
+        assert.equal(article.journal, 'The Astrophysical Journal');
+        assert.equal(article.volume, '159');
+        assert.equal(article.pages, '379-403');
+        assert.equal(article.doi, '10.1086/150317');
+        assert.equal(article.date, '1970-02-01');
+        assert.deepEqual(article.issn, ['0004-637X']);
+        assert.deepEqual(article.keywords, ['galaxies', 'rotation curves']);
+        assert.deepEqual(article.authors.map(({ given, family }) => [given, family]),
+            [['Vera C.', 'Rubin'], ['W. Kent', 'Ford']]);
+
+        assert.equal(chapter.entryType, 'incollection');
+        assert.equal(chapter.booktitle, 'Astrophysics of Dust');
+        assert.equal(chapter.journal, null);
+        assert.equal(chapter.publisher, 'Springer');
+        assert.equal(chapter.pages, '12-30');
+        assert.equal(chapter.isbn, '978-3-540-00000-0');
+    });
+
+    test('joins continuation lines', () => {
+        const [article] = ris.parse(fixture('two-records.ris'));
+        assert.equal(article.abstract, 'Spectra of 67 H II regions in M31 are presented.');
+    });
+
+    test('reads a start page alone as an article number', () => {
+        const [record] = ris.parse('TY  - JOUR\nTI  - Letter\nSP  - L12\nER  - \n');
+        assert.equal(record.articleNumber, 'L12');
+        assert.equal(record.pages, undefined);
+    });
+
+    test('reads back what it writes, date included', () => {
+        const item = {
+            title: 'The Shape of Dark Matter Halos',
+            authors: ['Anna van der Berg'],
+            year: 2019,
+            month: 3,
+            journal: 'ApJ',
+            pages: '12–30'
+        };
+        const [record] = ris.parse(ris.formatEntries([item]));
+        assert.equal(record.citeKey, 'Berg2019Shape');
+        assert.equal(record.pages, '12-30');
+        assert.equal(record.date, '2019-03');
+        assert.equal(record.authors[0].particle, 'van der');
+    });
+});
+
+describe('parseEndNote', () => {
+    test('reads tagged records separated by blank lines', () => {
+        const [article, section, ...rest] = ris.parseEndNote(fixture('journal-article.enw'));
+        assert.equal(rest.length, 0);
+
+        assert.equal(article.entryType, 'article');
+        assert.equal(article.title, 'Experiments on the effect of a current of electricity');
+        assert.equal(article.journal, 'Annals of Philosophy');
+        assert.equal(article.volume, '16');
+        assert.equal(article.issue, '4');
+        assert.equal(article.pages, '273-276');
+        assert.equal(article.year, '1820');
+        assert.equal(article.doi, '10.5555/orsted.1820');
+        assert.equal(article.url, 'https://example.org/orsted');
+        assert.equal(article.abstract, 'An early account of electromagnetism.');
+        assert.deepEqual(article.authors.map(author => author.family), ['Ørsted', 'Smith']);
+
+        assert.equal(section.entryType, 'incollection');
+        assert.equal(section.booktitle, 'An Edited Volume');
+        assert.equal(section.publisher, 'Example Press');
+    });
+
+    test('ignores files without records', () => {
+        assert.deepEqual(ris.parseEndNote('<html></html>'), []);
+        assert.deepEqual(ris.parseEndNote(''), []);
+    });
+});
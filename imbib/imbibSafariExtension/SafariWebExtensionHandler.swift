@@ -22,10 +22,14 @@ class SafariWebExtensionHandler: NSObject, NSExtensionRequestHandling {
         switch action {
         case "getLibraries":
             handleGetLibraries(context: context)
+        case "getCollections":
+            handleGetCollections(context: context)
         case "importItem":
             handleImportItem(message: message, context: context)
         case "checkDuplicate":
             handleCheckDuplicate(message: message, context: context)
+        case "checkDuplicates":
+            handleCheckDuplicates(message: message, context: context)
         case "createSmartSearch":
             handleCreateSmartSearch(message: message, context: context)
         case "ping":
@@ -48,6 +52,14 @@ class SafariWebExtensionHandler: NSObject, NSExtensionRequestHandling {
         respond(with: ["libraries": libraries], context: context)
     }
 
+    private func handleGetCollections(context: NSExtensionContext) {
+        // Static collections, synced by the main app like the libraries
+        let collections = defaults?.array(forKey: "availableCollections") as? [[String: String]] ?? []
+
+        logger.info("Returning \(collections.count) collections")
+        respond(with: ["collections": collections], context: context)
+    }
+
     private func handleImportItem(message: [String: Any]?, context: NSExtensionContext) {
         guard let itemData = message?["item"] as? [String: Any] else {
             logger.error("No item data in importItem message")
@@ -73,6 +85,22 @@ class SafariWebExtensionHandler: NSObject, NSExtensionRequestHandling {
         respond(with: ["exists": exists], context: context)
     }
 
+    private func handleCheckDuplicates(message: [String: Any]?, context: NSExtensionContext) {
+        // Several papers at once (the +imbib buttons on a page), answered in order
+        let items = message?["items"] as? [[String: Any]] ?? []
+
+        let exists = items.map { item in
+            checkIfExists(
+                doi: item["doi"] as? String,
+                arxivID: item["arxivID"] as? String,
+                bibcode: item["bibcode"] as? String
+            )
+        }
+
+        logger.debug("Duplicate check for \(items.count) items → \(exists.filter { $0 }.count) found")
+        respond(with: ["exists": exists], context: context)
+    }
+
     private func handleCreateSmartSearch(message: [String: Any]?, context: NSExtensionContext) {
         guard let query = message?["query"] as? String, !query.isEmpty else {
             logger.error("No query in createSmartSearch message")
@@ -1,38 +1,1203 @@
 // background.js - Safari extension background service worker
 
-// Track content script readiness per tab
-const tabStates = new Map();
+// Identifier parsing, PDF URLs and the import payload, shared with the popup
+importScripts('shared/identifiers.js', 'shared/authors.js', 'shared/pdf-source.js', 'shared/payload.js');
 
 // Listen for content script ready messages
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'contentReady') {
         if (sender.tab?.id) {
-            tabStates.set(sender.tab.id, {
+            updateTabState(sender.tab.id, state => ({
+                ...state,
                 ready: true,
                 url: message.url,
                 timestamp: Date.now()
-            });
+            }));
         }
         return;
     }
 
+    // Client-side navigation or late metadata changed what the page shows
+    if (message.action === 'pageChanged') {
+        if (sender.tab?.id) {
+            const tabId = sender.tab.id;
+            updateTabState(tabId, previous => ({
+                ...previous,
+                // A new URL shows another paper; a doi.org DOI named the old one
+                redirectDOI: message.url === previous.url ? previous.redirectDOI : null,
+                ready: true,
+                url: message.url,
+                pageType: message.pageType,
+                detection: message.detection,
+                timestamp: Date.now()
+            })).then(() => updateDetection(tabId, message.detection));
+        }
+        return;
+    }
+
+    if (message.action === 'rememberPDF') {
+        if (sender.tab?.id && message.pdfURL && message.metadata) {
+            rememberPDFSource(sender.tab.id, message.pdfURL, message.metadata);
+        }
+        return;
+    }
+
+    if (message.action === 'getRedirectDOI') {
+        takeRedirectDOI(sender.tab?.id, sender.url || sender.tab?.url).then(doi => sendResponse({ doi }));
+        return true; // Async response
+    }
+
+    if (message.action === 'findPDFSource') {
+        findPDFSource(message.url).then(metadata => sendResponse({ metadata }));
+        return true; // Async response
+    }
+
+    if (message.action === 'selectionChanged') {
+        showSelectionImport(message.hasIdentifier);
+        return;
+    }
+
+    // Buttons the content script puts next to identifiers on a page. Like
+    // requests from the popup, they only reach the app through a gate.
+    if (message.action === 'inlineCheck') {
+        fromInlineButtons(sender).then(allowed => {
+            if (!allowed) return { saved: [] };
+            return areInLibrary((message.identifiers || []).map(libraryKeys)).then(saved => ({ saved }));
+        }).then(sendResponse);
+        return true; // Async response
+    }
+
+    if (message.action === 'inlineImport') {
+        fromInlineButtons(sender).then(allowed => {
+            if (!allowed || !INLINE_IMPORT_TYPES.includes(message.identifier?.type)) {
+                return { status: 'failed', error: 'Import not allowed from this page' };
+            }
+            return importIdentifier(message.identifier, sender.tab.url, sender.tab.id).then(entry =>
+                entry ? { status: entry.status, error: entry.lastError } : { status: 'failed' });
+        }).then(sendResponse);
+        return true; // Async response
+    }
+
+    // Outbox requests from the popup
+    if (message.action?.startsWith('outbox')) {
+        if (!fromExtensionPage(sender)) return;
+
+        handleOutboxMessage(message).then(result => {
+            sendResponse(result || {});
+        }).catch(error => {
+            sendResponse({ error: error.message });
+        });
+        return true; // Async response
+    }
+
+    // History requests from the popup
+    if (message.action?.startsWith('history')) {
+        if (!fromExtensionPage(sender)) return;
+
+        handleHistoryMessage(message).then(result => {
+            sendResponse(result || {});
+        }).catch(error => {
+            sendResponse({ error: error.message });
+        });
+        return true; // Async response
+    }
+
     // Forward other messages as needed
     return false;
 });
 
+// Messages from the popup rather than a content script. Content scripts
+// share the message channel, so only the extension's own pages may send
+// to the app.
+function fromExtensionPage(sender) {
+    return !sender.tab && Boolean(sender.url?.startsWith(browser.runtime.getURL('')));
+}
+
+// Of the content scripts, only the +imbib buttons may ask the app anything,
+// from a tab's top frame on a site where the user turned them on. The
+// buttons themselves only react to the user's own clicks.
+const INLINE_BUTTONS_KEY = 'imbib.inlineButtons';
+const INLINE_IMPORT_TYPES = ['doi', 'arxiv', 'bibcode'];
+
+async function fromInlineButtons(sender) {
+    if (!sender.tab?.id || sender.frameId !== 0 || sender.id !== browser.runtime.id) return false;
+
+    let hostname;
+    try {
+        hostname = new URL(sender.url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return false;
+    }
+
+    // A site's own choice wins over the setting for every site
+    const { [INLINE_BUTTONS_KEY]: settings } = await browser.storage.local.get(INLINE_BUTTONS_KEY);
+    const site = settings?.sites?.[hostname];
+    if (site === 'allow') return true;
+    if (site === 'deny') return false;
+    return Boolean(settings?.enabled);
+}
+
+// ==================== Tab State ====================
+
+// What the extension knows about each tab: whether its content script is
+// ready, what the badge shows, the DOI it resolved through doi.org on its
+// way to the current page, and the PDFs its landing pages declared. The
+// service worker is stopped when idle, so this lives in session storage
+// rather than in memory; closed tabs are forgotten in tabs.onRemoved.
+
+const TAB_STATE_PREFIX = 'imbib.tab.';
+const PDF_SOURCES_PREFIX = 'imbib.pdfSources.';
+const MAX_PDF_SOURCES = 20; // Per tab
+
+// Updates to one key run one at a time, each on a fresh copy from storage
+const sessionChains = new Map();
+
+// update returns the new value, null to remove the key, or undefined to
+// leave it as it is
+function updateSession(key, update) {
+    const run = (sessionChains.get(key) || Promise.resolve()).then(async () => {
+        const { [key]: value } = await browser.storage.session.get(key);
+        const next = update(value);
+        if (next === null) {
+            await browser.storage.session.remove(key);
+        } else if (next !== undefined) {
+            await browser.storage.session.set({ [key]: next });
+        }
+        return next;
+    });
+    sessionChains.set(key, run.catch(() => {}));
+    return run;
+}
+
+async function getTabState(tabId) {
+    if (tabId === undefined) return null;
+    const key = TAB_STATE_PREFIX + tabId;
+    const { [key]: state = null } = await browser.storage.session.get(key);
+    return state;
+}
+
+// update gets the tab's state, {} for a tab not seen yet
+function updateTabState(tabId, update) {
+    return updateSession(TAB_STATE_PREFIX + tabId, state => update(state || {}));
+}
+
+function rememberPDFSource(tabId, pdfURL, metadata) {
+    return updateSession(PDF_SOURCES_PREFIX + tabId, (sources = []) => [
+        ...sources.filter(source => source.pdfURL !== pdfURL),
+        { pdfURL, metadata, timestamp: Date.now() }
+    ].slice(-MAX_PDF_SOURCES));
+}
+
+// The landing page that most recently declared this PDF, in any open tab
+async function findPDFSource(url) {
+    if (!url) return null;
+    const stored = await browser.storage.session.get(null);
+    const matches = Object.entries(stored)
+        .filter(([key]) => key.startsWith(PDF_SOURCES_PREFIX))
+        .flatMap(([, sources]) => sources.filter(source => source.pdfURL === url))
+        .sort((a, b) => b.timestamp - a.timestamp);
+    return matches[0]?.metadata || null;
+}
+
+function forgetTab(tabId) {
+    sessionChains.delete(TAB_STATE_PREFIX + tabId);
+    sessionChains.delete(PDF_SOURCES_PREFIX + tabId);
+    return Promise.all([
+        updateTabState(tabId, () => null),
+        updateSession(PDF_SOURCES_PREFIX + tabId, () => null)
+    ]);
+}
+
+// ==================== Native Messaging ====================
+
+// Send one request to the app through the extension handler. Rejects with
+// `hostUnavailable` set when the handler can't be reached.
+async function sendNativeRequest(message) {
+    try {
+        return await browser.runtime.sendNativeMessage('com.imbib.app.safari-extension', message);
+    } catch (error) {
+        error.hostUnavailable = true;
+        throw error;
+    }
+}
+
+// ==================== Outbox ====================
+
+// Imports and smart searches wait in storage until the app confirms them,
+// so nothing is lost when imbib isn't running or the popup closes halfway.
+// Entry status is one of
+//   pending - not delivered yet; retried while the app is unreachable
+//   sent    - handed over as an imbib:// URL, which can't confirm anything.
+//             Once the app answers, imports it has are delivered and ones
+//             it still lacks after a while are sent again through it.
+//             Smart searches and papers without identifiers stay unconfirmed.
+//             Unconfirmed entries expire after a week.
+//   failed  - the app rejected it, or delivery kept failing
+// Delivered and expired entries leave the outbox.
+
+const OUTBOX_KEY = 'imbib.outbox';
+const OUTBOX_ALARM = 'imbib.outbox';
+const OUTBOX_RETRY_MINUTES = 1;
+const MAX_DELIVERY_ATTEMPTS = 10;
+const SENT_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+// How long an import sent by URL has to show up in the library before it's
+// sent again
+const SENT_CONFIRM_MS = 10 * 60 * 1000;
+const KEPT_STATUSES = ['pending', 'sent', 'failed'];
+
+// Outbox updates run one at a time, each on a fresh copy from storage
+let outboxChain = Promise.resolve();
+
+function updateOutbox(update) {
+    const run = outboxChain.then(async () => {
+        const { [OUTBOX_KEY]: entries = [] } = await browser.storage.local.get(OUTBOX_KEY);
+        const result = await update(entries);
+        const history = historyChanges(entries);
+        await browser.storage.local.set({
+            [OUTBOX_KEY]: entries.filter(entry => KEPT_STATUSES.includes(entry.status))
+        });
+        scheduleOutboxRetry(entries);
+
+        // The history is a record, not part of delivery: a failed history
+        // write must never keep the outbox from being saved
+        recordHistory(history).catch(error => {
+            console.warn('Failed to record import history:', error);
+        });
+        return result;
+    });
+    outboxChain = run.catch(() => {});
+    return run;
+}
+
+// Try to deliver one entry. Resolves to false when the app can't be
+// reached at all, so callers stop trying the rest.
+async function deliver(entry) {
+    entry.updatedAt = Date.now();
+
+    if (entry.status === 'sent') {
+        // Never send again what the URL delivered: look for it first.
+        // Smart searches and papers without identifiers can't be looked up.
+        const { doi, arxivID, bibcode } = entry.kind === 'import' ? entry.request.item : {};
+        if (!doi && !arxivID && !bibcode) return true;
+
+        let response;
+        try {
+            response = await sendNativeRequest({ action: 'checkDuplicate', doi, arxivID, bibcode });
+        } catch (error) {
+            return !error.hostUnavailable;
+        }
+        if (response?.exists) {
+            entry.status = 'delivered';
+            return true;
+        }
+        if (Date.now() - (entry.sentAt || entry.createdAt) < SENT_CONFIRM_MS) return true;
+        entry.status = 'pending';
+    }
+
+    try {
+        const response = await sendNativeRequest(entry.request);
+        if (response?.success) {
+            entry.status = 'delivered';
+        } else {
+            entry.status = 'failed';
+            entry.lastError = response?.error || 'imbib rejected the request';
+        }
+        return true;
+    } catch (error) {
+        if (error.hostUnavailable) return false;
+        entry.attempts = (entry.attempts || 0) + 1;
+        entry.lastError = error.message;
+        if (entry.attempts >= MAX_DELIVERY_ATTEMPTS) entry.status = 'failed';
+        return true;
+    }
+}
+
+async function deliverAll(entries) {
+    let reachable = true;
+    for (const entry of entries) {
+        if (entry.status === 'sent' && Date.now() - entry.createdAt > SENT_EXPIRY_MS) {
+            entry.status = 'expired';
+        } else if (reachable && (entry.status === 'sent' || entry.status === 'pending')) {
+            reachable = await deliver(entry) && reachable;
+        }
+    }
+    return reachable;
+}
+
+// Add requests from the popup and try them straight away. The popup falls
+// back to the URL scheme for entries still pending when the app was
+// unreachable.
+function submitToOutbox(requests) {
+    return updateOutbox(async (entries) => {
+        const now = Date.now();
+        const added = requests.map(({ kind, title, sourceURL, request }) => ({
+            id: crypto.randomUUID(),
+            kind,
+            title,
+            sourceURL: sourceURL || null,
+            request,
+            status: 'pending',
+            attempts: 0,
+            createdAt: now,
+            updatedAt: now
+        }));
+        entries.push(...added);
+
+        const reachable = await deliverAll(added);
+        return { entries: added, reachable };
+    });
+}
+
+// Submit requests the background started itself, without the popup. When
+// the app is unreachable, the tab opens the imbib:// URLs instead.
+async function submitFromTab(requests, tabId) {
+    const { entries, reachable } = await submitToOutbox(requests);
+    if (reachable) return entries;
+    return sendByURL(entries, tabId);
+}
+
+// Browsers drop or throttle external protocol launches that follow each
+// other too closely
+const URL_LAUNCH_GAP_MS = 1000;
+
+// The app couldn't be reached at all: open imbib:// URLs for the pending
+// entries from a tab, one at a time, and record each entry as sent once its
+// URL has launched (the URL scheme can't confirm anything). Entries whose
+// URL couldn't be opened stay pending for the next retry.
+async function sendByURL(entries, tabId) {
+    const unsent = entries.filter(entry => entry.status === 'pending');
+    const launches = await outboxLaunches(unsent);
+
+    for (const [index, { url, ids }] of launches.entries()) {
+        if (index > 0) await new Promise(resolve => setTimeout(resolve, URL_LAUNCH_GAP_MS));
+        try {
+            await openAppURL(tabId, url);
+        } catch (e) {
+            break;
+        }
+        await markOutboxSent(ids);
+        unsent.forEach(entry => {
+            if (ids.includes(entry.id)) entry.status = 'sent';
+        });
+    }
+    return entries;
+}
+
+// The popup's side of sendByURL: the entries it submitted or retried, read
+// afresh in case delivery moved on since
+async function sendOutboxByURL(ids, tabId) {
+    if (tabId === undefined) throw new Error('No tab to open imbib from');
+
+    const { [OUTBOX_KEY]: stored = [] } = await browser.storage.local.get(OUTBOX_KEY);
+    const entries = stored.filter(entry => ids.includes(entry.id));
+    await sendByURL(entries, tabId);
+    return { sent: entries.filter(entry => entry.status === 'sent').map(entry => entry.id) };
+}
+
+// Hand an imbib:// URL to the system from a tab: through its content
+// script, or for tabs without one (new tab page, browser pages) by pointing
+// the tab itself at it; browsers pass external schemes on without leaving
+// the page
+async function openAppURL(tabId, url) {
+    try {
+        await browser.tabs.sendMessage(tabId, { action: 'openURL', url });
+    } catch (e) {
+        await browser.tabs.update(tabId, { url });
+    }
+}
+
+// The URL scheme's version of outbox entries: one URL for all imports,
+// one per smart search, each with the entries it carries
+async function outboxLaunches(entries) {
+    const launches = [];
+    const imports = entries.filter(entry => entry.kind === 'import');
+    if (imports.length > 0) {
+        launches.push({
+            url: await imbib.payload.importURL(imports.map(entry => entry.request.item)),
+            ids: imports.map(entry => entry.id)
+        });
+    }
+
+    entries.filter(entry => entry.kind === 'smartSearch').forEach(entry => {
+        const params = new URLSearchParams();
+        params.set('query', entry.request.query);
+        params.set('name', entry.request.name);
+        params.set('sourceID', entry.request.sourceID);
+        launches.push({
+            url: `imbib://search/create-smart-search?${params.toString()}`,
+            ids: [entry.id]
+        });
+    });
+    return launches;
+}
+
+// Failed and unconfirmed entries go back to pending and are sent again
+function retryOutbox() {
+    return updateOutbox(async (entries) => {
+        const retried = entries.filter(entry => entry.status === 'failed' || entry.status === 'sent');
+        retried.forEach(entry => {
+            entry.status = 'pending';
+            entry.attempts = 0;
+            entry.lastError = null;
+        });
+
+        const reachable = await deliverAll(entries);
+        return { entries: retried, reachable };
+    });
+}
+
+function flushOutbox() {
+    return updateOutbox(async (entries) => ({ reachable: await deliverAll(entries) }));
+}
+
+function markOutboxSent(ids) {
+    return updateOutbox(async (entries) => {
+        entries.forEach(entry => {
+            if (ids.includes(entry.id) && entry.status === 'pending') {
+                entry.status = 'sent';
+                entry.updatedAt = entry.sentAt = Date.now();
+            }
+        });
+    });
+}
+
+function removeFromOutbox(id) {
+    return updateOutbox(async (entries) => {
+        const entry = entries.find(candidate => candidate.id === id);
+        if (entry) entry.status = 'removed';
+    });
+}
+
+// Retry pending entries every minute until none are left
+function scheduleOutboxRetry(entries) {
+    if (entries.some(entry => entry.status === 'pending')) {
+        browser.alarms.create(OUTBOX_ALARM, { periodInMinutes: OUTBOX_RETRY_MINUTES });
+    } else {
+        browser.alarms.clear(OUTBOX_ALARM);
+    }
+}
+
+function handleOutboxMessage(message) {
+    switch (message.action) {
+        case 'outboxSubmit':
+            return submitToOutbox(message.requests || []);
+        case 'outboxRetry':
+            return retryOutbox();
+        case 'outboxFlush':
+            return flushOutbox();
+        case 'outboxSendByURL':
+            return sendOutboxByURL(message.ids || [], message.tabId);
+        case 'outboxRemove':
+            return removeFromOutbox(message.id);
+        default:
+            return Promise.resolve({ error: 'Unknown outbox action' });
+    }
+}
+
+browser.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === OUTBOX_ALARM) flushOutbox();
+});
+
+browser.runtime.onStartup.addListener(() => {
+    flushOutbox();
+    pruneHistory();
+});
+
+// ==================== Import History ====================
+
+// Every import and smart search handed to the outbox, with when it was
+// sent, the page it came from, its identifiers and how delivery ended.
+// The popup searches it, sends entries again and reopens their pages.
+// Entries past the retention the user picked (90 days unless changed)
+// are dropped whenever the history is written.
+
+const HISTORY_KEY = 'imbib.history';
+const HISTORY_RETENTION_KEY = 'imbib.historyRetentionDays';
+const DEFAULT_HISTORY_RETENTION_DAYS = 90;
+// Bounds storage when the user keeps history forever
+const MAX_HISTORY_ENTRIES = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// History updates run one at a time, like outbox updates. `update` returns
+// the new list, or null when nothing changed.
+let historyChain = Promise.resolve();
+
+function updateHistory(update) {
+    const run = historyChain.then(async () => {
+        const {
+            [HISTORY_KEY]: history = [],
+            [HISTORY_RETENTION_KEY]: retentionDays = DEFAULT_HISTORY_RETENTION_DAYS
+        } = await browser.storage.local.get([HISTORY_KEY, HISTORY_RETENTION_KEY]);
+
+        const updated = update(history);
+        if (!updated) return;
+
+        const cutoff = retentionDays > 0 ? Date.now() - retentionDays * DAY_MS : 0;
+        await browser.storage.local.set({
+            [HISTORY_KEY]: updated
+                .filter(record => record.createdAt >= cutoff)
+                .slice(-MAX_HISTORY_ENTRIES)
+        });
+    });
+    historyChain = run.catch(() => {});
+    return run;
+}
+
+// What the history keeps of an entry: enough to find it, show how it went
+// and send it again, but not the full request. Imports are sent again by
+// their identifiers; imbib looks the paper up afresh.
+function historyRecord(entry) {
+    const { item, query, name, sourceID } = entry.request;
+    const record = {
+        id: entry.id,
+        kind: entry.kind,
+        title: entry.title,
+        sourceURL: entry.sourceURL || null,
+        doi: item?.doi || null,
+        arxivID: item?.arxivID || null,
+        bibcode: item?.bibcode || null,
+        pmid: item?.pmid || null,
+        status: entry.status,
+        lastError: entry.lastError || null,
+        createdAt: entry.createdAt,
+        updatedAt: entry.updatedAt
+    };
+    if (item) record.libraryId = item.libraryId || null;
+    if (entry.kind === 'smartSearch') Object.assign(record, { query, name, sourceID });
+    return record;
+}
+
+// Snapshot the outbox for the history, noting which entries it hasn't seen
+// yet. Entries are marked then, before the outbox is saved, so clearing the
+// history doesn't bring back ones still waiting in the outbox.
+function historyChanges(entries) {
+    return entries.map(entry => {
+        const change = { record: historyRecord(entry), added: !entry.recorded };
+        entry.recorded = true;
+        return change;
+    });
+}
+
+// Add entries seen for the first time and bring the status of known ones up
+// to date
+function recordHistory(changes) {
+    return updateHistory(history => {
+        const records = new Map(history.map(record => [record.id, record]));
+        let changed = false;
+
+        for (const { record: update, added } of changes) {
+            const record = records.get(update.id);
+            if (record) {
+                if (record.status !== update.status || record.lastError !== update.lastError) {
+                    record.status = update.status;
+                    record.lastError = update.lastError;
+                    record.updatedAt = update.updatedAt;
+                    changed = true;
+                }
+            } else if (added) {
+                history.push(update);
+                changed = true;
+            }
+        }
+
+        return changed ? history : null;
+    });
+}
+
+function clearHistory() {
+    return updateHistory(() => []);
+}
+
+// Drop what the retention no longer covers
+function pruneHistory() {
+    return updateHistory(history => history);
+}
+
+async function setHistoryRetention(days) {
+    await browser.storage.local.set({ [HISTORY_RETENTION_KEY]: days });
+    return pruneHistory();
+}
+
+function handleHistoryMessage(message) {
+    switch (message.action) {
+        case 'historyClear':
+            return clearHistory();
+        case 'historySetRetention':
+            return setHistoryRetention(Math.max(0, Number(message.days) || 0));
+        default:
+            return Promise.resolve({ error: 'Unknown history action' });
+    }
+}
+
+// ==================== Context Menus ====================
+
+// "Import to imbib" on links to papers, so the linked page never has to be
+// opened, and "Import identifier" and "Search ADS for…" on selected text.
+// The app fetches the metadata for the identifier; the tab's badge flashes
+// the outcome.
+
+const MENU_IMPORT_LINK = 'imbib.importLink';
+const MENU_IMPORT_SELECTION = 'imbib.importSelection';
+const MENU_SEARCH_ADS = 'imbib.searchADS';
+
+// Links offered for import; identifyURL has the last word on the click
+const PAPER_LINK_PATTERNS = [
+    '*://doi.org/*',
+    '*://dx.doi.org/*',
+    '*://arxiv.org/abs/*',
+    '*://arxiv.org/pdf/*',
+    '*://ui.adsabs.harvard.edu/abs/*',
+    '*://pubmed.ncbi.nlm.nih.gov/*'
+];
+
+const ADS_SEARCH_URL = 'https://ui.adsabs.harvard.edu/search/';
+const PUBMED_SUMMARY_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi';
+
+const IDENTIFIER_LABELS = {
+    doi: 'DOI',
+    arxiv: 'arXiv',
+    bibcode: 'Bibcode',
+    pmid: 'PMID'
+};
+
+// Whether "Import identifier" is showing; unknown after a restart
+let selectionImportVisible = null;
+
+// Menus persist across restarts, so they're only (re)created on install
+// and update
+browser.runtime.onInstalled.addListener(async () => {
+    await browser.contextMenus.removeAll();
+    browser.contextMenus.create({
+        id: MENU_IMPORT_LINK,
+        title: 'Import to imbib',
+        contexts: ['link'],
+        targetUrlPatterns: PAPER_LINK_PATTERNS
+    });
+    browser.contextMenus.create({
+        id: MENU_IMPORT_SELECTION,
+        title: 'Import identifier',
+        contexts: ['selection']
+    });
+    browser.contextMenus.create({
+        id: MENU_SEARCH_ADS,
+        title: 'Search ADS for “%s”',
+        contexts: ['selection']
+    });
+});
+
+browser.contextMenus.onClicked.addListener((info, tab) => {
+    switch (info.menuItemId) {
+        case MENU_IMPORT_LINK:
+            importIdentifier(imbib.identifiers.identifyURL(info.linkUrl), info.linkUrl, tab?.id);
+            break;
+        case MENU_IMPORT_SELECTION:
+            importIdentifier(imbib.identifiers.findIdentifier(info.selectionText), info.pageUrl, tab?.id);
+            break;
+        case MENU_SEARCH_ADS:
+            searchADS(info.selectionText, tab);
+            break;
+    }
+});
+
+// Content scripts report whether the selection holds an identifier while
+// it changes; an open menu can't be changed any more
+function showSelectionImport(visible) {
+    visible = Boolean(visible);
+    if (visible === selectionImportVisible) return;
+
+    selectionImportVisible = visible;
+    browser.contextMenus.update(MENU_IMPORT_SELECTION, { visible }).catch(() => {
+        // Menus not created yet
+        selectionImportVisible = null;
+    });
+}
+
+// Resolves to the outbox entry, or null if there was nothing to submit
+async function importIdentifier(identifier, sourceURL, tabId) {
+    if (!identifier) {
+        flashBadge(tabId, 'failed', 'No DOI, arXiv ID or bibcode found');
+        return null;
+    }
+
+    try {
+        const item = {
+            ...imbib.identifiers.normalizeMetadata(await identifierItem(identifier)),
+            libraryId: null,
+            importedAt: new Date().toISOString()
+        };
+        const [entry] = await submitFromTab([{
+            kind: 'import',
+            title: item.title || `${IDENTIFIER_LABELS[identifier.type]} ${identifier.value}`,
+            sourceURL,
+            request: { action: 'importItem', item }
+        }], tabId);
+        flashBadge(tabId, entry.status, entry.lastError);
+        return entry;
+    } catch (error) {
+        console.error('imbib: Import failed:', error);
+        flashBadge(tabId, 'failed', error.message);
+        return null;
+    }
+}
+
+// The import item for an identifier alone; the app looks up the rest
+async function identifierItem({ type, value }) {
+    switch (type) {
+        case 'doi':
+            return { sourceType: 'doi', doi: value };
+        case 'arxiv':
+            return { sourceType: 'arxiv', arxivID: value };
+        case 'bibcode':
+            return { sourceType: 'ads', bibcode: value };
+        case 'pmid':
+            return pubmedItem(value);
+        default:
+            throw new Error(`Can't import a ${type}`);
+    }
+}
+
+// The fields the duplicate check matches for an identifier
+function libraryKeys({ type, value }) {
+    return {
+        doi: type === 'doi' ? value : undefined,
+        arxivID: type === 'arxiv' ? value : undefined,
+        bibcode: type === 'bibcode' ? value : undefined
+    };
+}
+
+// The app can't look up a bare PMID, so fetch the record's DOI and
+// citation from PubMed's E-utilities first. Without them the PMID alone
+// is sent.
+async function pubmedItem(pmid) {
+    const item = { sourceType: 'pubmed', pmid };
+    try {
+        const params = new URLSearchParams({ db: 'pubmed', retmode: 'json', id: pmid });
+        const response = await fetch(`${PUBMED_SUMMARY_URL}?${params.toString()}`);
+        if (!response.ok) return item;
+
+        const record = (await response.json())?.result?.[pmid];
+        if (!record) return item;
+
+        return {
+            ...item,
+            title: record.title?.replace(/\.$/, ''),
+            authors: (record.authors || [])
+                .filter(author => author.authtype === 'Author')
+                .map(author => author.name),
+            journal: record.fulljournalname || record.source,
+            year: record.pubdate?.match(/\d{4}/)?.[0],
+            volume: record.volume,
+            pages: record.pages,
+            doi: record.articleids?.find(id => id.idtype === 'doi')?.value
+        };
+    } catch (e) {
+        return item;
+    }
+}
+
+// Open ADS results for the selection next to the current tab
+function searchADS(text, tab) {
+    const query = String(text || '').trim().replace(/\s+/g, ' ');
+    if (!query) return;
+
+    browser.tabs.create({
+        url: `${ADS_SEARCH_URL}q=${encodeURIComponent(query)}&sort=${encodeURIComponent('date desc')}`,
+        index: tab ? tab.index + 1 : undefined,
+        openerTabId: tab?.id
+    });
+}
+
+// ==================== Keyboard Shortcuts ====================
+
+// The manifest's commands, rebindable in the browser's shortcut settings.
+// Importing the page and saving an ADS search run the content script's
+// extraction like the popup does and flash the outcome on the badge; the
+// batch shortcut opens the popup with its list of papers focused.
+
+const POPUP_PAGE = 'popup/popup.html';
+
+// Smart search names show this much of the query, as in the popup
+const SMART_SEARCH_NAME_LENGTH = 40;
+
+browser.commands.onCommand.addListener((command, tab) => {
+    switch (command) {
+        case 'import-page':
+            runForTab(tab, importPage);
+            break;
+        case 'open-batch':
+            openBatchPopup(tab);
+            break;
+        case 'create-smart-search':
+            runForTab(tab, createSmartSearchFromPage);
+            break;
+    }
+});
+
+// Run a command started without the popup against its tab, reporting
+// failures on the badge. Browsers that don't pass the tab along get the
+// active one.
+async function runForTab(tab, command) {
+    if (tab?.id === undefined) {
+        [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return;
+    }
+
+    try {
+        await command(tab);
+    } catch (error) {
+        console.error('imbib: Command failed:', error);
+        flashBadge(tab.id, 'failed', error.message);
+    }
+}
+
+// The popup in batch mode, for picking papers from a listing
+async function openBatchPopup(tab) {
+    if (typeof browser.action.openPopup !== 'function') {
+        flashBadge(tab?.id, 'failed', 'Open imbib from the toolbar to pick papers');
+        return;
+    }
+
+    // The batch page must be set before the popup opens, and the toolbar
+    // button gets its usual popup back once it has
+    try {
+        await browser.action.setPopup({ popup: `${POPUP_PAGE}?mode=batch` });
+        await browser.action.openPopup();
+    } catch (error) {
+        console.warn('imbib: Could not open the popup:', error);
+        flashBadge(tab?.id, 'failed', 'Open imbib from the toolbar to pick papers');
+    } finally {
+        await browser.action.setPopup({ popup: POPUP_PAGE });
+    }
+}
+
+// The page's metadata, found the way the popup finds it: PDF URLs that
+// name the paper, then the content script, then the landing page a PDF
+// was opened from
+async function extractPage(tab) {
+    const pdfSource = imbib.pdfSource.fromURL(tab.url);
+    if (pdfSource) return pdfSource;
+
+    let response = null;
+    try {
+        response = await browser.tabs.sendMessage(tab.id, { action: 'extract' });
+    } catch (e) {
+        // No content script in this tab (browser pages, PDF viewers)
+    }
+    if (response?.error) throw new Error(response.error);
+
+    return response?.metadata || await findPDFSource(tab.url?.split('#')[0]) || null;
+}
+
+async function importPage(tab) {
+    const metadata = await extractPage(tab);
+    if (!metadata || metadata.isSearchPage) {
+        flashBadge(tab.id, 'failed', metadata?.items?.length
+            ? 'Several papers here; pick them in the popup'
+            : 'No paper found on this page');
+        return;
+    }
+
+    const item = {
+        ...imbib.identifiers.normalizeMetadata(metadata),
+        libraryId: null,
+        importedAt: new Date().toISOString()
+    };
+    if (!item.title && imbib.identifiers.identifierKeys(item).length === 0) {
+        flashBadge(tab.id, 'failed', 'No title or identifier found on this page');
+        return;
+    }
+
+    const [entry] = await submitFromTab([{
+        kind: 'import',
+        title: item.title,
+        // PDFs opened from a landing page are recorded as coming from it
+        sourceURL: metadata.landingURL || tab.url,
+        request: { action: 'importItem', item }
+    }], tab.id);
+    flashBadge(tab.id, entry.status, entry.lastError);
+}
+
+async function createSmartSearchFromPage(tab) {
+    const metadata = await extractPage(tab);
+    const query = metadata?.isSearchPage ? metadata.searchQuery : null;
+    if (!query) {
+        flashBadge(tab.id, 'failed', 'No ADS search on this page');
+        return;
+    }
+
+    await submitSmartSearch(query, tab.url, tab.id);
+}
+
+// An ADS smart search named after its query, as the popup names them
+async function submitSmartSearch(query, sourceURL, tabId) {
+    const truncatedQuery = query.length > SMART_SEARCH_NAME_LENGTH
+        ? query.substring(0, SMART_SEARCH_NAME_LENGTH) + '...'
+        : query;
+    const name = `Search: ${truncatedQuery}`;
+
+    const [entry] = await submitFromTab([{
+        kind: 'smartSearch',
+        title: name,
+        sourceURL,
+        request: { action: 'createSmartSearch', query, name, sourceID: 'ads' }
+    }], tabId);
+    flashBadge(tabId, entry.status, entry.status === 'delivered' ? 'Smart search created' : entry.lastError);
+}
+
+// ==================== Toolbar Badge ====================
+
+// Per-tab badge from the content script's detection result: "1" for a
+// paper, the count on listing pages, a search marker for ADS queries that
+// can become smart searches and a check mark for papers already saved.
+// Pages with nothing to import get a dimmed icon and no badge; pages not
+// yet checked get the plain icon.
+
+const BADGE_COLORS = {
+    paper: '#007AFF',
+    listing: '#007AFF',
+    search: '#8E8E93',
+    saved: '#34C759'
+};
+
+const DEFAULT_ICON = {
+    16: 'images/icon-48.png',
+    32: 'images/icon-48.png',
+    48: 'images/icon-48.png'
+};
+
+let dimmedIcon = null;
+
+function badgeFor(detection) {
+    switch (detection?.kind) {
+        case 'paper':
+            return detection.saved
+                ? { text: '\u2713', color: BADGE_COLORS.saved, title: 'imbib: Already in your library' }
+                : { text: '1', color: BADGE_COLORS.paper, title: 'imbib: Paper ready to import' };
+        case 'listing':
+            return {
+                text: detection.count > 99 ? '99+' : String(detection.count),
+                color: BADGE_COLORS.listing,
+                title: `imbib: ${detection.count} paper${detection.count === 1 ? '' : 's'} on this page`
+            };
+        case 'search':
+            return { text: '\u2315', color: BADGE_COLORS.search, title: 'imbib: Save this search as a smart search' };
+        default:
+            return null;
+    }
+}
+
+// The toolbar icon at reduced opacity, drawn once
+async function dimmedIconData() {
+    if (dimmedIcon || typeof OffscreenCanvas === 'undefined') return dimmedIcon;
+
+    const response = await fetch(browser.runtime.getURL('images/icon-48.png'));
+    const bitmap = await createImageBitmap(await response.blob());
+    const canvas = new OffscreenCanvas(32, 32);
+    const context = canvas.getContext('2d');
+    context.globalAlpha = 0.4;
+    context.drawImage(bitmap, 0, 0, 32, 32);
+    dimmedIcon = { 32: context.getImageData(0, 0, 32, 32) };
+    return dimmedIcon;
+}
+
+async function updateBadge(tabId, detection) {
+    const badge = badgeFor(detection);
+    try {
+        await browser.action.setBadgeText({ tabId, text: badge?.text || '' });
+        await browser.action.setTitle({ tabId, title: badge?.title || 'imbib' });
+        if (badge) {
+            await browser.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+        }
+
+        const imageData = detection?.kind === 'none' ? await dimmedIconData() : null;
+        await browser.action.setIcon(imageData ? { tabId, imageData } : { tabId, path: DEFAULT_ICON });
+    } catch (e) {
+        // The tab may have closed in the meantime
+    }
+}
+
+// Imports started without the popup report their outcome on the badge for
+// a few seconds before it goes back to the tab's detection result
+const FLASH_BADGES = {
+    delivered: { text: '\u2713', color: BADGE_COLORS.saved, title: 'imbib: Added to library' },
+    sent: { text: '\u2713', color: BADGE_COLORS.saved, title: 'imbib: Sent to imbib' },
+    pending: { text: '\u2026', color: BADGE_COLORS.search, title: 'imbib: Waiting until imbib can be reached' },
+    failed: { text: '!', color: '#FF3B30', title: 'imbib: Import failed' }
+};
+const FLASH_MS = 4 * 1000;
+
+const flashTimers = new Map();
+
+async function flashBadge(tabId, status, title) {
+    const badge = FLASH_BADGES[status];
+    if (tabId === undefined || !badge) return;
+
+    clearTimeout(flashTimers.get(tabId));
+    try {
+        await browser.action.setBadgeText({ tabId, text: badge.text });
+        await browser.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+        await browser.action.setTitle({ tabId, title: title ? `imbib: ${title}` : badge.title });
+    } catch (e) {
+        // The tab may have closed in the meantime
+        return;
+    }
+
+    flashTimers.set(tabId, setTimeout(() => {
+        flashTimers.delete(tabId);
+        getTabState(tabId).then(state => updateBadge(tabId, state?.detection || null));
+    }, FLASH_MS));
+}
+
+// Show a tab's detection result, then check the library for single papers
+async function updateDetection(tabId, detection) {
+    if (!detection) return;
+    await updateBadge(tabId, detection);
+
+    if (detection.kind === 'paper' && await isInLibrary(detection)) {
+        const saved = { ...detection, saved: true };
+        // Ignore the answer if the tab moved on while we asked
+        const state = await updateTabState(tabId, state =>
+            sameDetection(state.detection, detection) ? { ...state, detection: saved } : undefined);
+        if (!state) return;
+        await updateBadge(tabId, saved);
+    }
+}
+
+function sameDetection(a, b) {
+    return Boolean(a && b) && ['kind', 'count', 'doi', 'arxivID', 'bibcode'].every(key => a[key] === b[key]);
+}
+
+// Which of several papers are in the library, asked in one request
+async function areInLibrary(detections) {
+    const checked = detections.filter(detection => detection.doi || detection.arxivID || detection.bibcode);
+    if (checked.length === 0) return detections.map(() => false);
+
+    try {
+        const response = await sendNativeRequest({
+            action: 'checkDuplicates',
+            items: checked.map(({ doi, arxivID, bibcode }) => ({ doi, arxivID, bibcode }))
+        });
+        const exists = response?.exists || [];
+        return detections.map(detection => {
+            const index = checked.indexOf(detection);
+            return index >= 0 && exists[index] === true;
+        });
+    } catch (error) {
+        if (!error.hostUnavailable) console.warn('Failed to check duplicates:', error);
+        return detections.map(() => false);
+    }
+}
+
+// Whether the paper is already in the library, asked of the app through
+// native messaging
+async function isInLibrary(detection) {
+    if (!detection.doi && !detection.arxivID && !detection.bibcode) return false;
+    try {
+        const response = await browser.runtime.sendNativeMessage(
+            'com.imbib.app.safari-extension',
+            {
+                action: 'checkDuplicate',
+                doi: detection.doi,
+                arxivID: detection.arxivID,
+                bibcode: detection.bibcode
+            }
+        );
+        return response?.exists || false;
+    } catch (error) {
+        console.warn('Failed to check duplicate:', error);
+        return false;
+    }
+}
+
+// Tab-specific badges don't always survive a switch between tabs (Safari),
+// so re-apply the remembered state
+browser.tabs.onActivated.addListener(async ({ tabId }) => {
+    const detection = (await getTabState(tabId))?.detection;
+    if (detection) updateBadge(tabId, detection);
+});
+
 // Clean up closed tabs
 browser.tabs.onRemoved.addListener((tabId) => {
-    tabStates.delete(tabId);
+    clearTimeout(flashTimers.get(tabId));
+    flashTimers.delete(tabId);
+    forgetTab(tabId);
 });
 
 // Update tab state on navigation
 browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     if (changeInfo.status === 'loading') {
-        // Reset state when navigating
-        tabStates.delete(tabId);
+        // Reset state when navigating, except for a doi.org DOI: the
+        // webNavigation listeners below decide which page it belongs to
+        updateTabState(tabId, ({ pendingDOI, redirectDOI }) =>
+            pendingDOI || redirectDOI ? { pendingDOI, redirectDOI } : null);
+        // Nothing detected yet: plain icon, no badge
+        updateBadge(tabId, null);
     }
 });
 
+// Remember the DOI when a tab navigates through doi.org or dx.doi.org.
+// The resolver answers with a redirect, so the content script never runs
+// there and the landing page may not name its own DOI. Any other
+// navigation starting in the meantime replaces the one through doi.org.
+browser.webNavigation.onBeforeNavigate.addListener((details) => {
+    if (details.frameId !== 0) return;
+
+    const doi = doiFromResolverURL(details.url);
+    updateTabState(details.tabId, state => {
+        if (doi) return { pendingDOI: doi };
+        return state.pendingDOI ? { ...state, pendingDOI: null } : undefined;
+    });
+});
+
+// Redirects start no navigation of their own, so the next commit in the tab
+// is the page doi.org redirected to, and only that page gets the DOI.
+// Publishers that hop through a link resolver page pass it on with a client
+// redirect; any other navigation drops it.
+browser.webNavigation.onCommitted.addListener((details) => {
+    if (details.frameId !== 0) return;
+
+    const clientRedirect = details.transitionQualifiers?.includes('client_redirect');
+    updateTabState(details.tabId, ({ pendingDOI, redirectDOI, ...state }) => {
+        if (pendingDOI && !doiFromResolverURL(details.url)) {
+            return { ...state, redirectDOI: { doi: pendingDOI, url: details.url } };
+        }
+        if (redirectDOI && clientRedirect) {
+            return { ...state, redirectDOI: { ...redirectDOI, url: details.url } };
+        }
+        return pendingDOI || redirectDOI ? state : undefined;
+    });
+});
+
+// Hand the DOI to the page the redirect landed on, once. The content
+// script keeps it from there.
+async function takeRedirectDOI(tabId, url) {
+    if (tabId === undefined || !url) return null;
+
+    let doi = null;
+    await updateTabState(tabId, state => {
+        if (!state.redirectDOI || withoutFragment(state.redirectDOI.url) !== withoutFragment(url)) return undefined;
+        doi = state.redirectDOI.doi;
+        return { ...state, redirectDOI: null };
+    });
+    return doi;
+}
+
+function withoutFragment(url) {
+    return String(url).split('#')[0];
+}
+
+// "https://doi.org/10.1234%2Fabc" -> "10.1234/abc"
+function doiFromResolverURL(url) {
+    try {
+        const { hostname, pathname } = new URL(url);
+        if (hostname !== 'doi.org' && hostname !== 'dx.doi.org') return null;
+        const doi = decodeURIComponent(pathname.slice(1));
+        return /^10\.\d{4,9}\/\S+$/.test(doi) ? doi : null;
+    } catch (e) {
+        return null;
+    }
+}
+
 // Handle extension icon click (if no popup)
 browser.action.onClicked.addListener(async (tab) => {
     // This won't fire when popup is configured, but kept for reference
@@ -0,0 +1,179 @@
+// ads.js - NASA ADS site adapter
+// Abstract pages yield full metadata; search pages and citation/reference tabs
+// yield the listed papers for batch import plus a query for smart searches
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib;
+    const { getMetaContent, extractHighwireAuthors, extractAuthorsFromElements, extractMetaDates, inferEntryType, formatPages } = imbib.meta;
+    const { normalizeBibcode, normalizeArXiv } = imbib.identifiers;
+
+    function isSearchURL(url) {
+        return url.includes('/search/') || url.includes('/search?');
+    }
+
+    // Abstract page tabs that list other papers: /abs/{bibcode}/citations
+    const LIST_TAB_PATTERN = /\/abs\/([^\/]+)\/(citations|references|coreads|similar)/;
+
+    function extractADS(location) {
+        const url = location.href;
+
+        // Detect search results page - extract query for smart search creation
+        if (isSearchURL(url)) {
+            const searchQuery = extractADSSearchQuery(url);
+            return listingResult(url, searchQuery, searchQuery
+                ? `Search: ${searchQuery.length > 50 ? searchQuery.substring(0, 50) + '...' : searchQuery}`
+                : null);
+        }
+
+        // Citations/references tabs list papers rather than describing one
+        const tabMatch = url.match(LIST_TAB_PATTERN);
+        if (tabMatch) {
+            const bibcode = normalizeBibcode(tabMatch[1]) || decodeURIComponent(tabMatch[1]);
+            const tab = tabMatch[2];
+            // citations() and references() are ADS query operators, so these
+            // tabs can become smart searches too
+            const searchQuery = (tab === 'citations' || tab === 'references')
+                ? `${tab}(bibcode:${bibcode})`
+                : null;
+            return listingResult(url, searchQuery, `${tab.charAt(0).toUpperCase()}${tab.slice(1)} of ${bibcode}`);
+        }
+
+        // Extract bibcode from URL: /abs/{bibcode}/abstract
+        const bibcodeMatch = url.match(/\/abs\/([^\/]+)/);
+        if (!bibcodeMatch) return null;
+
+        const bibcode = normalizeBibcode(bibcodeMatch[1]);
+        if (!bibcode) return null;
+
+        const metadata = {
+            bibcode: bibcode,
+            sourceType: 'ads',
+            title: getMetaContent('citation_title') ||
+                   document.querySelector('h2.s-abstract-title')?.textContent?.trim(),
+            authors: extractHighwireAuthors(),
+            journal: getMetaContent('citation_journal_title'),
+            volume: getMetaContent('citation_volume'),
+            issue: getMetaContent('citation_issue'),
+            pages: formatPages(getMetaContent('citation_firstpage'), getMetaContent('citation_lastpage')),
+            doi: getMetaContent('citation_doi'),
+            abstract: document.querySelector('div.s-abstract-text')?.textContent?.trim()
+                     ?.replace(/^Abstract\s*/i, ''),
+            arxivID: extractArXivIDFromADSPage(),
+            pdfURL: getMetaContent('citation_pdf_url'),
+            entryType: inferEntryType()
+        };
+
+        imbib.dates.applyDates(metadata, extractMetaDates());
+        metadata.year = metadata.year || bibcode.substring(0, 4);
+
+        // Fallback author extraction from DOM
+        if (!metadata.authors || metadata.authors.length === 0) {
+            metadata.authors = extractAuthorsFromElements(document.querySelectorAll('ul.s-authors-and-aff a'));
+        }
+
+        return metadata;
+    }
+
+    function listingResult(url, searchQuery, message) {
+        const items = extractADSListItems();
+        let summary = message;
+        if (items.length > 0) {
+            summary = `${message ? message + ' \u2022 ' : ''}${items.length} paper${items.length === 1 ? '' : 's'} on this page`;
+        }
+        return {
+            sourceType: 'ads',
+            isSearchPage: true,
+            searchQuery: searchQuery,
+            searchURL: url,
+            items: items,
+            message: summary || 'This is a search results page. Click on a paper to import it.'
+        };
+    }
+
+    // Enumerate result rows rendered by the ADS results list widget
+    // (search results and the citations/references tabs share it)
+    function extractADSListItems() {
+        const items = [];
+        const seen = new Set();
+        const rows = document.querySelectorAll('.results-list-item, .s-results-list-item');
+
+        rows.forEach(row => {
+            const link = row.querySelector('a[href*="/abs/"]');
+            const match = link?.getAttribute('href').match(/\/abs\/([^\/?#]+)/);
+            if (!match) return;
+
+            const bibcode = normalizeBibcode(match[1]);
+            if (!bibcode || seen.has(bibcode)) return;
+            seen.add(bibcode);
+
+            const titleEl = row.querySelector('.s-results-title, h3') || link;
+            const authorElements = Array.from(row.querySelectorAll('.s-results-authors li, .article-author'))
+                .filter(el => !/^\s*and \d+ more/i.test(el.textContent));
+            const authors = extractAuthorsFromElements(authorElements);
+
+            items.push({
+                sourceType: 'ads',
+                bibcode: bibcode,
+                title: titleEl.textContent.trim(),
+                authors: authors
+            });
+        });
+
+        return items;
+    }
+
+    function extractArXivIDFromADSPage() {
+        // Look for arXiv ID in identifiers section
+        const identLinks = document.querySelectorAll('a[href*="arxiv.org"]');
+        for (const link of identLinks) {
+            if (!/arxiv\.org\/(?:abs|pdf)\//.test(link.href)) continue;
+            const arxivID = normalizeArXiv(link.href);
+            if (arxivID) return arxivID;
+        }
+
+        // Also check meta tags
+        return normalizeArXiv(getMetaContent('citation_arxiv_id'));
+    }
+
+    // Extract search query from ADS search URL
+    // Handles both traditional (?q=) and path-based (/search/q=) formats
+    function extractADSSearchQuery(url) {
+        try {
+            const urlObj = new URL(url);
+
+            // Traditional format: /search?q=...
+            let query = urlObj.searchParams.get('q');
+
+            // Path-based format: /search/q=...&sort=...
+            if (!query && urlObj.pathname.startsWith('/search/')) {
+                const pathQuery = urlObj.pathname.substring('/search/'.length);
+                // Parse path as query params
+                const pathParams = new URLSearchParams(pathQuery);
+                query = pathParams.get('q');
+            }
+
+            if (!query) return null;
+
+            // Decode and clean up the query
+            query = decodeURIComponent(query).trim();
+
+            // Skip docs() selection queries - those are temporary and shouldn't be saved
+            if (query.startsWith('docs(')) return null;
+
+            return query;
+        } catch (e) {
+            console.error('imbib: Error parsing ADS search URL:', e);
+            return null;
+        }
+    }
+
+    imbib.adapters.register({
+        id: 'ads',
+        priority: 100,
+        hosts: ['adsabs.harvard.edu'],
+        detect: (location) => location.href.includes('/abs/') || isSearchURL(location.href),
+        extract: extractADS
+    });
+})(globalThis);
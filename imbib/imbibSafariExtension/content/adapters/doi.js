@@ -0,0 +1,33 @@
+// doi.js - DOI resolver site adapter
+// doi.org usually redirects straight away; pass the DOI on for CrossRef lookup
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib;
+
+    function extractDOI(location) {
+        const url = location.href;
+
+        // Extract DOI from URL: doi.org/{doi}
+        const doiMatch = url.match(/(?:dx\.)?doi\.org\/(.+)$/);
+        if (!doiMatch) return null;
+
+        const doi = imbib.identifiers.normalizeDOI(doiMatch[1]);
+        if (!doi) return null;
+
+        // DOI resolver pages often redirect - return DOI for API lookup
+        return {
+            doi: doi,
+            sourceType: 'doi',
+            needsEnrichment: true  // Signal native app to fetch via CrossRef
+        };
+    }
+
+    imbib.adapters.register({
+        id: 'doi',
+        priority: 100,
+        hosts: ['doi.org'],
+        extract: extractDOI
+    });
+})(globalThis);
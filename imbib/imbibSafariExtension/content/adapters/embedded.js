@@ -0,0 +1,193 @@
+// embedded.js - Generic embedded metadata adapter
+// Catch-all for publisher pages: Highwire, Dublin Core, PRISM, OpenGraph,
+// Schema.org JSON-LD and COinS, in that priority order
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib;
+    const {
+        getMetaContent,
+        getMetaContentAll,
+        extractHighwireAuthors,
+        extractMetaDates,
+        parsePageRange,
+        formatPages,
+        splitKeywords,
+        extractLicense,
+        extractDOIFromContent,
+        extractSchemaOrg,
+        extractAuthorsFromJsonLd,
+        extractDOIFromJsonLd,
+        jsonLdText,
+        jsonLdPartOf,
+        inferEntryType,
+        extractCOinS
+    } = imbib.meta;
+
+    function extractEmbedded() {
+        const metadata = {
+            sourceType: 'embedded',
+            entryType: null,
+            title: null,
+            authors: [],
+            year: null,
+            journal: null,
+            booktitle: null,
+            institution: null,
+            publisher: null,
+            volume: null,
+            issue: null,
+            firstPage: null,
+            lastPage: null,
+            pages: null,
+            articleNumber: null,
+            doi: null,
+            issn: [],
+            isbn: null,
+            keywords: [],
+            language: null,
+            license: null,
+            abstract: null,
+            pdfURL: null
+        };
+
+        // 1. Highwire Press (Google Scholar standard) - highest priority
+        metadata.title = getMetaContent('citation_title');
+        metadata.authors = extractHighwireAuthors();
+        metadata.journal = getMetaContent('citation_journal_title');
+        metadata.booktitle = getMetaContent('citation_conference_title') ||
+                            getMetaContent('citation_book_title');
+        metadata.institution = getMetaContent('citation_dissertation_institution') ||
+                              getMetaContent('citation_technical_report_institution');
+        metadata.publisher = getMetaContent('citation_publisher');
+        metadata.volume = getMetaContent('citation_volume');
+        metadata.issue = getMetaContent('citation_issue');
+        metadata.firstPage = getMetaContent('citation_firstpage');
+        metadata.lastPage = getMetaContent('citation_lastpage');
+        metadata.articleNumber = getMetaContent('citation_article_number');
+        metadata.doi = getMetaContent('citation_doi');
+        metadata.issn = getMetaContentAll('citation_issn');
+        metadata.isbn = getMetaContent('citation_isbn');
+        metadata.keywords = splitKeywords(getMetaContentAll('citation_keywords'));
+        metadata.language = getMetaContent('citation_language');
+        metadata.pdfURL = getMetaContent('citation_pdf_url');
+        metadata.abstract = getMetaContent('citation_abstract');
+
+        // 2. Dublin Core fallback
+        metadata.title = metadata.title || getMetaContent('DC.title');
+        if (!metadata.authors || metadata.authors.length === 0) {
+            metadata.authors = getMetaContentAll('DC.creator').map(imbib.authors.parseName).filter(Boolean);
+        }
+        metadata.doi = metadata.doi || extractDOIFromContent(getMetaContent('DC.identifier'));
+        metadata.publisher = metadata.publisher || getMetaContent('DC.publisher');
+        metadata.language = metadata.language || getMetaContent('DC.language');
+        if (metadata.keywords.length === 0) {
+            metadata.keywords = splitKeywords(getMetaContentAll('DC.subject'));
+        }
+
+        // 3. PRISM (publishing metadata)
+        metadata.doi = metadata.doi || getMetaContent('prism.doi');
+        metadata.journal = metadata.journal || getMetaContent('prism.publicationName');
+        metadata.volume = metadata.volume || getMetaContent('prism.volume');
+        metadata.issue = metadata.issue || getMetaContent('prism.number') ||
+                        getMetaContent('prism.issueIdentifier');
+        if (!metadata.firstPage) {
+            const range = parsePageRange(getMetaContent('prism.pageRange'));
+            metadata.firstPage = getMetaContent('prism.startingPage') || range.first;
+            metadata.lastPage = metadata.lastPage || getMetaContent('prism.endingPage') || range.last;
+        }
+        if (metadata.issn.length === 0) {
+            metadata.issn = [getMetaContent('prism.issn'), getMetaContent('prism.eIssn')].filter(Boolean);
+        }
+        metadata.isbn = metadata.isbn || getMetaContent('prism.isbn');
+        if (metadata.keywords.length === 0) {
+            metadata.keywords = splitKeywords(getMetaContentAll('prism.keyword'));
+        }
+
+        // 4. OpenGraph (limited but common)
+        metadata.title = metadata.title || getMetaContent('og:title', 'property');
+
+        // 5. Schema.org JSON-LD
+        const jsonLd = extractSchemaOrg();
+        if (jsonLd) {
+            metadata.title = metadata.title || jsonLd.headline || jsonLd.name;
+            if (!metadata.authors || metadata.authors.length === 0) {
+                metadata.authors = extractAuthorsFromJsonLd(jsonLd);
+            }
+            metadata.doi = metadata.doi || extractDOIFromJsonLd(jsonLd);
+            metadata.abstract = metadata.abstract || jsonLd.description;
+            metadata.publisher = metadata.publisher || jsonLdText(jsonLdPartOf(jsonLd, 'publisher'));
+            metadata.volume = metadata.volume || jsonLdText(jsonLdPartOf(jsonLd, 'volumeNumber'));
+            metadata.issue = metadata.issue || jsonLdText(jsonLdPartOf(jsonLd, 'issueNumber'));
+            if (!metadata.firstPage) {
+                const range = parsePageRange(jsonLd.pagination);
+                metadata.firstPage = jsonLdText(jsonLd.pageStart) || range.first;
+                metadata.lastPage = metadata.lastPage || jsonLdText(jsonLd.pageEnd) || range.last;
+            }
+            if (metadata.issn.length === 0) {
+                metadata.issn = [].concat(jsonLdPartOf(jsonLd, 'issn') || []);
+            }
+            metadata.isbn = metadata.isbn || jsonLdText(jsonLd.isbn);
+            if (metadata.keywords.length === 0) {
+                metadata.keywords = splitKeywords(jsonLd.keywords);
+            }
+            metadata.language = metadata.language || jsonLdText(jsonLd.inLanguage);
+            metadata.license = jsonLdText(jsonLd.license);
+        }
+
+        // 6. COinS (OpenURL in spans)
+        const coins = extractCOinS();
+        if (coins) {
+            metadata.title = metadata.title || coins['rft.atitle'] || coins['rft.title'];
+            metadata.doi = metadata.doi || extractDOIFromContent(coins['rft.id'] || coins['rft_id']);
+            metadata.journal = metadata.journal || coins['rft.jtitle'];
+            metadata.publisher = metadata.publisher || coins['rft.pub'];
+            metadata.volume = metadata.volume || coins['rft.volume'];
+            metadata.issue = metadata.issue || coins['rft.issue'];
+            if (!metadata.firstPage) {
+                const range = parsePageRange(coins['rft.pages']);
+                metadata.firstPage = coins['rft.spage'] || range.first;
+                metadata.lastPage = metadata.lastPage || coins['rft.epage'] || range.last;
+            }
+            metadata.articleNumber = metadata.articleNumber || coins['rft.artnum'];
+            if (metadata.issn.length === 0) {
+                metadata.issn = [coins['rft.issn'], coins['rft.eissn']].filter(Boolean);
+            }
+            metadata.isbn = metadata.isbn || coins['rft.isbn'];
+            if (!metadata.authors || metadata.authors.length === 0) {
+                const author = coins['rft.aulast']
+                    ? imbib.authors.toRecord({ family: coins['rft.aulast'], given: coins['rft.aufirst'] || null })
+                    : imbib.authors.parseName(coins['rft.au']);
+                if (author) metadata.authors = [author];
+            }
+        }
+
+        // A license link in the page head is more specific than JSON-LD's
+        metadata.license = extractLicense() || metadata.license;
+        metadata.pages = formatPages(metadata.firstPage, metadata.lastPage);
+
+        metadata.entryType = inferEntryType({ jsonLd, coins });
+
+        // Dates from meta tags, then JSON-LD and COinS
+        const dates = extractMetaDates();
+        dates.printDate = dates.printDate ||
+                          imbib.dates.firstDate(jsonLd?.datePublished, coins?.['rft.date']);
+        imbib.dates.applyDates(metadata, dates);
+
+        // Only return if we found meaningful data
+        if (!metadata.title && !metadata.doi) {
+            return null;
+        }
+
+        return metadata;
+    }
+
+    // Lowest priority: publisher-specific adapters registered with a
+    // higher priority get the first chance at their own hosts
+    imbib.adapters.register({
+        id: 'embedded',
+        priority: 0,
+        extract: extractEmbedded
+    });
+})(globalThis);
@@ -0,0 +1,220 @@
+// citation-files.js - Publisher citation file harvesting
+// Finds the page's own citation downloads (.bib/.ris/.enw links, "Export citation"
+// menus, arXiv's /bibtex/{id} endpoint, ADS export links), fetches them from
+// the page's origin and merges the parsed record over the scraped metadata.
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib;
+
+    const FETCH_TIMEOUT_MS = 5000;
+    const MAX_FILE_SIZE = 512 * 1024;
+    const MAX_ATTEMPTS = 3;
+
+    const MIME_FORMATS = {
+        'application/x-bibtex': 'bibtex',
+        'text/x-bibtex': 'bibtex',
+        'application/x-research-info-systems': 'ris',
+        'application/x-endnote-refer': 'endnote'
+    };
+
+    const PARSERS = {
+        bibtex: text => imbib.bibtex.parse(text),
+        ris: text => imbib.ris.parse(text),
+        endnote: text => imbib.ris.parseEndNote(text)
+    };
+
+    // BibTeX first: it carries more fields than most publishers' RIS, and
+    // RIS more than EndNote's tagged format
+    const FORMAT_ORDER = ['bibtex', 'ris', 'endnote'];
+
+    // ==================== Discovery ====================
+
+    // Citation format a link points at, from its URL or, failing that, its label
+    function linkFormat(url, label) {
+        const path = url.pathname.toLowerCase();
+        if (/\.(bib|bibtex)$/.test(path) || /\/bibtex\//.test(path)) return 'bibtex';
+        if (/\.ris$/.test(path)) return 'ris';
+        if (/\.enw$/.test(path)) return 'endnote';
+
+        // ADS export endpoints: /export/bibtex/..., data_type=BIBTEX
+        const exported = path.match(/\/export(?:citation)?\/(bibtex|ris)\b/);
+        if (exported) return exported[1];
+
+        for (const value of url.searchParams.values()) {
+            if (/^(bibtex|bib)$/i.test(value)) return 'bibtex';
+            if (/^(ris|refman)$/i.test(value)) return 'ris';
+            if (/^(endnote|enw|refer)$/i.test(value)) return 'endnote';
+        }
+
+        const text = label.trim();
+        if (text.length > 40) return null;
+        if (/\bbibtex\b|\.bib\b/i.test(text)) return 'bibtex';
+        if (/\bris\b|\.ris\b|refman/i.test(text)) return 'ris';
+        if (/\bendnote\b|\.enw\b/i.test(text)) return 'endnote';
+        return null;
+    }
+
+    // Same-origin citation file links, best first
+    function findLinks(location, document) {
+        const links = [];
+        const seen = new Set();
+
+        const add = (href, format) => {
+            let url;
+            try {
+                url = new URL(href, location.href);
+            } catch (e) {
+                return;
+            }
+            if (url.origin !== location.origin || !format || seen.has(url.href)) return;
+            seen.add(url.href);
+            links.push({ url: url.href, format });
+        };
+
+        // arXiv serves a BibTeX record for every abstract page
+        if (/(^|\.)arxiv\.org$/.test(location.hostname) && location.pathname.startsWith('/abs/')) {
+            const arxiv = imbib.identifiers.parseArXiv(location.href);
+            if (arxiv) add(`/bibtex/${arxiv.id}`, 'bibtex');
+        }
+
+        document.querySelectorAll('link[rel~="alternate"][type][href]').forEach(link => {
+            add(link.getAttribute('href'), MIME_FORMATS[link.getAttribute('type').toLowerCase()]);
+        });
+
+        document.querySelectorAll('a[href]').forEach(anchor => {
+            const href = anchor.getAttribute('href');
+            if (/^(javascript|mailto):|^#/i.test(href)) return;
+            let url;
+            try {
+                url = new URL(href, location.href);
+            } catch (e) {
+                return;
+            }
+            const label = anchor.textContent || anchor.getAttribute('title') || '';
+            add(url.href, linkFormat(url, label));
+        });
+
+        return links.sort((a, b) => FORMAT_ORDER.indexOf(a.format) - FORMAT_ORDER.indexOf(b.format));
+    }
+
+    // ==================== Fetching ====================
+
+    async function fetchText(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+        try {
+            const response = await fetch(url, { credentials: 'same-origin', signal: controller.signal });
+            if (!response.ok) return null;
+            if (Number(response.headers.get('content-length')) > MAX_FILE_SIZE) return null;
+
+            const text = await response.text();
+            return text.length > MAX_FILE_SIZE ? null : text;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Trust the content over the link: some "BibTeX" links return RIS, and
+    // login walls return HTML
+    function sniffFormat(text, declared) {
+        if (/^\s*@\s*[A-Za-z]+\s*[{(]/m.test(text)) return 'bibtex';
+        if (/^TY {2}- /m.test(text)) return 'ris';
+        if (/^%0 /m.test(text)) return 'endnote';
+        return /^\s*</.test(text) ? null : declared;
+    }
+
+    // The record describing this page: the one with the page's DOI or arXiv
+    // ID, or the only one in the file unless its DOI names another paper
+    function pickRecord(records, metadata) {
+        const { normalizeArXiv } = imbib.identifiers;
+        // DOIs compare case-insensitively
+        const normalizeDOI = value => imbib.identifiers.normalizeDOI(value)?.toLowerCase() || null;
+        const doi = normalizeDOI(metadata?.doi);
+        const arxivID = metadata?.arxivID ? normalizeArXiv(metadata.arxivID) : null;
+
+        const match = records.find(record =>
+            doi && normalizeDOI(record.doi) === doi ||
+            arxivID && record.arxivID && normalizeArXiv(record.arxivID) === arxivID);
+        if (match) return match;
+
+        const [only] = records;
+        const conflicts = doi && only?.doi && normalizeDOI(only.doi) !== doi;
+        return records.length === 1 && !conflicts ? only : null;
+    }
+
+    // Fetch and parse the first usable citation file linked from the page
+    async function harvest(location, document, metadata) {
+        const links = findLinks(location, document).slice(0, MAX_ATTEMPTS);
+
+        for (const link of links) {
+            try {
+                const text = await fetchText(link.url);
+                const format = text && sniffFormat(text, link.format);
+                if (!format) continue;
+
+                const record = pickRecord(PARSERS[format](text), metadata);
+                if (record?.title) return { record, format, url: link.url };
+            } catch (error) {
+                console.warn(`imbib: Could not read citation file ${link.url}:`, error);
+            }
+        }
+        return null;
+    }
+
+    // ==================== Merging ====================
+
+    const DATE_FIELDS = ['year', 'month', 'day', 'date'];
+
+    function isEmpty(value) {
+        return value == null || value === '' || Array.isArray(value) && value.length === 0;
+    }
+
+    // The citation file wins field by field; the page keeps whatever the file
+    // leaves out, author ORCIDs and affiliations, and a more precise date
+    // within the same year
+    function merge(metadata, { record, format, url }) {
+        const merged = { ...metadata };
+
+        for (const [key, value] of Object.entries(record)) {
+            if (isEmpty(value) || key === 'citeKey' || DATE_FIELDS.includes(key)) continue;
+            // "misc" is BibTeX for "unknown" (arXiv uses it for every paper),
+            // so it never replaces the page's type or the article default
+            if (key === 'entryType' && value === 'misc') continue;
+            merged[key] = value;
+        }
+
+        if (record.year && (String(record.year) !== String(metadata.year) || !metadata.month)) {
+            DATE_FIELDS.forEach(key => { merged[key] = record[key] ?? null; });
+        }
+
+        const pageAuthors = imbib.authors.toRecords(metadata.authors);
+        if (record.authors?.length && record.authors.length === pageAuthors.length) {
+            merged.authors = record.authors.map((author, index) => ({
+                ...author,
+                affiliations: pageAuthors[index].affiliations,
+                orcid: pageAuthors[index].orcid
+            }));
+        }
+
+        merged.citationSource = { format, url };
+        return merged;
+    }
+
+    // Metadata improved by the page's citation file, or unchanged when the
+    // page links none
+    async function enrich(metadata, location, document) {
+        if (!metadata || metadata.isSearchPage) return metadata;
+
+        const harvested = await harvest(location, document, metadata);
+        return harvested ? merge(metadata, harvested) : metadata;
+    }
+
+    imbib.citationFiles = {
+        findLinks,
+        harvest,
+        merge,
+        enrich
+    };
+})(globalThis);
@@ -1,56 +1,49 @@
 // main.js - Content script orchestrator
-// Detects page type and extracts bibliographic metadata
+// Runs the registered site adapters and answers popup requests
 
 (function() {
     'use strict';
 
-    // Page type constants
-    const PageType = {
-        ADS: 'ads',
-        ARXIV: 'arxiv',
-        DOI: 'doi',
-        PUBMED: 'pubmed',
-        GENERIC: 'generic'
-    };
-
-    // Detect which type of academic page this is
-    function detectPageType() {
-        const hostname = window.location.hostname;
-
-        if (hostname.includes('adsabs.harvard.edu')) return PageType.ADS;
-        if (hostname.includes('arxiv.org')) return PageType.ARXIV;
-        if (hostname === 'doi.org' || hostname === 'dx.doi.org') return PageType.DOI;
-        if (hostname.includes('pubmed.ncbi.nlm.nih.gov') ||
-            hostname.includes('ncbi.nlm.nih.gov/pmc')) return PageType.PUBMED;
-
-        return PageType.GENERIC;
-    }
+    const imbib = globalThis.imbib;
 
     // Main extraction function
-    async function extractMetadata() {
-        const pageType = detectPageType();
+    // Asks each matching site adapter in priority order; the first one that
+    // returns metadata owns the page. With `harvest`, the page's own citation
+    // file (if it links one) then improves on the scraped fields.
+    async function extractMetadata({ harvest = false } = {}) {
+        const adapters = imbib.adapters.match(window.location, document);
+        let pageType = null;
         let metadata = null;
 
-        try {
-            switch (pageType) {
-                case PageType.ADS:
-                    metadata = extractADS();
-                    break;
-                case PageType.ARXIV:
-                    metadata = extractArXiv();
-                    break;
-                case PageType.DOI:
-                    metadata = extractDOI();
-                    break;
-                case PageType.PUBMED:
-                    metadata = extractPubMed();
-                    break;
-                default:
-                    metadata = extractEmbedded();
+        for (const adapter of adapters) {
+            try {
+                metadata = await adapter.extract(window.location, document);
+            } catch (error) {
+                console.error(`imbib: Error extracting metadata with ${adapter.id}:`, error);
+                metadata = null;
+            }
+
+            if (metadata) {
+                pageType = adapter.id;
+                break;
             }
-        } catch (error) {
-            console.error('imbib: Error extracting metadata:', error);
-            metadata = null;
+        }
+
+        // Reached through doi.org: pages that don't name their DOI still get
+        // it, and pages with nothing to extract can be imported by it alone
+        if (!metadata?.isSearchPage && !metadata?.doi) {
+            const doi = await requestRedirectDOI();
+            if (doi) {
+                metadata = { ...(metadata || { sourceType: 'doi', needsEnrichment: true }), doi };
+                pageType = pageType || 'doi';
+            }
+        }
+
+        if (metadata) {
+            if (harvest) {
+                metadata = await imbib.citationFiles.enrich(metadata, window.location, document);
+            }
+            metadata = finalizeMetadata(metadata);
         }
 
         return {
@@ -61,485 +54,301 @@
         };
     }
 
-    // ==================== ADS Scraper ====================
-
-    function extractADS() {
-        const url = window.location.href;
-
-        // Detect search results page - extract query for smart search creation
-        if (url.includes('/search/') || url.includes('/search?')) {
-            const searchQuery = extractADSSearchQuery(url);
-            return {
-                sourceType: 'ads',
-                isSearchPage: true,
-                searchQuery: searchQuery,
-                searchURL: url,
-                message: searchQuery
-                    ? `Search: ${searchQuery.length > 50 ? searchQuery.substring(0, 50) + '...' : searchQuery}`
-                    : 'This is a search results page. Click on a paper to import it.'
-            };
+    // Canonical identifiers and structured author records, whatever form
+    // the adapter returned them in
+    function finalizeMetadata(metadata) {
+        const result = imbib.identifiers.normalizeMetadata(metadata);
+        if (Array.isArray(result.authors)) {
+            result.authors = imbib.authors.toRecords(result.authors);
         }
-
-        // Extract bibcode from URL: /abs/{bibcode}/abstract
-        const bibcodeMatch = url.match(/\/abs\/([^\/]+)/);
-        if (!bibcodeMatch) return null;
-
-        const bibcode = decodeURIComponent(bibcodeMatch[1]);
-
-        const metadata = {
-            bibcode: bibcode,
-            sourceType: 'ads',
-            title: getMetaContent('citation_title') ||
-                   document.querySelector('h2.s-abstract-title')?.textContent?.trim(),
-            authors: getMetaContentAll('citation_author'),
-            year: getMetaContent('citation_publication_date')?.substring(0, 4),
-            journal: getMetaContent('citation_journal_title'),
-            volume: getMetaContent('citation_volume'),
-            pages: getMetaContent('citation_firstpage'),
-            doi: getMetaContent('citation_doi'),
-            abstract: document.querySelector('div.s-abstract-text')?.textContent?.trim()
-                     ?.replace(/^Abstract\s*/i, ''),
-            arxivID: extractArXivIDFromADSPage(),
-            pdfURL: getMetaContent('citation_pdf_url')
-        };
-
-        // Fallback author extraction from DOM
-        if (!metadata.authors || metadata.authors.length === 0) {
-            const authorElements = document.querySelectorAll('ul.s-authors-and-aff a');
-            metadata.authors = Array.from(authorElements)
-                .map(el => el.textContent.trim())
-                .filter(name => name.length > 0);
+        if (Array.isArray(result.items)) {
+            result.items = result.items.map(finalizeMetadata);
         }
-
-        return metadata;
+        return result;
     }
 
-    function extractArXivIDFromADSPage() {
-        // Look for arXiv ID in identifiers section
-        const identLinks = document.querySelectorAll('a[href*="arxiv.org"]');
-        for (const link of identLinks) {
-            const match = link.href.match(/arxiv\.org\/abs\/([^\/?]+)/);
-            if (match) return match[1];
-        }
-
-        // Also check meta tags
-        const arxivMeta = getMetaContent('citation_arxiv_id');
-        if (arxivMeta) return arxivMeta;
+    // ==================== Message Handling ====================
 
-        return null;
-    }
+    // The DOI the background saw this tab resolve through doi.org, if any.
+    // The background hands it out once, so keep it while the page stays on
+    // the URL the redirect landed on.
+    let redirectDOI = null;
 
-    // Extract search query from ADS search URL
-    // Handles both traditional (?q=) and path-based (/search/q=) formats
-    function extractADSSearchQuery(url) {
+    async function requestRedirectDOI() {
+        if (redirectDOI) {
+            return redirectDOI.url === window.location.href.split('#')[0] ? redirectDOI.doi : null;
+        }
         try {
-            const urlObj = new URL(url);
-
-            // Traditional format: /search?q=...
-            let query = urlObj.searchParams.get('q');
-
-            // Path-based format: /search/q=...&sort=...
-            if (!query && urlObj.pathname.startsWith('/search/')) {
-                const pathQuery = urlObj.pathname.substring('/search/'.length);
-                // Parse path as query params
-                const pathParams = new URLSearchParams(pathQuery);
-                query = pathParams.get('q');
+            const response = await browser.runtime.sendMessage({ action: 'getRedirectDOI' });
+            if (response?.doi) {
+                redirectDOI = { doi: response.doi, url: window.location.href.split('#')[0] };
             }
-
-            if (!query) return null;
-
-            // Decode and clean up the query
-            query = decodeURIComponent(query).trim();
-
-            // Skip docs() selection queries - those are temporary and shouldn't be saved
-            if (query.startsWith('docs(')) return null;
-
-            return query;
+            return response?.doi || null;
         } catch (e) {
-            console.error('imbib: Error parsing ADS search URL:', e);
+            // Extension context may not be available
             return null;
         }
     }
 
-    // ==================== arXiv Scraper ====================
-
-    function extractArXiv() {
-        const url = window.location.href;
-
-        // Handle PDF URLs - signal redirect needed
-        if (url.includes('/pdf/')) {
-            const absURL = url.replace('/pdf/', '/abs/').replace('.pdf', '');
-            return { redirect: absURL, sourceType: 'arxiv' };
+    // Listen for messages from popup
+    browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.action === 'extract') {
+            extractMetadata({ harvest: true }).then(result => {
+                sendResponse(result);
+            }).catch(error => {
+                console.error('imbib: Extraction error:', error);
+                sendResponse({ error: error.message });
+            });
+            return true; // Async response
         }
 
-        // Detect search/list pages
-        if (url.includes('/search/') || url.includes('/search?') ||
-            url.includes('/list/') || url.includes('/new/') ||
-            url.includes('/recent/')) {
-            return {
-                sourceType: 'arxiv',
-                isSearchPage: true,
-                message: 'This is a listing page. Click on a paper to import it.'
-            };
+        if (message.action === 'ping') {
+            sendResponse({ success: true });
+            return;
         }
 
-        // Extract arXiv ID from URL: /abs/{id}
-        const idMatch = url.match(/arxiv\.org\/abs\/([^\/?]+)/);
-        if (!idMatch) return null;
-
-        const arxivID = idMatch[1];
-
-        const metadata = {
-            arxivID: arxivID,
-            sourceType: 'arxiv',
-            title: getMetaContent('citation_title') ||
-                   document.querySelector('h1.title')?.textContent?.replace(/^Title:\s*/i, '').trim(),
-            authors: getMetaContentAll('citation_author'),
-            year: getMetaContent('citation_date')?.substring(0, 4) ||
-                  getMetaContent('citation_online_date')?.substring(0, 4),
-            abstract: document.querySelector('blockquote.abstract')?.textContent
-                     ?.replace(/^Abstract:\s*/i, '').trim(),
-            doi: getMetaContent('citation_doi'),
-            categories: extractArXivCategories(),
-            pdfURL: `https://arxiv.org/pdf/${arxivID}.pdf`
-        };
-
-        // Fallback author extraction
-        if (!metadata.authors || metadata.authors.length === 0) {
-            const authorDiv = document.querySelector('div.authors');
-            if (authorDiv) {
-                metadata.authors = Array.from(authorDiv.querySelectorAll('a'))
-                    .map(a => a.textContent.trim())
-                    .filter(name => name.length > 0);
+        // Imports and smart searches started from the context menu or a
+        // shortcut while the app can't be reached: hand the imbib:// URL to
+        // the system, as the popup would
+        if (message.action === 'openURL') {
+            if (String(message.url).startsWith('imbib://')) {
+                window.location.href = message.url;
             }
+            sendResponse({ success: true });
+            return;
         }
+    });
 
-        return metadata;
-    }
-
-    function extractArXivCategories() {
-        const categories = [];
-
-        // Primary subject
-        const primary = document.querySelector('span.primary-subject');
-        if (primary) {
-            const match = primary.textContent.match(/\(([^)]+)\)/);
-            if (match) categories.push(match[1]);
-        }
-
-        // All subjects from meta
-        const subjectMeta = getMetaContent('citation_arxiv_primary_subject');
-        if (subjectMeta && !categories.includes(subjectMeta)) {
-            categories.push(subjectMeta);
-        }
+    // Notify background script that content script is ready
+    browser.runtime.sendMessage({
+        action: 'contentReady',
+        url: window.location.href
+    }).catch(() => {
+        // Extension context may not be available
+    });
 
-        return categories;
+    // Pages that declare their PDF: tell the background what the PDF is, so
+    // the popup can still import once the user opens it (PDF viewers run no
+    // content script)
+    function rememberPDF(metadata) {
+        const pdfURL = imbib.meta.getMetaContent('citation_pdf_url');
+        if (!pdfURL || !metadata || metadata.isSearchPage) return Promise.resolve();
+
+        return browser.runtime.sendMessage({
+            action: 'rememberPDF',
+            pdfURL: new URL(pdfURL, window.location.href).href,
+            metadata: { ...metadata, landingURL: window.location.href }
+        });
     }
 
-    // ==================== DOI Scraper ====================
-
-    function extractDOI() {
-        const url = window.location.href;
-
-        // Extract DOI from URL: doi.org/{doi}
-        const doiMatch = url.match(/(?:dx\.)?doi\.org\/(.+)$/);
-        if (!doiMatch) return null;
 
-        const doi = decodeURIComponent(doiMatch[1]);
-
-        // DOI resolver pages often redirect - return DOI for API lookup
-        return {
-            doi: doi,
-            sourceType: 'doi',
-            needsEnrichment: true  // Signal native app to fetch via CrossRef
-        };
+    // ==================== Selection ====================
+
+    // The context menu offers "Import identifier" only while the selection
+    // holds a DOI, arXiv ID or bibcode. An open menu can't change, so the
+    // background hears about the selection as it settles, and once more
+    // when the menu is requested.
+    const SELECTION_DELAY_MS = 150;
+    // Enough for a reference list entry; longer selections aren't scanned
+    const MAX_SELECTION_LENGTH = 2000;
+    let selectionTimer = null;
+
+    function reportSelection() {
+        clearTimeout(selectionTimer);
+        const text = String(window.getSelection() || '').slice(0, MAX_SELECTION_LENGTH);
+        if (!text.trim()) return;
+
+        browser.runtime.sendMessage({
+            action: 'selectionChanged',
+            hasIdentifier: Boolean(imbib.identifiers.findIdentifier(text))
+        }).catch(() => {
+            // Extension context may not be available
+        });
     }
 
-    // ==================== PubMed Scraper ====================
-
-    function extractPubMed() {
-        const url = window.location.href;
-
-        // Extract PMID from URL
-        const pmidMatch = url.match(/pubmed\.ncbi\.nlm\.nih\.gov\/(\d+)/);
-        const pmcidMatch = url.match(/ncbi\.nlm\.nih\.gov\/pmc\/articles\/(PMC\d+)/);
-
-        const pmid = pmidMatch ? pmidMatch[1] : null;
-        const pmcid = pmcidMatch ? pmcidMatch[1] : null;
-
-        if (!pmid && !pmcid) return null;
-
-        const metadata = {
-            pmid: pmid,
-            pmcid: pmcid,
-            sourceType: 'pubmed',
-            title: getMetaContent('citation_title') ||
-                   document.querySelector('h1.heading-title')?.textContent?.trim(),
-            authors: getMetaContentAll('citation_author'),
-            year: getMetaContent('citation_publication_date')?.substring(0, 4),
-            journal: getMetaContent('citation_journal_title'),
-            volume: getMetaContent('citation_volume'),
-            pages: getMetaContent('citation_firstpage'),
-            doi: getMetaContent('citation_doi'),
-            abstract: document.querySelector('div.abstract-content')?.textContent?.trim(),
-            pdfURL: getMetaContent('citation_pdf_url')
-        };
-
-        // Fallback author extraction
-        if (!metadata.authors || metadata.authors.length === 0) {
-            const authorElements = document.querySelectorAll('.authors-list .author-name');
-            metadata.authors = Array.from(authorElements)
-                .map(el => el.textContent.trim())
-                .filter(name => name.length > 0);
-        }
-
-        return metadata;
+    document.addEventListener('selectionchange', () => {
+        clearTimeout(selectionTimer);
+        selectionTimer = setTimeout(reportSelection, SELECTION_DELAY_MS);
+    });
+    document.addEventListener('contextmenu', reportSelection);
+
+    // ==================== Client-side Navigation ====================
+
+    // Single-page apps (ADS, some publisher readers) swap the paper on screen
+    // without a page load, and some pages add their meta tags late. Once a
+    // page turns out to have a site adapter or metadata, watch for URL
+    // changes and metadata changes in <head>, extract again once the DOM
+    // settles, and tell the background when the result changed. Other pages
+    // aren't observed at all.
+
+    // Quiet period before re-extracting
+    const SETTLE_DELAY_MS = 500;
+    // Longest a stream of mutations can put off re-extracting
+    const MAX_SETTLE_DELAY_MS = 2000;
+    // How long after a URL change body mutations still mean "page loading"
+    const NAVIGATION_SETTLE_MS = 5000;
+
+    let currentURL = window.location.href;
+    let settlingUntil = 0;
+    let settleTimer = null;
+    let refreshTimer = null;
+    let refreshDeadline = 0;
+    let lastSignature = null;
+    let observing = false;
+
+    // Cheap fingerprint of an extraction: which page and paper(s) it found
+    function extractionSignature({ pageType, metadata, url }) {
+        if (!metadata) return JSON.stringify([url, pageType]);
+        const items = metadata.items || [];
+        return JSON.stringify([
+            url,
+            pageType,
+            metadata.title,
+            imbib.identifiers.identifierKeys(metadata),
+            items.length,
+            metadata.searchQuery || null
+        ]);
     }
 
-    // ==================== Generic Embedded Metadata Scraper ====================
-
-    function extractEmbedded() {
-        const metadata = {
-            sourceType: 'embedded',
-            title: null,
-            authors: [],
-            year: null,
-            journal: null,
-            volume: null,
-            pages: null,
-            doi: null,
-            abstract: null,
-            pdfURL: null
-        };
+    // What the toolbar badge shows: one paper, a listing with a count, an
+    // ADS query that can become a smart search, or nothing
+    function detectionSummary({ metadata }) {
+        if (!metadata) return { kind: 'none' };
 
-        // 1. Highwire Press (Google Scholar standard) - highest priority
-        metadata.title = getMetaContent('citation_title');
-        metadata.authors = getMetaContentAll('citation_author');
-        metadata.year = getMetaContent('citation_publication_date')?.substring(0, 4) ||
-                       getMetaContent('citation_year');
-        metadata.journal = getMetaContent('citation_journal_title');
-        metadata.volume = getMetaContent('citation_volume');
-        metadata.pages = getMetaContent('citation_firstpage');
-        metadata.doi = getMetaContent('citation_doi');
-        metadata.pdfURL = getMetaContent('citation_pdf_url');
-        metadata.abstract = getMetaContent('citation_abstract');
-
-        // 2. Dublin Core fallback
-        metadata.title = metadata.title || getMetaContent('DC.title');
-        if (!metadata.authors || metadata.authors.length === 0) {
-            metadata.authors = getMetaContentAll('DC.creator');
-        }
-        metadata.doi = metadata.doi || extractDOIFromContent(getMetaContent('DC.identifier'));
-
-        // 3. PRISM (publishing metadata)
-        metadata.doi = metadata.doi || getMetaContent('prism.doi');
-        metadata.journal = metadata.journal || getMetaContent('prism.publicationName');
-        metadata.volume = metadata.volume || getMetaContent('prism.volume');
-
-        // 4. OpenGraph (limited but common)
-        metadata.title = metadata.title || getMetaContent('og:title', 'property');
-
-        // 5. Schema.org JSON-LD
-        const jsonLd = extractSchemaOrg();
-        if (jsonLd) {
-            metadata.title = metadata.title || jsonLd.headline || jsonLd.name;
-            if (!metadata.authors || metadata.authors.length === 0) {
-                metadata.authors = extractAuthorsFromJsonLd(jsonLd);
-            }
-            metadata.doi = metadata.doi || extractDOIFromJsonLd(jsonLd);
-            metadata.abstract = metadata.abstract || jsonLd.description;
+        if (metadata.isSearchPage) {
+            const count = metadata.items?.length || 0;
+            if (count > 0) return { kind: 'listing', count };
+            return { kind: metadata.searchQuery ? 'search' : 'none' };
         }
 
-        // 6. COinS (OpenURL in spans)
-        const coins = extractCOinS();
-        if (coins) {
-            metadata.title = metadata.title || coins['rft.atitle'] || coins['rft.title'];
-            metadata.doi = metadata.doi || extractDOIFromContent(coins['rft.id'] || coins['rft_id']);
-            metadata.journal = metadata.journal || coins['rft.jtitle'];
-            metadata.volume = metadata.volume || coins['rft.volume'];
-            metadata.pages = metadata.pages || coins['rft.spage'];
-            if (!metadata.authors || metadata.authors.length === 0) {
-                const au = coins['rft.au'] || coins['rft.aulast'];
-                if (au) metadata.authors = [au];
-            }
-        }
-
-        // Only return if we found meaningful data
-        if (!metadata.title && !metadata.doi) {
-            return null;
-        }
-
-        return metadata;
-    }
-
-    // ==================== Utility Functions ====================
-
-    function getMetaContent(name, attr = 'name') {
-        // Try both name and property attributes
-        const selectors = [
-            `meta[${attr}="${name}"]`,
-            `meta[name="${name}"]`,
-            `meta[property="${name}"]`
-        ];
-
-        for (const selector of selectors) {
-            const el = document.querySelector(selector);
-            if (el?.content) {
-                return el.content.trim();
-            }
-        }
-        return null;
+        return {
+            kind: 'paper',
+            doi: metadata.doi || null,
+            arxivID: metadata.arxivID || null,
+            bibcode: metadata.bibcode || null
+        };
     }
 
-    function getMetaContentAll(name, attr = 'name') {
-        const results = [];
-        const selectors = [
-            `meta[${attr}="${name}"]`,
-            `meta[name="${name}"]`
-        ];
-
-        for (const selector of selectors) {
-            const elements = document.querySelectorAll(selector);
-            elements.forEach(el => {
-                if (el.content?.trim()) {
-                    results.push(el.content.trim());
-                }
-            });
-        }
-
-        return [...new Set(results)]; // Dedupe
+    async function refreshExtraction() {
+        const result = await extractMetadata();
+        if (result.metadata || hasSiteAdapter()) startObserving();
+
+        const signature = extractionSignature(result);
+        if (signature === lastSignature) return;
+        lastSignature = signature;
+
+        await browser.runtime.sendMessage({
+            action: 'pageChanged',
+            url: result.url,
+            pageType: result.pageType,
+            detection: detectionSummary(result)
+        });
+        await rememberPDF(result.metadata);
     }
 
-    function extractDOIFromContent(content) {
-        if (!content) return null;
-        const match = content.match(/10\.\d{4,}[^\s]*/);
-        return match ? match[0] : null;
+    // Sites with an adapter of their own are watched before they show a
+    // paper, from any of their pages (e.g. the ADS home page)
+    function hasSiteAdapter() {
+        return imbib.adapters.forSite(window.location).length > 0;
     }
 
-    function extractSchemaOrg() {
-        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-        for (const script of scripts) {
-            try {
-                const data = JSON.parse(script.textContent);
-
-                // Handle @graph arrays
-                if (data['@graph']) {
-                    for (const item of data['@graph']) {
-                        if (isScholarlyType(item['@type'])) {
-                            return item;
-                        }
-                    }
-                }
-
-                // Direct type check
-                if (isScholarlyType(data['@type'])) {
-                    return data;
-                }
-            } catch (e) {
-                // Invalid JSON, skip
-            }
-        }
-        return null;
+    // Debounced: each call puts the extraction off until things are quiet,
+    // but never beyond MAX_SETTLE_DELAY_MS after the first call
+    function scheduleRefresh() {
+        const now = Date.now();
+        if (!refreshTimer) refreshDeadline = now + MAX_SETTLE_DELAY_MS;
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => {
+            refreshTimer = null;
+            refreshExtraction().catch(() => {
+                // Extension context may not be available
+            });
+        }, Math.max(0, Math.min(SETTLE_DELAY_MS, refreshDeadline - now)));
     }
 
-    function isScholarlyType(type) {
-        const scholarlyTypes = [
-            'ScholarlyArticle', 'Article', 'NewsArticle',
-            'TechArticle', 'BlogPosting', 'WebPage'
-        ];
-        if (Array.isArray(type)) {
-            return type.some(t => scholarlyTypes.includes(t));
-        }
-        return scholarlyTypes.includes(type);
+    function checkURL() {
+        if (window.location.href === currentURL) return false;
+        currentURL = window.location.href;
+        settlingUntil = Date.now() + NAVIGATION_SETTLE_MS;
+        scheduleRefresh();
+        watchBody();
+        return true;
     }
 
-    function extractAuthorsFromJsonLd(jsonLd) {
-        if (!jsonLd.author) return [];
-
-        const authors = Array.isArray(jsonLd.author) ? jsonLd.author : [jsonLd.author];
-        return authors
-            .map(a => {
-                if (typeof a === 'string') return a;
-                return a.name || a.givenName && a.familyName ?
-                       `${a.givenName} ${a.familyName}` : null;
-            })
-            .filter(Boolean);
+    // Meta tags, <title>, canonical links and JSON-LD blocks in <head>
+    function isMetadataNode(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return false;
+        return node.tagName === 'META' || node.tagName === 'TITLE' ||
+               node.tagName === 'LINK' && /\bcanonical\b/i.test(node.rel) ||
+               node.tagName === 'SCRIPT' && node.type === 'application/ld+json';
     }
 
-    function extractDOIFromJsonLd(jsonLd) {
-        // Check identifier array
-        if (jsonLd.identifier) {
-            const identifiers = Array.isArray(jsonLd.identifier) ?
-                               jsonLd.identifier : [jsonLd.identifier];
-            for (const id of identifiers) {
-                if (id.propertyID === 'doi' && id.value) {
-                    return id.value;
-                }
-                if (typeof id === 'string') {
-                    const doi = extractDOIFromContent(id);
-                    if (doi) return doi;
-                }
-            }
-        }
-
-        // Check sameAs for DOI URL
-        if (jsonLd.sameAs) {
-            const urls = Array.isArray(jsonLd.sameAs) ? jsonLd.sameAs : [jsonLd.sameAs];
-            for (const url of urls) {
-                if (url.includes('doi.org')) {
-                    return extractDOIFromContent(url);
+    function touchesMetadata(record) {
+        switch (record.type) {
+            case 'attributes':
+                return record.target.tagName === 'META';
+            case 'characterData':
+                return record.target.parentNode?.tagName === 'TITLE';
+            default:
+                if (record.target === document.head) {
+                    return [...record.addedNodes, ...record.removedNodes].some(isMetadataNode);
                 }
-            }
+                return record.target.parentNode === document.head && isMetadataNode(record.target);
         }
-
-        return null;
     }
 
-    function extractCOinS() {
-        const span = document.querySelector('span.Z3988');
-        if (!span) return null;
+    // Metadata changes in <head> trigger a new extraction: tags added or
+    // removed, meta content rewritten, the <title> text replaced
+    const headObserver = new MutationObserver(records => {
+        if (checkURL()) return;
+        if (records.some(touchesMetadata)) scheduleRefresh();
+    });
 
-        const title = span.getAttribute('title');
-        if (!title) return null;
+    // Body mutations only matter while a client-side navigation settles.
+    // Without the Navigation API they are also the only sign of the page's
+    // own pushState calls, so the body stays watched there; element
+    // additions and removals are enough either way.
+    const bodyObserver = new MutationObserver(() => {
+        if (checkURL()) return;
+        if (Date.now() < settlingUntil) scheduleRefresh();
+    });
 
-        const params = {};
-        try {
-            new URLSearchParams(title).forEach((value, key) => {
-                params[key] = decodeURIComponent(value);
-            });
-        } catch (e) {
-            // Invalid URL params
-        }
-        return Object.keys(params).length > 0 ? params : null;
+    function startObserving() {
+        if (observing) return;
+        observing = true;
+        headObserver.observe(document.head || document.documentElement, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: ['content']
+        });
+        if (!globalThis.navigation) watchBody();
     }
 
-    // ==================== Message Handling ====================
-
-    // Listen for messages from popup
-    browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
-        if (message.action === 'extract') {
-            extractMetadata().then(result => {
-                sendResponse(result);
-            }).catch(error => {
-                console.error('imbib: Extraction error:', error);
-                sendResponse({ error: error.message });
-            });
-            return true; // Async response
-        }
+    function watchBody() {
+        if (!observing || !document.body) return;
+        bodyObserver.observe(document.body, { childList: true, subtree: true });
 
-        if (message.action === 'ping') {
-            sendResponse({ success: true });
-            return;
-        }
-    });
+        if (!globalThis.navigation) return;
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(() => bodyObserver.disconnect(), NAVIGATION_SETTLE_MS);
+    }
 
-    // Notify background script that content script is ready
-    browser.runtime.sendMessage({
-        action: 'contentReady',
-        url: window.location.href
-    }).catch(() => {
-        // Extension context may not be available
-    });
+    // First detection once the page is idle, so the badge costs the page
+    // nothing while it loads
+    const whenIdle = globalThis.requestIdleCallback || (callback => setTimeout(callback, 200));
+    whenIdle(() => {
+        refreshExtraction().catch(() => {
+            // Extension context may not be available
+        });
+    }, { timeout: 2000 });
+
+    // History changes that don't touch the DOM straight away
+    window.addEventListener('popstate', checkURL);
+    window.addEventListener('hashchange', checkURL);
+    // The Navigation API also reports the page's own pushState calls
+    globalThis.navigation?.addEventListener('currententrychange', checkURL);
 
     console.log('imbib content script loaded for:', window.location.hostname);
 })();
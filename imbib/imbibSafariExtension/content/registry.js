@@ -0,0 +1,82 @@
+// registry.js - Site adapter registry
+// Adapters declare which pages they handle; the orchestrator asks the registry
+// for candidates instead of switching on hard-coded page types.
+//
+// Adapter shape:
+//   {
+//       id: 'ads',                         // Reported as pageType
+//       priority: 100,                     // Higher runs first
+//       hosts: ['adsabs.harvard.edu'],     // Hostname or parent domain
+//       urlPatterns: [/ncbi\.nlm\.nih\.gov\/pmc\//],
+//       detect(location, document) {},     // Optional finer-grained check
+//       extract(location, document) {}     // Returns metadata or null
+//   }
+//
+// An adapter matches when any host or URL pattern matches. Adapters with
+// neither are catch-alls (e.g. embedded metadata) and match every page.
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib || (root.imbib = {});
+
+    const adapters = [];
+
+    function register(adapter) {
+        if (!adapter?.id || typeof adapter.extract !== 'function') {
+            throw new Error('imbib: Site adapter needs an id and an extract() function');
+        }
+
+        // Re-registering an id replaces the previous adapter
+        const existing = adapters.findIndex(a => a.id === adapter.id);
+        if (existing !== -1) adapters.splice(existing, 1);
+
+        adapters.push({
+            priority: 0,
+            hosts: [],
+            urlPatterns: [],
+            ...adapter
+        });
+        adapters.sort((a, b) => b.priority - a.priority);
+    }
+
+    function hostMatches(hostname, host) {
+        return hostname === host || hostname.endsWith('.' + host);
+    }
+
+    function matchesLocation(adapter, location) {
+        if (adapter.hosts.length === 0 && adapter.urlPatterns.length === 0) {
+            return true;
+        }
+        return adapter.hosts.some(host => hostMatches(location.hostname, host)) ||
+               adapter.urlPatterns.some(pattern => pattern.test(location.href));
+    }
+
+    // Adapters written for this site, best first. Unlike match(), this
+    // doesn't ask detect(), so it holds on a site's pages without a paper.
+    function forSite(location) {
+        return adapters.filter(adapter =>
+            (adapter.hosts.length > 0 || adapter.urlPatterns.length > 0) && matchesLocation(adapter, location));
+    }
+
+    // Adapters that claim this page, best first
+    function match(location, document) {
+        return adapters.filter(adapter => {
+            if (!matchesLocation(adapter, location)) return false;
+            if (typeof adapter.detect !== 'function') return true;
+            try {
+                return adapter.detect(location, document);
+            } catch (error) {
+                console.error(`imbib: Adapter ${adapter.id} detect() failed:`, error);
+                return false;
+            }
+        });
+    }
+
+    imbib.adapters = {
+        register,
+        match,
+        forSite,
+        all: () => adapters.slice()
+    };
+})(globalThis);
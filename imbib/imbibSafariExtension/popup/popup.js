@@ -1,5 +1,68 @@
 // popup.js - Safari extension popup controller
 
+// Export formats offered for the current page and for batch selections
+const EXPORT_FORMATS = {
+    bibtex: { extension: 'bib', type: 'application/x-bibtex', write: items => imbib.bibtex.formatEntries(items) },
+    ris: { extension: 'ris', type: 'application/x-research-info-systems', write: items => imbib.ris.formatEntries(items) },
+    csl: { extension: 'json', type: 'application/vnd.citationstyles.csl+json', write: items => imbib.csl.format(items) }
+};
+
+// Names of the citation file formats pages can link
+const CITATION_FILE_LABELS = { bibtex: 'BibTeX', ris: 'RIS', endnote: 'EndNote' };
+
+// Remembers the last citation style picked in the popup
+const CITATION_STYLE_KEY = 'imbib.citationStyle';
+
+// Remembers the collection the last import was filed in
+const COLLECTION_KEY = 'imbib.collection';
+
+// Collection menu entry that asks for a new collection's name
+const NEW_COLLECTION = 'new';
+
+// Outbox entries the background keeps until imbib confirms them
+const OUTBOX_KEY = 'imbib.outbox';
+
+// How each outbox status reads in the queue summary and next to an entry
+const OUTBOX_STATUS_LABELS = {
+    pending: { summary: 'waiting', item: 'Waiting for imbib' },
+    sent: { summary: 'unconfirmed', item: 'Sent by link, not confirmed' },
+    failed: { summary: 'failed', item: 'Failed' }
+};
+
+// Whether pages get +imbib buttons next to their identifiers, for all sites
+// and per site: { enabled, sites: { hostname: 'allow' | 'deny' } }
+const INLINE_BUTTONS_KEY = 'imbib.inlineButtons';
+
+// Everything sent to imbib, recorded by the background
+const HISTORY_KEY = 'imbib.history';
+const HISTORY_RETENTION_KEY = 'imbib.historyRetentionDays';
+const DEFAULT_HISTORY_RETENTION_DAYS = 90;
+
+// How delivery ended for a history entry
+const HISTORY_STATUS_LABELS = {
+    pending: 'Waiting for imbib',
+    sent: 'Sent by link, not confirmed',
+    failed: 'Failed',
+    delivered: 'Delivered',
+    expired: 'Never confirmed',
+    removed: 'Removed from queue'
+};
+
+// The history view's filter menu
+const HISTORY_FILTERS = {
+    all: () => true,
+    import: record => record.kind === 'import',
+    smartSearch: record => record.kind === 'smartSearch',
+    failed: record => record.status === 'failed'
+};
+
+// Metadata fields the editable preview shows
+const PREVIEW_FIELDS = ['title', 'authors', 'year', 'journal', 'volume', 'pages', 'doi', 'abstract'];
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
 class PopupController {
     constructor() {
         this.states = {
@@ -12,13 +75,39 @@ class PopupController {
         };
 
         this.elements = {
+            // Editable preview fields
+            itemForm: document.getElementById('item-form'),
             title: document.getElementById('item-title'),
             authors: document.getElementById('item-authors'),
-            meta: document.getElementById('item-meta'),
+            addAuthorBtn: document.getElementById('add-author-btn'),
+            year: document.getElementById('item-year'),
+            volume: document.getElementById('item-volume'),
+            pages: document.getElementById('item-pages'),
+            journal: document.getElementById('item-journal'),
+            doi: document.getElementById('item-doi'),
+            abstract: document.getElementById('item-abstract'),
+            itemErrors: document.getElementById('item-errors'),
+            // Filing elements
+            filing: document.getElementById('filing'),
+            importTags: document.getElementById('import-tags'),
+            collectionSelect: document.getElementById('collection-select'),
+            newCollectionName: document.getElementById('new-collection-name'),
+            importNote: document.getElementById('import-note'),
+            importRead: document.getElementById('import-read'),
+            importFlagged: document.getElementById('import-flagged'),
             identifiers: document.getElementById('identifiers'),
+            source: document.getElementById('item-source'),
             alreadySaved: document.getElementById('already-saved'),
             librarySelect: document.getElementById('library-select'),
             importBtn: document.getElementById('import-btn'),
+            copyBibTeXBtn: document.getElementById('copy-bibtex-btn'),
+            downloadBibTeXBtn: document.getElementById('download-bibtex-btn'),
+            downloadRISBtn: document.getElementById('download-ris-btn'),
+            downloadCSLBtn: document.getElementById('download-csl-btn'),
+            citationStyle: document.getElementById('citation-style'),
+            copyCitationBtn: document.getElementById('copy-citation-btn'),
+            successMessage: document.getElementById('success-message'),
+            successHint: document.getElementById('success-hint'),
             errorMessage: document.getElementById('error-message'),
             retryBtn: document.getElementById('retry-btn'),
             searchPageMessage: document.getElementById('search-page-message'),
@@ -26,22 +115,163 @@ class PopupController {
             smartSearchSection: document.getElementById('smart-search-section'),
             searchQueryText: document.getElementById('search-query-text'),
             createSmartSearchBtn: document.getElementById('create-smart-search-btn'),
-            searchPageHint: document.getElementById('search-page-hint')
+            searchPageHint: document.getElementById('search-page-hint'),
+            // Batch import elements
+            batchSection: document.getElementById('batch-section'),
+            batchSelectAll: document.getElementById('batch-select-all'),
+            batchList: document.getElementById('batch-list'),
+            batchImportBtn: document.getElementById('batch-import-btn'),
+            batchExportBtns: {
+                bibtex: document.getElementById('batch-bibtex-btn'),
+                ris: document.getElementById('batch-ris-btn'),
+                csl: document.getElementById('batch-csl-btn')
+            },
+            // Outbox elements
+            outbox: document.getElementById('outbox'),
+            outboxSummary: document.getElementById('outbox-summary'),
+            outboxList: document.getElementById('outbox-list'),
+            outboxRetryBtn: document.getElementById('outbox-retry-btn'),
+            pageButtonsAll: document.getElementById('page-buttons-all'),
+            pageButtonsSiteRow: document.getElementById('page-buttons-site-row'),
+            pageButtonsSite: document.getElementById('page-buttons-site'),
+            pageButtonsHost: document.getElementById('page-buttons-host'),
+            // History elements
+            main: document.querySelector('main'),
+            historyBtn: document.getElementById('history-btn'),
+            history: document.getElementById('history'),
+            historySearch: document.getElementById('history-search'),
+            historyFilter: document.getElementById('history-filter'),
+            historyList: document.getElementById('history-list'),
+            historyEmpty: document.getElementById('history-empty'),
+            historyRetention: document.getElementById('history-retention'),
+            historyClearBtn: document.getElementById('history-clear-btn')
         };
 
         this.currentMetadata = null;
+        this.formEdited = false;
+        this.collections = [];
         this.currentSearchQuery = null;
+        this.currentItems = [];
+        this.currentTabId = null;
+        this.currentTabURL = null;
+        this.historyRecords = [];
+        // Opened by the batch shortcut rather than the toolbar button
+        this.batchMode = new URLSearchParams(window.location.search).get('mode') === 'batch';
 
+        this.populateCitationStyles();
+        this.bindEvents();
         this.init();
-    }
 
-    async init() {
-        this.showState('loading');
+        // Show the queue, and give anything waiting in it another try
+        this.loadOutbox();
+        browser.runtime.sendMessage({ action: 'outboxFlush' }).catch(error => {
+            console.warn('Failed to flush outbox:', error);
+        });
+    }
 
-        // Set up event listeners
+    bindEvents() {
         this.elements.importBtn.addEventListener('click', () => this.handleImport());
+        this.elements.itemForm.addEventListener('submit', (e) => e.preventDefault());
+        this.elements.itemForm.addEventListener('input', () => {
+            this.formEdited = true;
+            this.validateForm();
+        });
+        this.elements.authors.addEventListener('click', (e) => this.handleAuthorAction(e));
+        this.elements.filing.addEventListener('input', () => this.validateForm());
+        this.elements.collectionSelect.addEventListener('change', () => this.updateNewCollection());
+        this.elements.librarySelect.addEventListener('change', () => this.renderCollections());
+        this.elements.addAuthorBtn.addEventListener('click', () => {
+            this.formEdited = true;
+            this.addAuthorRow().focus();
+        });
         this.elements.retryBtn.addEventListener('click', () => this.init());
+        this.elements.copyBibTeXBtn?.addEventListener('click', () => this.handleCopyBibTeX());
+        this.elements.downloadBibTeXBtn?.addEventListener('click', () => this.handleDownload('bibtex'));
+        this.elements.downloadRISBtn?.addEventListener('click', () => this.handleDownload('ris'));
+        this.elements.downloadCSLBtn?.addEventListener('click', () => this.handleDownload('csl'));
+        this.elements.copyCitationBtn?.addEventListener('click', () => this.handleCopyCitation());
+        this.elements.citationStyle?.addEventListener('change', (e) => {
+            localStorage.setItem(CITATION_STYLE_KEY, e.target.value);
+        });
+        Object.entries(this.elements.batchExportBtns).forEach(([format, btn]) => {
+            btn?.addEventListener('click', () => this.handleBatchExport(format));
+        });
         this.elements.createSmartSearchBtn?.addEventListener('click', () => this.handleCreateSmartSearch());
+        this.elements.batchSelectAll?.addEventListener('change', (e) => this.setAllBatchItems(e.target.checked));
+        this.elements.batchImportBtn?.addEventListener('click', () => this.handleBatchImport());
+        this.elements.outboxRetryBtn?.addEventListener('click', () => this.handleOutboxRetry());
+        this.elements.outboxList?.addEventListener('click', (e) => this.handleOutboxRemove(e));
+        this.elements.pageButtonsAll?.addEventListener('change', () => this.savePageButtons());
+        this.elements.pageButtonsSite?.addEventListener('change', () => this.savePageButtons());
+        this.elements.historyBtn?.addEventListener('click', () => this.toggleHistory());
+        this.elements.historySearch?.addEventListener('input', () => this.renderHistory());
+        this.elements.historyFilter?.addEventListener('change', () => this.renderHistory());
+        this.elements.historyList?.addEventListener('click', (e) => this.handleHistoryAction(e));
+        this.elements.historyRetention?.addEventListener('change', (e) => this.handleHistoryRetention(e.target.value));
+        this.elements.historyClearBtn?.addEventListener('click', () => this.handleHistoryClear());
+
+        // The background updates the outbox as deliveries succeed or fail,
+        // and the history with them
+        browser.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local') return;
+            if (changes[OUTBOX_KEY]) {
+                this.renderOutbox(changes[OUTBOX_KEY].newValue || []);
+            }
+            if (changes[HISTORY_KEY]) {
+                this.historyRecords = changes[HISTORY_KEY].newValue || [];
+                this.renderHistory();
+            }
+        });
+
+        // The page changed the paper on screen without reloading (single-page
+        // apps like ADS): show what is there now, unless the user has started
+        // editing the form
+        browser.runtime.onMessage.addListener((message, sender) => {
+            if (message.action !== 'pageChanged' || sender.tab?.id !== this.currentTabId) return;
+            if (this.formEdited) {
+                this.mergePageChange().catch(error => {
+                    console.warn('Failed to merge page change:', error);
+                });
+            } else {
+                this.init();
+            }
+        });
+    }
+
+    // Never throw the user's edits away: metadata the page added for the
+    // same paper only fills in what is still missing, and another paper on
+    // the page waits until the popup is opened again
+    async mergePageChange() {
+        const response = await this.requestExtraction({ id: this.currentTabId });
+        const metadata = response && !response.error ? response.metadata : null;
+        const current = this.currentMetadata;
+        if (!metadata || metadata.isSearchPage || !current || !this.samePaper(metadata, current)) return;
+
+        const added = Object.keys(metadata).filter(key => isEmptyValue(current[key]) && !isEmptyValue(metadata[key]));
+        if (added.length === 0) return;
+        added.forEach(key => { current[key] = metadata[key]; });
+
+        // Fields the user emptied on purpose stay empty: the form only hears
+        // about the new ones
+        if (!this.states.itemFound.classList.contains('hidden')) {
+            const preview = { ...current };
+            PREVIEW_FIELDS.filter(key => !added.includes(key)).forEach(key => { preview[key] = null; });
+            this.renderPreview(preview, { keepEdits: true });
+        }
+    }
+
+    // Same paper: a shared identifier, or the same title when neither has one
+    samePaper(a, b) {
+        const keys = imbib.identifiers.identifierKeys(b);
+        const otherKeys = imbib.identifiers.identifierKeys(a);
+        if (keys.length > 0 && otherKeys.length > 0) {
+            return otherKeys.some(key => keys.includes(key));
+        }
+        return Boolean(a.title) && a.title.trim().toLowerCase() === String(b.title || '').trim().toLowerCase();
+    }
+
+    async init() {
+        this.showState('loading');
 
         try {
             // Get current tab
@@ -52,30 +282,37 @@ class PopupController {
                 return;
             }
 
-            // Request metadata from content script
-            const response = await browser.tabs.sendMessage(tab.id, { action: 'extract' });
+            this.currentTabId = tab.id;
+            this.currentTabURL = tab.url;
+            this.loadPageButtons();
 
-            if (!response || response.error) {
-                this.showState('noContent');
+            // PDF URLs that name the paper themselves (arXiv, ADS link gateway)
+            const pdfSource = imbib.pdfSource.fromURL(tab.url);
+            if (pdfSource) {
+                this.currentMetadata = pdfSource;
+                await this.displayItem(pdfSource);
+                if (pdfSource.arxivID) this.loadArXivAbstract(pdfSource);
                 return;
             }
 
-            const { metadata } = response;
+            // Request metadata from content script, falling back to what the
+            // landing page told the background about a PDF opened from it
+            const response = await this.requestExtraction(tab);
+            const metadata = (response && !response.error && response.metadata) ||
+                             await this.findPDFSource(tab.url);
 
             if (!metadata) {
                 this.showState('noContent');
                 return;
             }
 
-            // Handle redirect requests (e.g., arXiv PDF page)
-            if (metadata.redirect) {
-                this.showError(`Please visit the abstract page:\n${metadata.redirect}`);
-                return;
-            }
-
             // Handle search/listing pages
             if (metadata.isSearchPage) {
-                this.showSearchPageMessage(metadata.message || 'Click on a paper to import it.', metadata.searchQuery);
+                this.showSearchPageMessage(
+                    metadata.message || 'Click on a paper to import it.',
+                    metadata.searchQuery,
+                    metadata.items
+                );
                 return;
             }
 
@@ -85,41 +322,74 @@ class PopupController {
         } catch (error) {
             console.error('Popup error:', error);
 
-            // Check if content script is not loaded
+            this.showError(error.message || 'Failed to extract metadata');
+        }
+    }
+
+    // Ask the content script for metadata; null when none is injected
+    // (PDF viewers, pages loaded before the extension was installed)
+    async requestExtraction(tab) {
+        try {
+            return await browser.tabs.sendMessage(tab.id, { action: 'extract' });
+        } catch (error) {
             if (error.message?.includes('Receiving end does not exist')) {
-                this.showState('noContent');
-            } else {
-                this.showError(error.message || 'Failed to extract metadata');
+                return null;
             }
+            throw error;
         }
     }
 
-    async displayItem(metadata) {
-        // Title
-        this.elements.title.textContent = metadata.title || 'Untitled';
-
-        // Authors
-        if (metadata.authors && metadata.authors.length > 0) {
-            const authorText = metadata.authors.length > 3
-                ? `${metadata.authors.slice(0, 3).join(', ')} et al.`
-                : metadata.authors.join(', ');
-            this.elements.authors.textContent = authorText;
-        } else {
-            this.elements.authors.textContent = '';
+    async findPDFSource(url) {
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'findPDFSource',
+                url: url.split('#')[0]
+            });
+            return response?.metadata || null;
+        } catch (error) {
+            console.warn('Failed to look up PDF source:', error);
+            return null;
         }
+    }
 
-        // Meta (journal + year)
-        const metaParts = [];
-        if (metadata.journal) metaParts.push(metadata.journal);
-        if (metadata.year) metaParts.push(metadata.year);
-        this.elements.meta.textContent = metaParts.join(' \u2022 ');
+    // Fill in the preview from the arXiv abstract page. Import does not wait
+    // for this: imbib fetches the record by ID either way.
+    async loadArXivAbstract(metadata) {
+        try {
+            const response = await fetch(imbib.pdfSource.arxivAbstractURL(metadata.arxivID));
+            if (!response.ok) return;
 
-        // Identifiers
-        this.elements.identifiers.innerHTML = '';
-        this.addIdentifierTag('DOI', metadata.doi);
-        this.addIdentifierTag('arXiv', metadata.arxivID);
-        this.addIdentifierTag('ADS', metadata.bibcode);
-        this.addIdentifierTag('PMID', metadata.pmid);
+            const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+            const meta = name => doc.querySelector(`meta[name="${name}"]`)?.content?.trim() || null;
+
+            metadata.title = metadata.title || meta('citation_title');
+            if (!metadata.authors?.length) {
+                metadata.authors = imbib.authors.toRecords(
+                    Array.from(doc.querySelectorAll('meta[name="citation_author"]'), el => el.content)
+                );
+            }
+            if (!metadata.year) {
+                imbib.dates.applyDates(metadata, {
+                    printDate: imbib.dates.parseDate(meta('citation_date')),
+                    onlineDate: imbib.dates.parseDate(meta('citation_online_date'))
+                });
+            }
+            metadata.doi = metadata.doi || meta('citation_doi');
+            metadata.abstract = metadata.abstract ||
+                doc.querySelector('blockquote.abstract')?.textContent?.replace(/^Abstract:\s*/i, '').trim();
+
+            // Only touch the preview if the user is still looking at it, and
+            // never overwrite their edits
+            if (this.currentMetadata === metadata && !this.states.itemFound.classList.contains('hidden')) {
+                this.renderPreview(metadata, { keepEdits: this.formEdited });
+            }
+        } catch (error) {
+            console.warn('Failed to load arXiv abstract page:', error);
+        }
+    }
+
+    async displayItem(metadata) {
+        this.renderPreview(metadata);
 
         // Check for duplicate
         const exists = await this.checkDuplicate(metadata);
@@ -129,12 +399,185 @@ class PopupController {
             this.elements.alreadySaved.classList.add('hidden');
         }
 
-        // Load libraries
+        // Load libraries, then the collections in them
         await this.loadLibraries();
+        await this.loadCollections();
 
         this.showState('itemFound');
     }
 
+    // ==================== Editable Preview ====================
+
+    // Fill the form from extracted metadata. With `keepEdits`, only empty
+    // fields are filled, for metadata that arrives after the user started
+    // editing.
+    renderPreview(metadata, { keepEdits = false } = {}) {
+        const fill = (input, value) => {
+            if (!keepEdits || !input.value) input.value = value || '';
+        };
+
+        fill(this.elements.title, metadata.title);
+        fill(this.elements.year, metadata.year);
+        fill(this.elements.volume, metadata.volume);
+        fill(this.elements.pages, metadata.pages);
+        fill(this.elements.journal, metadata.journal);
+        fill(this.elements.doi, metadata.doi);
+        fill(this.elements.abstract, metadata.abstract);
+
+        if (!keepEdits || this.elements.authors.children.length === 0) {
+            this.elements.authors.innerHTML = '';
+            (metadata.authors || []).forEach(author => this.addAuthorRow(author));
+        }
+        if (!keepEdits) this.formEdited = false;
+
+        // Identifiers the form doesn't edit
+        this.elements.identifiers.innerHTML = '';
+        this.addIdentifierTag('arXiv', metadata.arxivID);
+        this.addIdentifierTag('ADS', metadata.bibcode);
+        this.addIdentifierTag('PMID', metadata.pmid);
+
+        // Which source won: a citation file the page links, or its metadata
+        const file = metadata.citationSource;
+        this.elements.source.textContent = file
+            ? `From ${new URL(file.url).hostname}'s ${CITATION_FILE_LABELS[file.format]} file`
+            : 'From page metadata';
+
+        this.validateForm();
+    }
+
+    // One editable author. Returns the name input.
+    addAuthorRow(author = null) {
+        const row = document.createElement('li');
+        row.className = 'author-row';
+        // Names left as they are keep their full record (ORCID, affiliations)
+        row.authorRecord = author && typeof author === 'object' ? author : null;
+
+        const input = document.createElement('input');
+        input.className = 'input';
+        input.value = imbib.authors.displayName(author);
+        input.placeholder = 'Given Family';
+        input.setAttribute('aria-label', 'Author name');
+
+        row.append(
+            input,
+            this.authorButton('up', '\u2191', 'Move up'),
+            this.authorButton('down', '\u2193', 'Move down'),
+            this.authorButton('remove', '\u00D7', 'Remove author')
+        );
+        this.elements.authors.appendChild(row);
+        return input;
+    }
+
+    authorButton(action, label, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = action;
+        button.textContent = label;
+        button.title = title;
+        return button;
+    }
+
+    handleAuthorAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const row = button.closest('.author-row');
+        switch (button.dataset.action) {
+            case 'up':
+                row.previousElementSibling?.before(row);
+                break;
+            case 'down':
+                row.nextElementSibling?.after(row);
+                break;
+            case 'remove':
+                row.remove();
+                break;
+        }
+        this.formEdited = true;
+    }
+
+    // Author records in list order; edited names are parsed again
+    formAuthors() {
+        return Array.from(this.elements.authors.children, row => {
+            const name = row.querySelector('input').value.replace(/\s+/g, ' ').trim();
+            if (row.authorRecord && name === imbib.authors.displayName(row.authorRecord)) {
+                return row.authorRecord;
+            }
+            return imbib.authors.toRecord(name);
+        }).filter(Boolean);
+    }
+
+    // Flag fields that would import wrong data and keep Import disabled
+    // until they are fixed. Returns whether the form is valid.
+    validateForm() {
+        const { title, year, doi, importBtn, itemErrors } = this.elements;
+        const errors = [];
+        const check = (input, valid, message) => {
+            input.classList.toggle('invalid', !valid);
+            if (!valid) errors.push(message);
+        };
+
+        const yearValue = year.value.trim();
+        check(year, !yearValue || /^[12]\d{3}$/.test(yearValue), 'Year must have four digits.');
+
+        const doiValue = doi.value.trim();
+        check(doi, !doiValue || Boolean(imbib.identifiers.normalizeDOI(doiValue)), 'DOI must look like 10.1234/abc.');
+
+        // imbib needs something to find or name the paper by
+        const metadata = this.currentMetadata || {};
+        const identified = doiValue || metadata.arxivID || metadata.bibcode || metadata.pmid;
+        check(title, Boolean(title.value.trim() || identified), 'Add a title or a DOI.');
+
+        const { collectionSelect, newCollectionName } = this.elements;
+        check(
+            newCollectionName,
+            collectionSelect.value !== NEW_COLLECTION || Boolean(newCollectionName.value.trim()),
+            'Name the new collection.'
+        );
+
+        itemErrors.textContent = errors.join(' ');
+        itemErrors.classList.toggle('hidden', errors.length === 0);
+        importBtn.disabled = errors.length > 0;
+        return errors.length === 0;
+    }
+
+    // The current metadata with the form's values in place
+    editedMetadata() {
+        const metadata = this.currentMetadata;
+        const line = input => input.value.replace(/\s+/g, ' ').trim() || null;
+
+        const edited = {
+            ...metadata,
+            title: line(this.elements.title),
+            authors: this.formAuthors(),
+            volume: line(this.elements.volume),
+            pages: line(this.elements.pages),
+            journal: line(this.elements.journal),
+            doi: line(this.elements.doi),
+            abstract: this.elements.abstract.value.trim() || null
+        };
+
+        // A different year makes the scraped month and day meaningless
+        const year = line(this.elements.year);
+        if (year !== (metadata.year ? String(metadata.year) : null)) {
+            Object.assign(edited, { year, month: null, day: null, date: year });
+        }
+
+        return edited;
+    }
+
+    // The form fields the user changed. imbib keeps these over the record it
+    // fetches for the paper from ADS, arXiv or the DOI.
+    editedFields(edited) {
+        const metadata = this.currentMetadata;
+        const text = value => String(value ?? '').replace(/\s+/g, ' ').trim();
+        const names = authors => (authors || []).map(author => imbib.authors.displayName(author)).join('; ');
+
+        return PREVIEW_FIELDS.filter(key => key === 'authors'
+            ? names(edited.authors) !== names(metadata.authors)
+            : text(edited[key]) !== text(metadata[key]));
+    }
+
     addIdentifierTag(label, value) {
         if (!value) return;
 
@@ -173,7 +616,8 @@ class PopupController {
         }
     }
 
-    async checkDuplicate(metadata) {
+    async checkDuplicate(rawMetadata) {
+        const metadata = imbib.identifiers.normalizeMetadata(rawMetadata);
         try {
             const response = await browser.runtime.sendNativeMessage(
                 'com.imbib.app.safari-extension',
@@ -192,7 +636,7 @@ class PopupController {
     }
 
     async handleImport() {
-        if (!this.currentMetadata) return;
+        if (!this.currentMetadata || !this.validateForm()) return;
 
         // Update UI
         this.elements.importBtn.disabled = true;
@@ -201,26 +645,30 @@ class PopupController {
 
         try {
             const libraryId = this.elements.librarySelect.value;
+            const edited = this.editedMetadata();
+            const item = {
+                ...imbib.identifiers.normalizeMetadata(edited),
+                editedFields: this.editedFields(edited),
+                ...this.filingFields(),
+                libraryId: libraryId || null,
+                importedAt: new Date().toISOString()
+            };
 
-            const response = await browser.runtime.sendNativeMessage(
-                'com.imbib.app.safari-extension',
+            const [entry] = await this.deliver([
                 {
-                    action: 'importItem',
-                    item: {
-                        ...this.currentMetadata,
-                        libraryId: libraryId || null,
-                        importedAt: new Date().toISOString()
-                    }
+                    kind: 'import',
+                    title: item.title,
+                    // PDFs opened from a landing page are recorded as coming from it
+                    sourceURL: this.currentMetadata.landingURL || this.currentTabURL,
+                    request: { action: 'importItem', item }
                 }
-            );
+            ]);
 
-            if (response?.success) {
-                this.showState('success');
-                // Auto-close after success
-                setTimeout(() => window.close(), 1500);
-            } else {
-                throw new Error(response?.error || 'Import failed');
+            if (entry.status === 'failed') {
+                throw new Error(entry.lastError || 'Import failed');
             }
+            localStorage.setItem(COLLECTION_KEY, item.collectionId || '');
+            this.showDelivered([entry], 'Added to library!');
         } catch (error) {
             console.error('Import error:', error);
             this.showError(error.message || 'Failed to import reference');
@@ -247,11 +695,13 @@ class PopupController {
         this.showState('error');
     }
 
-    showSearchPageMessage(message, searchQuery = null) {
+    showSearchPageMessage(message, searchQuery = null, items = []) {
         if (this.elements.searchPageMessage) {
             this.elements.searchPageMessage.textContent = message;
         }
 
+        this.showBatchItems(items || []);
+
         // Show smart search section if we have a query
         if (searchQuery && this.elements.smartSearchSection) {
             this.currentSearchQuery = searchQuery;
@@ -259,14 +709,306 @@ class PopupController {
                 ? searchQuery.substring(0, 60) + '...'
                 : searchQuery;
             this.elements.smartSearchSection.classList.remove('hidden');
-            this.elements.searchPageHint?.classList.add('hidden');
         } else {
             this.currentSearchQuery = null;
             this.elements.smartSearchSection?.classList.add('hidden');
+        }
+
+        // Only suggest clicking through when there is nothing to act on here
+        if (this.currentSearchQuery || this.currentItems.length > 0) {
+            this.elements.searchPageHint?.classList.add('hidden');
+        } else {
             this.elements.searchPageHint?.classList.remove('hidden');
         }
 
         this.showState('searchPage');
+
+        // The batch shortcut starts on the list of papers
+        if (this.batchMode && this.currentItems.length > 0) {
+            this.elements.batchList.querySelector('input')?.focus();
+        }
+    }
+
+    // ==================== Filing ====================
+
+    // Collections imbib knows, for the collection menu. Without an answer
+    // the menu still offers a new collection, which the URL scheme can carry.
+    async loadCollections() {
+        try {
+            const response = await browser.runtime.sendNativeMessage(
+                'com.imbib.app.safari-extension',
+                { action: 'getCollections' }
+            );
+            this.collections = response?.collections || [];
+        } catch (error) {
+            console.warn('Failed to load collections:', error);
+            this.collections = [];
+        }
+        this.renderCollections();
+    }
+
+    // Collections in the chosen library (all of them for the default one),
+    // keeping the current or last used choice when it is still offered
+    renderCollections() {
+        const select = this.elements.collectionSelect;
+        const libraryId = this.elements.librarySelect.value;
+        const selected = select.value || localStorage.getItem(COLLECTION_KEY) || '';
+
+        select.innerHTML = '<option value="">No collection</option>';
+        this.collections
+            .filter(collection => !libraryId || !collection.libraryId || collection.libraryId === libraryId)
+            .forEach(collection => {
+                const option = document.createElement('option');
+                option.value = collection.id;
+                option.textContent = collection.name;
+                select.appendChild(option);
+            });
+
+        const create = document.createElement('option');
+        create.value = NEW_COLLECTION;
+        create.textContent = 'New Collection\u2026';
+        select.appendChild(create);
+
+        select.value = Array.from(select.options).some(option => option.value === selected) ? selected : '';
+        this.updateNewCollection();
+    }
+
+    updateNewCollection() {
+        const creating = this.elements.collectionSelect.value === NEW_COLLECTION;
+        this.elements.newCollectionName.classList.toggle('hidden', !creating);
+        if (creating) this.elements.newCollectionName.focus();
+        this.validateForm();
+    }
+
+    // Tags, collection, note and read/flagged state for the import item
+    filingFields() {
+        const { importTags, collectionSelect, newCollectionName, importNote, importRead, importFlagged } = this.elements;
+        const collection = collectionSelect.value;
+        const tags = importTags.value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+        return {
+            tags: [...new Set(tags)],
+            collectionId: collection && collection !== NEW_COLLECTION ? collection : null,
+            collectionName: collection === NEW_COLLECTION ? newCollectionName.value.trim() || null : null,
+            note: importNote.value.trim() || null,
+            isRead: importRead.checked,
+            isFlagged: importFlagged.checked
+        };
+    }
+
+    // ==================== Export ====================
+
+    async handleCopyBibTeX() {
+        if (!this.currentMetadata) return;
+
+        try {
+            await navigator.clipboard.writeText(imbib.bibtex.formatEntry(this.editedMetadata()));
+            this.flashButton(this.elements.copyBibTeXBtn, 'Copied!');
+        } catch (error) {
+            console.error('Copy error:', error);
+            this.flashButton(this.elements.copyBibTeXBtn, 'Copy failed');
+        }
+    }
+
+    populateCitationStyles() {
+        const select = this.elements.citationStyle;
+        if (!select) return;
+
+        imbib.citations.styles.forEach(style => {
+            const option = document.createElement('option');
+            option.value = style.id;
+            option.textContent = style.label;
+            select.appendChild(option);
+        });
+
+        const saved = localStorage.getItem(CITATION_STYLE_KEY);
+        if (imbib.citations.styles.some(style => style.id === saved)) {
+            select.value = saved;
+        }
+    }
+
+    // Copy a formatted reference as both plain text and HTML, so rich-text
+    // editors keep the italics and bold while plain fields get the text
+    async handleCopyCitation() {
+        if (!this.currentMetadata) return;
+
+        const { text, html } = imbib.citations.format(this.editedMetadata(), this.elements.citationStyle.value);
+        try {
+            if (typeof ClipboardItem !== 'undefined' && navigator.clipboard.write) {
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/plain': new Blob([text], { type: 'text/plain' }),
+                    'text/html': new Blob([html], { type: 'text/html' })
+                })]);
+            } else {
+                await navigator.clipboard.writeText(text);
+            }
+            this.flashButton(this.elements.copyCitationBtn, 'Copied!');
+        } catch (error) {
+            console.error('Copy error:', error);
+            this.flashButton(this.elements.copyCitationBtn, 'Copy failed');
+        }
+    }
+
+    // Download the current page's metadata as edited, named by its cite key
+    handleDownload(format) {
+        if (!this.currentMetadata) return;
+        const metadata = this.editedMetadata();
+        this.exportItems([metadata], format, imbib.bibtex.citeKey(metadata));
+    }
+
+    handleBatchExport(format) {
+        const items = this.selectedBatchItems();
+        if (items.length === 0) return;
+        this.exportItems(items, format, 'references');
+    }
+
+    exportItems(items, format, basename) {
+        const { extension, type, write } = EXPORT_FORMATS[format];
+        this.downloadFile(write(items), `${basename}.${extension}`, type);
+    }
+
+    downloadFile(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Briefly swap a button's label to confirm an action
+    flashButton(button, text) {
+        if (!button) return;
+        const original = button.dataset.label || button.textContent;
+        button.dataset.label = original;
+        button.textContent = text;
+        clearTimeout(button.flashTimer);
+        button.flashTimer = setTimeout(() => {
+            button.textContent = original;
+        }, 1500);
+    }
+
+    // ==================== Batch Import ====================
+
+    showBatchItems(items) {
+        this.currentItems = items;
+        if (!this.elements.batchSection) return;
+
+        this.elements.batchList.innerHTML = '';
+        if (items.length === 0) {
+            this.elements.batchSection.classList.add('hidden');
+            return;
+        }
+
+        items.forEach((item, index) => {
+            const row = document.createElement('li');
+            row.className = 'batch-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.dataset.index = index;
+            checkbox.addEventListener('change', () => this.updateBatchSelection());
+
+            const text = document.createElement('div');
+            const title = document.createElement('div');
+            title.className = 'batch-item-title';
+            title.textContent = item.title || item.bibcode || item.arxivID;
+            const meta = document.createElement('div');
+            meta.className = 'batch-item-meta';
+            const firstAuthor = item.authors?.length
+                ? `${imbib.authors.displayName(item.authors[0])}${item.authors.length > 1 ? ' et al.' : ''} \u2022 `
+                : '';
+            meta.textContent = `${firstAuthor}${item.bibcode || item.arxivID}`;
+            text.append(title, meta);
+
+            // Clicking anywhere on the row toggles it
+            row.addEventListener('click', (e) => {
+                if (e.target === checkbox) return;
+                checkbox.checked = !checkbox.checked;
+                this.updateBatchSelection();
+            });
+
+            row.append(checkbox, text);
+            this.elements.batchList.appendChild(row);
+        });
+
+        this.elements.batchSection.classList.remove('hidden');
+        this.updateBatchSelection();
+    }
+
+    batchCheckboxes() {
+        return Array.from(this.elements.batchList.querySelectorAll('input[type="checkbox"]'));
+    }
+
+    selectedBatchItems() {
+        return this.batchCheckboxes()
+            .filter(cb => cb.checked)
+            .map(cb => this.currentItems[Number(cb.dataset.index)]);
+    }
+
+    setAllBatchItems(checked) {
+        this.batchCheckboxes().forEach(cb => { cb.checked = checked; });
+        this.updateBatchSelection();
+    }
+
+    updateBatchSelection() {
+        const boxes = this.batchCheckboxes();
+        const selected = boxes.filter(cb => cb.checked).length;
+
+        this.elements.batchSelectAll.checked = selected === boxes.length;
+        this.elements.batchSelectAll.indeterminate = selected > 0 && selected < boxes.length;
+
+        const btn = this.elements.batchImportBtn;
+        btn.disabled = selected === 0;
+        btn.querySelector('.button-text').textContent = `Import ${selected} Selected`;
+        Object.values(this.elements.batchExportBtns).forEach(exportBtn => {
+            if (exportBtn) exportBtn.disabled = selected === 0;
+        });
+    }
+
+    async handleBatchImport() {
+        const items = this.selectedBatchItems();
+        if (items.length === 0) return;
+
+        // Update UI
+        const btn = this.elements.batchImportBtn;
+        btn.disabled = true;
+        btn.querySelector('.button-text').textContent = 'Importing...';
+        btn.querySelector('.button-spinner').classList.remove('hidden');
+
+        try {
+            const importedAt = new Date().toISOString();
+            const entries = await this.deliver(items.map(rawItem => {
+                const item = { ...imbib.identifiers.normalizeMetadata(rawItem), importedAt };
+                return {
+                    kind: 'import',
+                    title: item.title,
+                    sourceURL: this.currentTabURL,
+                    request: { action: 'importItem', item }
+                };
+            }));
+
+            const failed = entries.filter(entry => entry.status === 'failed').length;
+            if (failed === entries.length) {
+                throw new Error(entries[0]?.lastError || 'Import failed');
+            }
+            if (failed > 0) {
+                throw new Error(`${failed} of ${items.length} papers could not be imported`);
+            }
+
+            this.showDelivered(entries, 'Added to library!');
+
+        } catch (error) {
+            console.error('Batch import error:', error);
+            this.showError(error.message || 'Failed to import references');
+
+            // Reset button
+            btn.querySelector('.button-spinner').classList.add('hidden');
+            this.updateBatchSelection();
+        }
     }
 
     async handleCreateSmartSearch() {
@@ -285,23 +1027,22 @@ class PopupController {
                 : this.currentSearchQuery;
             const name = `Search: ${truncatedQuery}`;
 
-            const response = await browser.runtime.sendNativeMessage(
-                'com.imbib.app.safari-extension',
-                {
+            const [entry] = await this.deliver([{
+                kind: 'smartSearch',
+                title: name,
+                sourceURL: this.currentTabURL,
+                request: {
                     action: 'createSmartSearch',
                     query: this.currentSearchQuery,
                     name: name,
                     sourceID: 'ads'
                 }
-            );
+            }]);
 
-            if (response?.success) {
-                this.showState('success');
-                // Auto-close after success
-                setTimeout(() => window.close(), 1500);
-            } else {
-                throw new Error(response?.error || 'Failed to create smart search');
+            if (entry.status === 'failed') {
+                throw new Error(entry.lastError || 'Failed to create smart search');
             }
+            this.showDelivered([entry], 'Smart search created!');
         } catch (error) {
             console.error('Smart search creation error:', error);
             this.showError(error.message || 'Failed to create smart search');
@@ -312,6 +1053,402 @@ class PopupController {
             btn.querySelector('.button-spinner').classList.add('hidden');
         }
     }
+
+    // ==================== Outbox ====================
+
+    // Hand requests to the background's outbox, which keeps them until the
+    // app confirms delivery. Resolves to the new outbox entries.
+    async deliver(requests) {
+        const result = await browser.runtime.sendMessage({ action: 'outboxSubmit', requests });
+        if (!result || result.error) {
+            throw new Error(result?.error || 'Could not reach the extension background');
+        }
+        return this.sendByURL(result);
+    }
+
+    // The app couldn't be reached at all: have the background open imbib://
+    // URLs for the entries still pending from the current tab. It launches
+    // them one at a time and reports the entries it sent (the URL scheme
+    // can't confirm anything); the rest stay pending.
+    async sendByURL({ entries = [], reachable }) {
+        const unsent = reachable ? [] : entries.filter(entry => entry.status === 'pending');
+        if (unsent.length === 0) return entries;
+
+        const result = await browser.runtime.sendMessage({
+            action: 'outboxSendByURL',
+            ids: unsent.map(entry => entry.id),
+            tabId: this.currentTabId ?? undefined
+        });
+        if (!result || result.error) {
+            console.warn('Failed to open imbib by URL:', result?.error);
+            return entries;
+        }
+
+        unsent.forEach(entry => {
+            if (result.sent.includes(entry.id)) entry.status = 'sent';
+        });
+        return entries;
+    }
+
+    // Success view for entries just handed over: confirmed by the app, sent
+    // by URL without confirmation, or queued until the app answers
+    showDelivered(entries, confirmedMessage) {
+        let message = confirmedMessage;
+        let hint = null;
+
+        if (entries.some(entry => entry.status === 'pending')) {
+            message = 'Queued for imbib';
+            hint = 'imbib didn\'t respond. The queue below retries until it does.';
+        } else if (entries.some(entry => entry.status === 'sent')) {
+            message = 'Sent to imbib';
+            hint = 'imbib can\'t confirm imports opened by link. Check the app if it doesn\'t appear.';
+        }
+
+        this.elements.successMessage.textContent = message;
+        this.elements.successHint.textContent = hint || '';
+        this.elements.successHint.classList.toggle('hidden', !hint);
+        this.showState('success');
+
+        // Only close by itself when imbib confirmed everything
+        if (!hint) setTimeout(() => window.close(), 1500);
+    }
+
+    async loadOutbox() {
+        try {
+            const { [OUTBOX_KEY]: entries = [] } = await browser.storage.local.get(OUTBOX_KEY);
+            this.renderOutbox(entries);
+        } catch (error) {
+            console.warn('Failed to load outbox:', error);
+        }
+    }
+
+    renderOutbox(entries) {
+        const { outbox, outboxSummary, outboxList } = this.elements;
+        if (!outbox) return;
+
+        outbox.classList.toggle('hidden', entries.length === 0);
+
+        const counts = {};
+        entries.forEach(entry => { counts[entry.status] = (counts[entry.status] || 0) + 1; });
+        outboxSummary.textContent = 'Queue: ' + Object.entries(OUTBOX_STATUS_LABELS)
+            .filter(([status]) => counts[status])
+            .map(([status, label]) => `${counts[status]} ${label.summary}`)
+            .join(', ');
+
+        outboxList.innerHTML = '';
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = 'outbox-item';
+
+            const text = document.createElement('div');
+            text.className = 'outbox-item-text';
+
+            const title = document.createElement('div');
+            title.className = 'outbox-item-title';
+            title.textContent = entry.title || 'Untitled';
+
+            const status = document.createElement('div');
+            status.className = `outbox-item-status ${entry.status}`;
+            status.textContent = entry.status === 'failed' && entry.lastError
+                ? `${OUTBOX_STATUS_LABELS.failed.item}: ${entry.lastError}`
+                : OUTBOX_STATUS_LABELS[entry.status]?.item || entry.status;
+
+            const remove = document.createElement('button');
+            remove.className = 'outbox-remove';
+            remove.title = 'Remove from queue';
+            remove.textContent = '\u00D7';
+            remove.dataset.id = entry.id;
+
+            text.append(title, status);
+            li.append(text, remove);
+            outboxList.appendChild(li);
+        });
+    }
+
+    async handleOutboxRetry() {
+        const btn = this.elements.outboxRetryBtn;
+        btn.disabled = true;
+        try {
+            const result = await browser.runtime.sendMessage({ action: 'outboxRetry' });
+            if (result && !result.error) await this.sendByURL(result);
+        } catch (error) {
+            console.warn('Failed to retry outbox:', error);
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    handleOutboxRemove(event) {
+        const button = event.target.closest('.outbox-remove');
+        if (!button) return;
+
+        browser.runtime.sendMessage({ action: 'outboxRemove', id: button.dataset.id }).catch(error => {
+            console.warn('Failed to remove outbox entry:', error);
+        });
+    }
+
+    // ==================== Page Buttons ====================
+
+    // Sites are named by hostname without "www.", as the content script
+    // does; pages that aren't on the web have none
+    pageSite() {
+        try {
+            const url = new URL(this.currentTabURL);
+            return /^https?:$/.test(url.protocol) ? url.hostname.toLowerCase().replace(/^www\./, '') : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async loadPageButtons() {
+        const { pageButtonsAll, pageButtonsSiteRow, pageButtonsSite, pageButtonsHost } = this.elements;
+        if (!pageButtonsAll) return;
+
+        try {
+            const { [INLINE_BUTTONS_KEY]: settings = {} } = await browser.storage.local.get(INLINE_BUTTONS_KEY);
+            const site = this.pageSite();
+            pageButtonsAll.checked = Boolean(settings.enabled);
+            pageButtonsSiteRow.classList.toggle('hidden', !site);
+            if (site) {
+                pageButtonsHost.textContent = site;
+                pageButtonsSite.value = settings.sites?.[site] || '';
+            }
+        } catch (error) {
+            console.warn('Failed to load page button settings:', error);
+        }
+    }
+
+    // Open pages pick the change up from storage
+    async savePageButtons() {
+        try {
+            const { [INLINE_BUTTONS_KEY]: settings = {} } = await browser.storage.local.get(INLINE_BUTTONS_KEY);
+            const sites = { ...settings.sites };
+            const site = this.pageSite();
+            if (site && this.elements.pageButtonsSite.value) {
+                sites[site] = this.elements.pageButtonsSite.value;
+            } else if (site) {
+                delete sites[site];
+            }
+
+            await browser.storage.local.set({
+                [INLINE_BUTTONS_KEY]: { enabled: this.elements.pageButtonsAll.checked, sites }
+            });
+        } catch (error) {
+            console.warn('Failed to save page button settings:', error);
+        }
+    }
+
+    // ==================== Import History ====================
+
+    async toggleHistory() {
+        const open = this.elements.history.classList.contains('hidden');
+        this.elements.history.classList.toggle('hidden', !open);
+        this.elements.main.classList.toggle('hidden', open);
+        this.elements.historyBtn.setAttribute('aria-pressed', String(open));
+
+        if (open) {
+            await this.loadHistory();
+            this.elements.historySearch.focus();
+        }
+    }
+
+    async loadHistory() {
+        try {
+            const {
+                [HISTORY_KEY]: records = [],
+                [HISTORY_RETENTION_KEY]: retentionDays = DEFAULT_HISTORY_RETENTION_DAYS
+            } = await browser.storage.local.get([HISTORY_KEY, HISTORY_RETENTION_KEY]);
+            this.historyRecords = records;
+            this.elements.historyRetention.value = String(retentionDays);
+            this.renderHistory();
+        } catch (error) {
+            console.warn('Failed to load history:', error);
+        }
+    }
+
+    // Everything a search can match: title, identifiers, query, source page
+    // and the date as shown
+    historySearchText(record) {
+        return [
+            record.title,
+            record.doi,
+            record.arxivID,
+            record.bibcode,
+            record.pmid,
+            record.query,
+            record.sourceURL,
+            this.formatHistoryDate(record.createdAt)
+        ].filter(Boolean).join(' ').toLowerCase();
+    }
+
+    formatHistoryDate(timestamp) {
+        return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    renderHistory() {
+        const { history, historyList, historyEmpty, historySearch, historyFilter } = this.elements;
+        if (!history || history.classList.contains('hidden')) return;
+
+        const terms = historySearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = this.historyRecords
+            .filter(HISTORY_FILTERS[historyFilter.value] || HISTORY_FILTERS.all)
+            .filter(record => {
+                const text = this.historySearchText(record);
+                return terms.every(term => text.includes(term));
+            })
+            .reverse();
+
+        historyEmpty.textContent = this.historyRecords.length === 0
+            ? 'Nothing sent to imbib yet.'
+            : 'No matches.';
+        historyEmpty.classList.toggle('hidden', matches.length > 0);
+
+        historyList.innerHTML = '';
+        matches.forEach(record => {
+            const li = document.createElement('li');
+            li.className = 'history-item';
+
+            const title = document.createElement('div');
+            title.className = 'history-item-title';
+            title.textContent = record.title || 'Untitled';
+
+            const meta = document.createElement('div');
+            meta.className = 'history-item-meta';
+            const identifiers = [
+                record.doi && `DOI ${record.doi}`,
+                record.arxivID && `arXiv ${record.arxivID}`,
+                record.bibcode && `ADS ${record.bibcode}`,
+                record.pmid && `PMID ${record.pmid}`
+            ].filter(Boolean);
+            meta.textContent = [
+                this.formatHistoryDate(record.createdAt),
+                record.kind === 'smartSearch' ? 'Smart search' : null,
+                ...identifiers
+            ].filter(Boolean).join(' \u2022 ');
+
+            const status = document.createElement('div');
+            status.className = `history-item-status ${record.status}`;
+            status.textContent = record.status === 'failed' && record.lastError
+                ? `${HISTORY_STATUS_LABELS.failed}: ${record.lastError}`
+                : HISTORY_STATUS_LABELS[record.status] || record.status;
+
+            const actions = document.createElement('div');
+            actions.className = 'history-item-actions';
+            if (this.historyRequest(record)) {
+                actions.append(this.historyActionButton('resend', 'Send Again', record.id));
+            }
+            if (/^https?:/.test(record.sourceURL || '')) {
+                const open = this.historyActionButton('open', 'Open Page', record.id);
+                open.title = record.sourceURL;
+                actions.append(open);
+            }
+
+            li.append(title, meta, status, actions);
+            historyList.appendChild(li);
+        });
+    }
+
+    historyActionButton(action, label, id) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.dataset.action = action;
+        button.dataset.id = id;
+        return button;
+    }
+
+    handleHistoryAction(event) {
+        const button = event.target.closest('button[data-action]');
+        const record = button && this.historyRecords.find(candidate => candidate.id === button.dataset.id);
+        if (!record) return;
+
+        if (button.dataset.action === 'open') {
+            browser.tabs.create({ url: record.sourceURL });
+        } else if (button.dataset.action === 'resend') {
+            this.handleHistoryResend(record);
+        }
+    }
+
+    // Send a recorded request again, as a new outbox entry
+    async handleHistoryResend(record) {
+        this.toggleHistory();
+        this.showState('loading');
+
+        try {
+            const [entry] = await this.deliver([{
+                kind: record.kind,
+                title: record.title,
+                sourceURL: record.sourceURL,
+                request: this.historyRequest(record)
+            }]);
+
+            if (entry.status === 'failed') {
+                throw new Error(entry.lastError || 'imbib rejected the request');
+            }
+            this.showDelivered([entry], record.kind === 'smartSearch' ? 'Smart search created!' : 'Added to library!');
+        } catch (error) {
+            console.error('Re-send error:', error);
+            this.showError(error.message || 'Failed to send again');
+        }
+    }
+
+    // The request a history record sends again. Records keep identifiers
+    // rather than the full metadata, so imports without one can only be
+    // redone from their page.
+    historyRequest(record) {
+        if (record.kind === 'smartSearch') {
+            if (!record.query) return null;
+            const { query, name, sourceID } = record;
+            return { action: 'createSmartSearch', query, name, sourceID };
+        }
+
+        const sourceType = record.doi ? 'doi'
+            : record.arxivID ? 'arxiv'
+            : record.bibcode ? 'ads'
+            : record.pmid ? 'pubmed'
+            : null;
+        if (!sourceType) return null;
+
+        return {
+            action: 'importItem',
+            item: {
+                sourceType,
+                title: record.title,
+                doi: record.doi,
+                arxivID: record.arxivID,
+                bibcode: record.bibcode,
+                pmid: record.pmid,
+                libraryId: record.libraryId || null,
+                importedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    handleHistoryRetention(days) {
+        browser.runtime.sendMessage({ action: 'historySetRetention', days: Number(days) }).catch(error => {
+            console.warn('Failed to set history retention:', error);
+        });
+    }
+
+    // Clearing takes a second click, so one stray click can't lose the history
+    handleHistoryClear() {
+        const btn = this.elements.historyClearBtn;
+        if (!btn.dataset.confirming) {
+            btn.dataset.confirming = 'true';
+            btn.textContent = 'Really Clear?';
+            btn.confirmTimer = setTimeout(() => {
+                delete btn.dataset.confirming;
+                btn.textContent = 'Clear';
+            }, 3000);
+            return;
+        }
+
+        clearTimeout(btn.confirmTimer);
+        delete btn.dataset.confirming;
+        btn.textContent = 'Clear';
+        browser.runtime.sendMessage({ action: 'historyClear' }).catch(error => {
+            console.warn('Failed to clear history:', error);
+        });
+    }
 }
 
 // Initialize when DOM is ready
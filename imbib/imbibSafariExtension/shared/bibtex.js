@@ -0,0 +1,514 @@
+// bibtex.js - BibTeX entry writer and reader
+// Turns extracted metadata into escaped BibTeX entries for copying or saving
+// without going through the app, and reads publisher .bib files back into
+// metadata. Cite keys follow the app's {LastName}{Year}{TitleWord} pattern.
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib || (root.imbib = {});
+
+    // ==================== LaTeX Escaping ====================
+
+    const SPECIAL_CHARACTERS = {
+        '\\': '\\textbackslash{}',
+        '{': '\\{',
+        '}': '\\}',
+        '&': '\\&',
+        '%': '\\%',
+        '$': '\\$',
+        '#': '\\#',
+        '_': '\\_',
+        '~': '\\textasciitilde{}',
+        '^': '\\textasciicircum{}',
+        '–': '--',
+        '—': '---',
+        ' ': '~',
+        'ß': '{\\ss}',
+        'ø': '{\\o}',
+        'Ø': '{\\O}',
+        'æ': '{\\ae}',
+        'Æ': '{\\AE}',
+        'œ': '{\\oe}',
+        'Œ': '{\\OE}',
+        'å': '{\\aa}',
+        'Å': '{\\AA}',
+        'ł': '{\\l}',
+        'Ł': '{\\L}',
+        'ı': '{\\i}'
+    };
+
+    // Combining diacritics -> LaTeX accent commands. Symbol accents are
+    // written {\"o}; letter accents need an argument: {\c{c}}
+    const ACCENTS = {
+        '̀': '`',
+        '́': "'",
+        '̂': '^',
+        '̃': '~',
+        '̄': '=',
+        '̇': '.',
+        '̈': '"',
+        '̆': 'u',
+        '̊': 'r',
+        '̋': 'H',
+        '̌': 'v',
+        '̧': 'c',
+        '̨': 'k'
+    };
+
+    function escapeLaTeX(text) {
+        if (text == null) return '';
+
+        let result = '';
+        for (const char of String(text).normalize('NFC')) {
+            if (SPECIAL_CHARACTERS[char]) {
+                result += SPECIAL_CHARACTERS[char];
+                continue;
+            }
+
+            // Accented Latin letters: one base letter plus one known accent
+            const [base, accent, ...rest] = char.normalize('NFD');
+            if (accent && rest.length === 0 && ACCENTS[accent] && /[A-Za-z]/.test(base)) {
+                const command = ACCENTS[accent];
+                const letter = base === 'i' ? '\\i' : base;
+                result += /[a-z]/i.test(command)
+                    ? `{\\${command}{${letter}}}`
+                    : `{\\${command}${letter}}`;
+                continue;
+            }
+
+            result += char;
+        }
+        return result;
+    }
+
+    // ==================== Cite Keys ====================
+
+    // Same stop words as the app's CiteKeyGenerator
+    const STOP_WORDS = new Set([
+        'a', 'an', 'the', 'of', 'in', 'on', 'at', 'to', 'for',
+        'and', 'or', 'but', 'with', 'by', 'from', 'as', 'is',
+        'are', 'was', 'were', 'be', 'been', 'being', 'have',
+        'has', 'had', 'do', 'does', 'did', 'will', 'would',
+        'could', 'should', 'may', 'might', 'can', 'this', 'that'
+    ]);
+
+    // Letters that don't decompose into a base letter plus accent
+    const ASCII_LETTERS = {
+        'Ø': 'O', 'ø': 'o',
+        'Ł': 'L', 'ł': 'l',
+        'Æ': 'AE', 'æ': 'ae',
+        'Œ': 'OE', 'œ': 'oe',
+        'ß': 'ss',
+        'Đ': 'D', 'đ': 'd',
+        'Ð': 'D', 'ð': 'd',
+        'Þ': 'Th', 'þ': 'th',
+        'ı': 'i'
+    };
+    const ASCII_LETTER_PATTERN = new RegExp(`[${Object.keys(ASCII_LETTERS).join('')}]`, 'g');
+
+    // Strip accents and anything that is not a letter or digit
+    function asciiWord(text) {
+        return String(text || '')
+            .replace(ASCII_LETTER_PATTERN, char => ASCII_LETTERS[char])
+            .normalize('NFD')
+            .replace(/[̀-ͯ]/g, '')
+            .replace(/[^A-Za-z0-9]/g, '');
+    }
+
+    function capitalize(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }
+
+    function citeKey(metadata) {
+        const firstAuthor = imbib.authors.toRecords(metadata?.authors)[0];
+        const lastName = capitalize(asciiWord(firstAuthor ? imbib.authors.familyName(firstAuthor) : '')) || 'Unknown';
+        const year = metadata?.year ? String(metadata.year) : '';
+
+        const titleWord = String(metadata?.title || '')
+            .split(/\s+/)
+            .map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+            .find(word => word.length >= 3 && !STOP_WORDS.has(word.toLowerCase()));
+        const cleanTitleWord = titleWord ? asciiWord(titleWord).toLowerCase() : '';
+
+        return lastName + year + capitalize(cleanTitleWord);
+    }
+
+    // Append a, b, c... (then numbers) until the key is unused
+    function makeUnique(key, existingKeys) {
+        if (!existingKeys.has(key)) return key;
+        for (const suffix of 'abcdefghijklmnopqrstuvwxyz') {
+            if (!existingKeys.has(key + suffix)) return key + suffix;
+        }
+        let counter = 2;
+        while (existingKeys.has(`${key}${counter}`)) counter++;
+        return `${key}${counter}`;
+    }
+
+    // Cite keys for a list of items, made distinct in order
+    function uniqueCiteKeys(items) {
+        const keys = new Set();
+        return items.map(item => {
+            const key = makeUnique(citeKey(item), keys);
+            keys.add(key);
+            return key;
+        });
+    }
+
+    // ==================== Entries ====================
+
+    function formatAuthor(author) {
+        if (author.literal) return `{${escapeLaTeX(author.literal)}}`;
+        const last = [author.particle, author.family].filter(Boolean).map(escapeLaTeX).join(' ');
+        return [last, author.suffix, author.given]
+            .filter(Boolean)
+            .map((part, index) => index === 0 ? part : escapeLaTeX(part))
+            .join(', ');
+    }
+
+    // Fields in the app exporter's order; identifiers and URLs are written
+    // verbatim, everything else is LaTeX-escaped
+    function entryFields(metadata) {
+        const entryType = metadata.entryType || 'article';
+        const isThesis = entryType === 'phdthesis' || entryType === 'mastersthesis';
+        const authors = imbib.authors.toRecords(metadata.authors);
+        const escaped = value => value ? escapeLaTeX(value) : null;
+
+        return [
+            ['author', authors.length ? authors.map(formatAuthor).join(' and ') : null],
+            // Extra braces keep acronyms and proper nouns capitalised
+            ['title', metadata.title ? `{${escapeLaTeX(metadata.title)}}` : null],
+            ['journal', escaped(metadata.journal)],
+            ['booktitle', escaped(metadata.booktitle)],
+            ['year', metadata.year],
+            ['month', imbib.dates.monthAbbreviation(metadata.month)],
+            ['volume', escaped(metadata.volume)],
+            ['number', escaped(metadata.issue)],
+            ['pages', metadata.pages ? escapeLaTeX(String(metadata.pages).replace(/\s*[-–]+\s*/, '--')) : null],
+            ['eid', escaped(metadata.articleNumber)],
+            ['publisher', escaped(metadata.publisher)],
+            [isThesis ? 'school' : 'institution', escaped(metadata.institution)],
+            ['doi', metadata.doi],
+            ['url', metadata.url || metadata.landingURL],
+            ['eprint', metadata.arxivID],
+            ['archivePrefix', metadata.arxivID ? 'arXiv' : null],
+            ['primaryClass', metadata.arxivID ? metadata.categories?.[0] : null],
+            ['isbn', metadata.isbn],
+            ['issn', metadata.issn?.length ? [].concat(metadata.issn).join(', ') : null],
+            ['pmid', metadata.pmid],
+            ['bibcode', metadata.bibcode],
+            ['language', escaped(metadata.language)],
+            ['keywords', metadata.keywords?.length ? escapeLaTeX([].concat(metadata.keywords).join(', ')) : null],
+            ['abstract', escaped(metadata.abstract)]
+        ].filter(([, value]) => value != null && value !== '');
+    }
+
+    function formatValue(name, value) {
+        // Month macros and plain numbers go unbraced, as the app writes them
+        if (name === 'month') return value;
+        if (/^(year|volume|number)$/.test(name) && /^\d+$/.test(value)) return value;
+        return `{${value}}`;
+    }
+
+    function formatEntry(rawMetadata, key) {
+        const metadata = imbib.identifiers.normalizeMetadata(rawMetadata);
+        const lines = entryFields(metadata).map(([name, value]) => `    ${name} = ${formatValue(name, value)}`);
+        return `@${metadata.entryType || 'article'}{${key || citeKey(metadata)},\n${lines.join(',\n')}\n}`;
+    }
+
+    // Several entries for one .bib file, with distinct cite keys
+    function formatEntries(items) {
+        const keys = uniqueCiteKeys(items);
+        return items.map((item, index) => formatEntry(item, keys[index])).join('\n\n') + '\n';
+    }
+
+    // ==================== Reading ====================
+
+    // LaTeX command -> character, the inverse of the tables above
+    const LATEX_CHARACTERS = {
+        ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ',
+        aa: 'å', AA: 'Å', l: 'ł', L: 'Ł', i: 'ı', j: 'ȷ',
+        textbackslash: '\\', textasciitilde: '~', textasciicircum: '^'
+    };
+
+    const ACCENT_MARKS = Object.fromEntries(
+        Object.entries(ACCENTS).map(([mark, command]) => [command, mark])
+    );
+
+    // AASTeX journal macros ADS writes in its BibTeX, as the app's
+    // JournalMacros expands them
+    const JOURNAL_MACROS = {
+        aj: 'Astronomical Journal',
+        apj: 'Astrophysical Journal',
+        apjl: 'Astrophysical Journal, Letters',
+        apjs: 'Astrophysical Journal, Supplement',
+        mnras: 'Monthly Notices of the Royal Astronomical Society',
+        aap: 'Astronomy and Astrophysics',
+        aaps: 'Astronomy and Astrophysics, Supplement',
+        pasp: 'Publications of the Astronomical Society of the Pacific',
+        pasj: 'Publications of the Astronomical Society of Japan',
+        pasa: 'Publications of the Astronomical Society of Australia',
+        araa: 'Annual Review of Astronomy and Astrophysics',
+        aapr: 'Astronomy and Astrophysics Reviews',
+        baas: 'Bulletin of the American Astronomical Society',
+        icarus: 'Icarus',
+        psj: 'Planetary Science Journal',
+        solphys: 'Solar Physics',
+        jcap: 'Journal of Cosmology and Astroparticle Physics',
+        prl: 'Physical Review Letters',
+        prd: 'Physical Review D',
+        physrep: 'Physics Reports',
+        procspie: 'Proceedings of the SPIE',
+        nat: 'Nature',
+        sci: 'Science',
+        ssr: 'Space Science Reviews',
+        apss: 'Astrophysics and Space Science',
+        na: 'New Astronomy',
+        nar: 'New Astronomy Review'
+    };
+
+    const LATEX_ESCAPES = /\\([&%$#_{}])/g;
+
+    // Turn LaTeX markup back into plain Unicode text
+    function unescapeLaTeX(text) {
+        if (text == null) return '';
+
+        return String(text)
+            // Accents on a letter: \"o, \"{o}, {\"o}, \c{c}, \c c, \'{\i}
+            .replace(/\\([`'^~=."])\s*(?:\{\s*(\\?[A-Za-z])\s*\}|(\\?[A-Za-z]))/g,
+                (match, command, braced, bare) => accented(command, braced || bare) ?? match)
+            .replace(/\\([uvHrck])(?:\s*\{\s*(\\?[A-Za-z])\s*\}|\s+([A-Za-z]))/g,
+                (match, command, braced, bare) => accented(command, braced || bare) ?? match)
+            .replace(/\\([A-Za-z]+)(?![A-Za-z])(?:\{\})?\s?/g,
+                (match, command) => LATEX_CHARACTERS[command] ?? match)
+            .replace(/---/g, '—')
+            .replace(/--/g, '–')
+            .replace(/(^|[^\\])~/g, '$1 ')
+            // Braces only group; escaped ones are kept as literal characters
+            .replace(/\\([{}])/g, (match, brace) => brace === '{' ? '\u0000' : '\u0001')
+            .replace(/[{}]/g, '')
+            .replace(/\u0000/g, '{')
+            .replace(/\u0001/g, '}')
+            .replace(LATEX_ESCAPES, '$1')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function accented(command, letter) {
+        const mark = ACCENT_MARKS[command];
+        if (!mark) return null;
+        const base = letter === '\\i' ? 'i' : letter === '\\j' ? 'j' : letter.replace('\\', '');
+        return (base + mark).normalize('NFC');
+    }
+
+    // Index of the bracket that closes the one at `start`, counting braces
+    function closingIndex(text, start) {
+        const close = text[start] === '(' ? ')' : '}';
+        let depth = 0;
+        for (let i = start + 1; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && depth > 0) {
+                depth--;
+            } else if (char === close && depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    // Field list "name = {value} # macro, ..." -> { name: rawValue }
+    function parseFields(body, strings) {
+        const fields = {};
+        let i = 0;
+
+        const skipSpace = () => {
+            while (i < body.length && /[\s,]/.test(body[i])) i++;
+        };
+
+        const readPart = () => {
+            if (body[i] === '{') {
+                const end = closingIndex(body, i);
+                if (end === -1) return null;
+                const value = body.slice(i + 1, end);
+                i = end + 1;
+                return value;
+            }
+            if (body[i] === '"') {
+                let depth = 0;
+                let end = i + 1;
+                for (; end < body.length; end++) {
+                    if (body[end] === '\\') end++;
+                    else if (body[end] === '{') depth++;
+                    else if (body[end] === '}') depth--;
+                    else if (body[end] === '"' && depth === 0) break;
+                }
+                const value = body.slice(i + 1, end);
+                i = end + 1;
+                return value;
+            }
+            const word = body.slice(i).match(/^[^\s,#}]+/)?.[0] || '';
+            i += word.length;
+            return /^\d+$/.test(word) ? word : strings[word.toLowerCase()] ?? word;
+        };
+
+        while (i < body.length) {
+            skipSpace();
+            const name = body.slice(i).match(/^([\w.:-]+)\s*=\s*/);
+            if (!name) break;
+            i += name[0].length;
+
+            const parts = [];
+            for (;;) {
+                const part = readPart();
+                if (part == null) return fields;
+                parts.push(part);
+                while (/\s/.test(body[i])) i++;
+                if (body[i] !== '#') break;
+                i++;
+                while (/\s/.test(body[i])) i++;
+            }
+            fields[name[1].toLowerCase()] = parts.join('');
+        }
+        return fields;
+    }
+
+    // Split on " and " outside braces, so "{Smith and Jones Team}" stays whole
+    function splitAuthors(raw) {
+        const names = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < raw.length; i++) {
+            if (raw[i] === '{') depth++;
+            else if (raw[i] === '}') depth--;
+            else if (depth === 0) {
+                const match = raw.slice(i).match(/^\s+and\s+/i);
+                if (!match) continue;
+                names.push(raw.slice(start, i));
+                i += match[0].length - 1;
+                start = i + 1;
+            }
+        }
+        names.push(raw.slice(start));
+        return names.map(name => name.trim()).filter(name => name && name.toLowerCase() !== 'others');
+    }
+
+    function parseAuthor(raw) {
+        // A name wrapped in one pair of braces is corporate: keep it as written
+        if (/^\{[^{}]*\}$/.test(raw)) {
+            return imbib.authors.toRecord({ literal: unescapeLaTeX(raw) });
+        }
+        return imbib.authors.parseName(unescapeLaTeX(raw));
+    }
+
+    function expandJournal(raw) {
+        const macro = raw.trim().match(/^\\?([A-Za-z]+)$/);
+        return macro && JOURNAL_MACROS[macro[1].toLowerCase()] || unescapeLaTeX(raw);
+    }
+
+    // BibTeX date: the biblatex date field, otherwise year plus month
+    function entryDate(fields) {
+        if (fields.date) return imbib.dates.parseDate(fields.date);
+        if (!fields.year) return null;
+
+        const month = /^\d+$/.test(fields.month || '')
+            ? Number(fields.month)
+            : imbib.dates.monthNumber(unescapeLaTeX(fields.month));
+        return imbib.dates.parseDate(month ? `${fields.year}-${month}` : fields.year);
+    }
+
+    function entryMetadata(type, key, fields) {
+        const text = name => fields[name] ? unescapeLaTeX(fields[name]) || null : null;
+        const list = name => text(name)?.split(/[;,]/).map(item => item.trim()).filter(Boolean) || [];
+        const eprint = text('eprint');
+        const isArXiv = eprint && (/arxiv/i.test(fields.archiveprefix || fields.eprinttype || '') ||
+                                   imbib.identifiers.parseArXiv(eprint));
+
+        const metadata = {
+            entryType: type,
+            citeKey: key || null,
+            title: text('title'),
+            authors: fields.author ? splitAuthors(fields.author).map(parseAuthor).filter(Boolean) : [],
+            journal: fields.journal ? expandJournal(fields.journal) :
+                     fields.journaltitle ? expandJournal(fields.journaltitle) : null,
+            booktitle: text('booktitle'),
+            institution: text('school') || text('institution'),
+            publisher: text('publisher'),
+            volume: text('volume'),
+            issue: text('number') || text('issue'),
+            pages: text('pages')?.replace(/\s*[-–—]+\s*/, '-') || null,
+            articleNumber: text('eid'),
+            doi: text('doi'),
+            url: fields.url?.trim() || null,
+            arxivID: isArXiv ? eprint : null,
+            categories: isArXiv && fields.primaryclass ? [text('primaryclass')] : [],
+            bibcode: imbib.identifiers.normalizeBibcode(
+                fields.bibcode || fields.adsurl?.match(/\/abs\/([^/?#]+)/)?.[1]),
+            isbn: text('isbn'),
+            issn: list('issn'),
+            keywords: list('keywords'),
+            language: text('language'),
+            abstract: text('abstract')
+        };
+
+        return imbib.dates.applyDates(metadata, { printDate: entryDate(fields) });
+    }
+
+    // Every entry in a .bib file as a metadata object; @string macros are
+    // expanded and @comment and @preamble blocks skipped
+    function parse(text) {
+        const source = String(text || '');
+        // Month macros stand for themselves until entryDate() reads them
+        const strings = {};
+        for (let month = 1; month <= 12; month++) {
+            const name = imbib.dates.monthAbbreviation(month);
+            strings[name] = name;
+        }
+        const entries = [];
+        let index = 0;
+
+        while ((index = source.indexOf('@', index)) !== -1) {
+            const header = source.slice(index).match(/^@\s*([A-Za-z]+)\s*([{(])/);
+            if (!header) {
+                index++;
+                continue;
+            }
+
+            const open = index + header[0].length - 1;
+            const close = closingIndex(source, open);
+            if (close === -1) break;
+            const body = source.slice(open + 1, close);
+            index = close + 1;
+
+            const type = header[1].toLowerCase();
+            if (type === 'comment' || type === 'preamble') continue;
+
+            if (type === 'string') {
+                for (const [name, value] of Object.entries(parseFields(body, strings))) {
+                    strings[name] = value;
+                }
+                continue;
+            }
+
+            const comma = body.indexOf(',');
+            const key = comma === -1 ? body.trim() : body.slice(0, comma).trim();
+            const fields = comma === -1 ? {} : parseFields(body.slice(comma + 1), strings);
+            entries.push(entryMetadata(type, key, fields));
+        }
+
+        return entries;
+    }
+
+    imbib.bibtex = {
+        escapeLaTeX,
+        unescapeLaTeX,
+        citeKey,
+        uniqueCiteKeys,
+        formatEntry,
+        formatEntries,
+        parse
+    };
+})(globalThis);
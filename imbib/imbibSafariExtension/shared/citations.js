@@ -0,0 +1,257 @@
+// citations.js - Formatted reference rendering
+// Renders metadata as a reference in the astronomy journal styles (AAS, MNRAS,
+// A&A) and in APA and Nature style, as plain text and as HTML.
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib || (root.imbib = {});
+
+    // ==================== Journal Abbreviations ====================
+
+    // Keyed by normalized full name: [AAS macro abbreviation, ISO abbreviation]
+    const JOURNALS = {
+        'astrophysical journal': ['ApJ', 'Astrophys. J.'],
+        'astrophysical journal letters': ['ApJL', 'Astrophys. J. Lett.'],
+        'astrophysical journal supplement series': ['ApJS', 'Astrophys. J. Suppl. Ser.'],
+        'astrophysical journal supplement': ['ApJS', 'Astrophys. J. Suppl. Ser.'],
+        'astronomical journal': ['AJ', 'Astron. J.'],
+        'monthly notices of the royal astronomical society': ['MNRAS', 'Mon. Not. R. Astron. Soc.'],
+        'astronomy and astrophysics': ['A&A', 'Astron. Astrophys.'],
+        'publications of the astronomical society of the pacific': ['PASP', 'Publ. Astron. Soc. Pac.'],
+        'annual review of astronomy and astrophysics': ['ARA&A', 'Annu. Rev. Astron. Astrophys.'],
+        'journal of cosmology and astroparticle physics': ['JCAP', 'J. Cosmol. Astropart. Phys.'],
+        'physical review letters': ['PhRvL', 'Phys. Rev. Lett.'],
+        'physical review d': ['PhRvD', 'Phys. Rev. D'],
+        'nature astronomy': ['NatAs', 'Nat. Astron.'],
+        'nature': ['Natur', 'Nature'],
+        'science': ['Sci', 'Science'],
+        'icarus': ['Icar', 'Icarus'],
+        'solar physics': ['SoPh', 'Sol. Phys.'],
+        'space science reviews': ['SSRv', 'Space Sci. Rev.'],
+        'planetary science journal': ['PSJ', 'Planet. Sci. J.'],
+        'research notes of the aas': ['RNAAS', 'Res. Notes AAS']
+    };
+
+    function normalizeJournal(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z ]/g, ' ')
+            .replace(/^\s*the\s+/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Abbreviated journal name; unknown journals are returned unchanged
+    function abbreviateJournal(name, scheme) {
+        const entry = JOURNALS[normalizeJournal(name)];
+        if (!entry) return name;
+        return scheme === 'iso' ? entry[1] : entry[0];
+    }
+
+    // ==================== Names ====================
+
+    // "Anna Maria" -> "A. M.", "Jean-Luc" -> "J.-L."
+    function initials(given) {
+        if (!given) return '';
+        return given
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(part => part
+                .split('-')
+                .map(piece => piece.charAt(0).toUpperCase() + '.')
+                .join('-'))
+            .join(' ');
+    }
+
+    function lastName(author) {
+        return author.literal || [author.particle, author.family].filter(Boolean).join(' ');
+    }
+
+    // "Berg, A. M." or, without the comma, "Berg A. M."
+    function invertedName(author, separator = ', ') {
+        if (author.literal) return author.literal;
+        const suffix = author.suffix ? `, ${author.suffix}` : '';
+        const given = initials(author.given);
+        return given ? `${lastName(author)}${separator}${given}${suffix}` : lastName(author) + suffix;
+    }
+
+    // Apply an "et al." rule: keep every author up to `max`, otherwise `keep`
+    function truncate(authors, max, keep) {
+        if (authors.length <= max) return { names: authors, etAl: false };
+        return { names: authors.slice(0, keep), etAl: true };
+    }
+
+    // "A, B, & C" (serial) or "A, B & C"
+    function joinNames(names, { conjunction = '&', serialComma = true } = {}) {
+        if (names.length <= 1) return names.join('');
+        const head = names.slice(0, -1).join(', ');
+        return `${head}${serialComma && names.length > 2 ? ',' : ''} ${conjunction} ${names[names.length - 1]}`;
+    }
+
+    // ==================== Shared Pieces ====================
+
+    function firstPage(metadata) {
+        const first = String(metadata.pages || '').split(/\s*[-–—]+\s*/)[0];
+        return first || metadata.articleNumber || null;
+    }
+
+    function pageRange(metadata) {
+        return metadata.pages ? String(metadata.pages).replace(/\s*[-–—]+\s*/, '–') : metadata.articleNumber;
+    }
+
+    function escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Reference pieces are { text, style } where style is 'i', 'b' or null,
+    // so each style builds one list and gets plain text and HTML from it
+    function render(pieces) {
+        const parts = pieces.filter(piece => piece && piece.text);
+        return {
+            text: parts.map(piece => piece.text).join(''),
+            html: parts.map(piece => {
+                const text = escapeHTML(piece.text);
+                return piece.style ? `<${piece.style}>${text}</${piece.style}>` : text;
+            }).join('')
+        };
+    }
+
+    const plain = text => text ? { text: String(text) } : null;
+    const italic = text => text ? { text: String(text), style: 'i' } : null;
+    const bold = text => text ? { text: String(text), style: 'b' } : null;
+
+    function endWithPeriod(text) {
+        return /[.?!]$/.test(text) ? text : `${text}.`;
+    }
+
+    // ==================== Astronomy Styles ====================
+
+    // AAS journals and A&A share one layout; they differ in author truncation
+    // "Berg, A., Smith, J., & Doe, J. 2021, ApJ, 900, 123"
+    function astronomyStyle(maxAuthors, keepAuthors) {
+        return metadata => {
+            const { names, etAl } = truncate(metadata.authors, maxAuthors, keepAuthors);
+            const authorText = etAl
+                ? `${names.map(a => invertedName(a)).join(', ')}, et al.`
+                : joinNames(names.map(a => invertedName(a)));
+
+            const source = metadata.journal
+                ? [abbreviateJournal(metadata.journal, 'aas'), metadata.volume, firstPage(metadata)]
+                : [metadata.arxivID ? `arXiv:${metadata.arxivID}` : metadata.booktitle];
+
+            return render([
+                plain(authorText),
+                plain(metadata.year ? ` ${metadata.year}` : ''),
+                plain(source.filter(Boolean).map(part => `, ${part}`).join('')),
+                plain(metadata.doi ? `, doi: ${metadata.doi}` : '')
+            ]);
+        };
+    }
+
+    // "Berg A., Smith J., Doe J., 2021, MNRAS, 500, 123"
+    function mnras(metadata) {
+        const { names, etAl } = truncate(metadata.authors, 8, 1);
+        const authorText = names.map(a => invertedName(a, ' ')).join(', ') + (etAl ? ' et al.' : '');
+
+        const source = metadata.journal
+            ? [abbreviateJournal(metadata.journal, 'aas'), metadata.volume, firstPage(metadata)]
+            : [metadata.arxivID ? `preprint (arXiv:${metadata.arxivID})` : metadata.booktitle];
+
+        return render([
+            plain(authorText),
+            plain(metadata.year ? `, ${metadata.year}` : ''),
+            plain(source.filter(Boolean).map(part => `, ${part}`).join(''))
+        ]);
+    }
+
+    // ==================== General Styles ====================
+
+    // APA 7: up to 20 authors, then the first 19, an ellipsis and the last
+    function apa(metadata) {
+        const authors = metadata.authors.map(a => invertedName(a));
+        const authorText = authors.length > 20
+            ? `${authors.slice(0, 19).join(', ')}, . . . ${authors[authors.length - 1]}`
+            : joinNames(authors);
+
+        const pieces = [
+            plain(authorText ? `${endWithPeriod(authorText)} ` : ''),
+            plain(`(${metadata.year || 'n.d.'}). `),
+            plain(metadata.title ? `${endWithPeriod(metadata.title)} ` : '')
+        ];
+
+        const container = metadata.journal || metadata.booktitle;
+        if (container) {
+            pieces.push(italic(container));
+            if (metadata.volume) pieces.push(plain(', '), italic(metadata.volume));
+            if (metadata.issue) pieces.push(plain(`(${metadata.issue})`));
+            if (pageRange(metadata)) pieces.push(plain(`, ${pageRange(metadata)}`));
+            pieces.push(plain('. '));
+        } else if (metadata.arxivID) {
+            pieces.push(italic(`arXiv:${metadata.arxivID}`), plain('. '));
+        }
+
+        if (metadata.doi) pieces.push(plain(`https://doi.org/${metadata.doi}`));
+        return trimmed(render(pieces));
+    }
+
+    // Nature: up to five authors, otherwise the first followed by "et al."
+    function nature(metadata) {
+        const { names, etAl } = truncate(metadata.authors, 5, 1);
+        const inverted = names.map(a => invertedName(a));
+        const authorText = etAl
+            ? `${inverted[0]} et al.`
+            : joinNames(inverted, { serialComma: false });
+
+        const pieces = [
+            plain(authorText ? `${endWithPeriod(authorText)} ` : ''),
+            plain(metadata.title ? `${endWithPeriod(metadata.title)} ` : '')
+        ];
+
+        if (metadata.journal) {
+            pieces.push(italic(abbreviateJournal(metadata.journal, 'iso')));
+            if (metadata.volume) pieces.push(plain(' '), bold(metadata.volume));
+            if (pageRange(metadata)) pieces.push(plain(`, ${pageRange(metadata)}`));
+        } else if (metadata.arxivID) {
+            pieces.push(plain(`Preprint at https://arxiv.org/abs/${metadata.arxivID}`));
+        } else if (metadata.booktitle) {
+            pieces.push(plain(`in `), italic(metadata.booktitle));
+        }
+
+        pieces.push(plain(metadata.year ? ` (${metadata.year}).` : '.'));
+        return trimmed(render(pieces));
+    }
+
+    function trimmed(citation) {
+        return { text: citation.text.trim(), html: citation.html.trim() };
+    }
+
+    // ==================== Public API ====================
+
+    const STYLES = [
+        { id: 'aas', label: 'AAS (ApJ, AJ)', format: astronomyStyle(10, 3) },
+        { id: 'mnras', label: 'MNRAS', format: mnras },
+        { id: 'aanda', label: 'A&A', format: astronomyStyle(4, 1) },
+        { id: 'apa', label: 'APA', format: apa },
+        { id: 'nature', label: 'Nature', format: nature }
+    ];
+
+    // Returns { text, html } for the given style id
+    function format(rawMetadata, styleId) {
+        const style = STYLES.find(s => s.id === styleId) || STYLES[0];
+        const metadata = imbib.identifiers.normalizeMetadata(rawMetadata);
+        metadata.authors = imbib.authors.toRecords(metadata.authors);
+        return style.format(metadata);
+    }
+
+    imbib.citations = {
+        styles: STYLES.map(({ id, label }) => ({ id, label })),
+        abbreviateJournal,
+        format
+    };
+})(globalThis);
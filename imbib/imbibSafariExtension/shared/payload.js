@@ -0,0 +1,69 @@
+// payload.js - Lossless import payload for imbib:// URLs
+// `imbib://import?payload=...&encoding=...` carries the full metadata of
+// every item as one JSON document, `{ "version": 1, "items": [...] }`.
+// With `encoding=deflate` the JSON is raw-DEFLATE compressed before it is
+// base64url encoded; browsers without CompressionStream send `encoding=json`
+// and skip the compression.
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib || (root.imbib = {});
+
+    // Bump when the item format changes in a way the app must know about
+    const VERSION = 1;
+
+    function toBase64URL(bytes) {
+        let binary = '';
+        // Chunked: String.fromCharCode takes its bytes as arguments
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    async function deflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // The import document for the given metadata objects: canonical
+    // identifiers and author records, nothing truncated or dropped
+    function importDocument(items) {
+        return {
+            version: VERSION,
+            items: items.map(item => {
+                const metadata = imbib.identifiers.normalizeMetadata(item);
+                if (Array.isArray(metadata.authors)) {
+                    metadata.authors = imbib.authors.toRecords(metadata.authors);
+                }
+                return metadata;
+            })
+        };
+    }
+
+    // Query parameters for imbib://import
+    async function encode(items) {
+        let bytes = new TextEncoder().encode(JSON.stringify(importDocument(items)));
+        let encoding = 'json';
+
+        if (typeof CompressionStream !== 'undefined') {
+            bytes = await deflate(bytes);
+            encoding = 'deflate';
+        }
+
+        return { payload: toBase64URL(bytes), encoding };
+    }
+
+    async function importURL(items) {
+        const params = new URLSearchParams(await encode(items));
+        return `imbib://import?${params.toString()}`;
+    }
+
+    imbib.payload = {
+        VERSION,
+        importDocument,
+        encode,
+        importURL
+    };
+})(globalThis);
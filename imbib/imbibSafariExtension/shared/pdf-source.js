@@ -0,0 +1,56 @@
+// pdf-source.js - Recognise PDF URLs that identify a paper on their own
+// Used by the popup, which often has no content script to talk to on PDF
+// pages, and by the arXiv adapter.
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib || (root.imbib = {});
+
+    // arxiv.org/pdf/2401.00001v2(.pdf) and arxiv.org/pdf/astro-ph/0601001v1(.pdf)
+    const ARXIV_PDF_PATTERN = /^(?:https?:\/\/)?(?:www\.|export\.)?arxiv\.org\/pdf\//i;
+
+    // ui.adsabs.harvard.edu/link_gateway/{bibcode}/{PUB_PDF|EPRINT_PDF|...}
+    const ADS_GATEWAY_PATTERN = /adsabs\.harvard\.edu\/link_gateway\/([^\/?#]+)\/([A-Z_]+)/;
+
+    function fromURL(url) {
+        if (!url) return null;
+
+        const arxiv = ARXIV_PDF_PATTERN.test(url) ? imbib.identifiers.parseArXiv(url) : null;
+        if (arxiv) {
+            // The ID names the paper, the version names what the user is
+            // reading. imbib imports the paper, so the version travels
+            // separately and the PDF URL keeps the exact one opened.
+            return {
+                sourceType: 'arxiv',
+                arxivID: arxiv.id,
+                arxivVersion: arxiv.version,
+                pdfURL: url.split(/[?#]/)[0],
+                fromPDF: true
+            };
+        }
+
+        const gatewayMatch = url.match(ADS_GATEWAY_PATTERN);
+        if (gatewayMatch && gatewayMatch[2].endsWith('PDF')) {
+            const bibcode = imbib.identifiers.normalizeBibcode(gatewayMatch[1]);
+            if (!bibcode) return null;
+            return {
+                sourceType: 'ads',
+                bibcode: bibcode,
+                pdfURL: url,
+                fromPDF: true
+            };
+        }
+
+        return null;
+    }
+
+    function arxivAbstractURL(arxivID) {
+        return `https://arxiv.org/abs/${arxivID}`;
+    }
+
+    imbib.pdfSource = {
+        fromURL,
+        arxivAbstractURL
+    };
+})(globalThis);
@@ -0,0 +1,290 @@
+// ris.js - RIS record writer and reader
+// Tag mapping follows the app's RISBibTeXConverter so records exported here
+// and from imbib itself look the same in other reference managers. EndNote's
+// tagged export is read through the same tags.
+
+(function(root) {
+    'use strict';
+
+    const imbib = root.imbib || (root.imbib = {});
+
+    // BibTeX entry type -> RIS reference type, as RISReferenceType.from(bibTeXType:)
+    // maps them, plus datasets
+    const RIS_TYPES = {
+        article: 'JOUR',
+        book: 'BOOK',
+        incollection: 'CHAP',
+        inbook: 'CHAP',
+        inproceedings: 'CONF',
+        proceedings: 'CONF',
+        phdthesis: 'THES',
+        mastersthesis: 'THES',
+        techreport: 'RPRT',
+        unpublished: 'UNPB',
+        software: 'COMP',
+        dataset: 'DATA',
+        misc: 'GEN'
+    };
+
+    // RIS dates are YYYY/MM/DD/ with empty parts left blank
+    function risDate(metadata) {
+        if (!metadata.year) return null;
+        const pad = n => n ? String(n).padStart(2, '0') : '';
+        return `${metadata.year}/${pad(metadata.month)}/${metadata.month ? pad(metadata.day) : ''}/`;
+    }
+
+    function recordTags(metadata, id) {
+        const tags = [['TY', RIS_TYPES[metadata.entryType || 'article'] || 'GEN']];
+        const add = (tag, value) => {
+            if (value != null && value !== '') tags.push([tag, String(value)]);
+        };
+
+        imbib.authors.toRecords(metadata.authors).forEach(author => add('AU', imbib.authors.sortName(author)));
+        add('TI', metadata.title);
+        add('PY', metadata.year);
+        if (metadata.month) add('DA', risDate(metadata));
+
+        if (metadata.journal) {
+            add('JF', metadata.journal);
+            add('T2', metadata.journal);
+        } else {
+            add('T2', metadata.booktitle);
+        }
+
+        add('VL', metadata.volume);
+        add('IS', metadata.issue);
+
+        const [first, last] = String(metadata.pages || '').split(/\s*[-–—]+\s*/);
+        add('SP', first || metadata.articleNumber);
+        add('EP', last);
+
+        add('DO', metadata.doi);
+        add('AB', metadata.abstract);
+        [].concat(metadata.keywords || []).forEach(keyword => add('KW', keyword));
+        add('UR', metadata.url || metadata.landingURL ||
+                  (metadata.arxivID ? `https://arxiv.org/abs/${metadata.arxivID}` : null));
+        add('PB', metadata.publisher || metadata.institution);
+        add('SN', [].concat(metadata.issn || [])[0] || metadata.isbn);
+        add('LA', metadata.language);
+        add('ID', id || imbib.bibtex.citeKey(metadata));
+        tags.push(['ER', '']);
+
+        return tags;
+    }
+
+    function formatEntry(rawMetadata, id) {
+        const metadata = imbib.identifiers.normalizeMetadata(rawMetadata);
+        return recordTags(metadata, id).map(([tag, value]) => `${tag}  - ${value}`).join('\n');
+    }
+
+    function formatEntries(items) {
+        const ids = imbib.bibtex.uniqueCiteKeys(items);
+        return items.map((item, index) => formatEntry(item, ids[index])).join('\n\n') + '\n';
+    }
+
+    // ==================== Reading ====================
+
+    // RIS reference type -> BibTeX entry type, including the variants
+    // publishers write that the writer above never produces
+    const BIBTEX_TYPES = {
+        ...Object.fromEntries(Object.entries(RIS_TYPES).reverse().map(([bibtex, ris]) => [ris, bibtex])),
+        JOUR: 'article',
+        EJOUR: 'article',
+        MGZN: 'article',
+        CPAPER: 'inproceedings',
+        EBOOK: 'book',
+        ECHAP: 'incollection',
+        UNPUB: 'unpublished'
+    };
+
+    // Tags whose values are read the same way, first tag winning
+    const TEXT_TAGS = {
+        title: ['TI', 'T1', 'CT'],
+        journal: ['JF', 'JO', 'T2', 'JA', 'J2'],
+        volume: ['VL'],
+        issue: ['IS', 'CP'],
+        doi: ['DO'],
+        abstract: ['AB', 'N2'],
+        url: ['UR', 'L2'],
+        publisher: ['PB'],
+        language: ['LA'],
+        citeKey: ['ID']
+    };
+
+    // Whether a date says the same as another, only more precisely
+    function refines(date, other) {
+        if (date.year !== other.year) return false;
+        if (!other.month) return Boolean(date.month);
+        return date.month === other.month && Boolean(date.day) && !other.day;
+    }
+
+    // "2021/03/04/", "2021///" or a plain year. PY often holds only the
+    // year that DA spells out, so a later, more precise value wins.
+    function recordDate(values) {
+        let best = null;
+        for (const value of values) {
+            const date = imbib.dates.parseDate(String(value).replace(/\/+$/, ''));
+            if (date && (!best || refines(date, best))) best = date;
+        }
+        return best;
+    }
+
+    function recordMetadata(tags) {
+        const all = tag => tags.filter(([name]) => name === tag).map(([, value]) => value);
+        const first = (...names) => names.map(name => all(name)[0]).find(Boolean) || null;
+
+        const entryType = BIBTEX_TYPES[first('TY')] || 'misc';
+        const metadata = { entryType };
+        for (const [field, names] of Object.entries(TEXT_TAGS)) {
+            metadata[field] = first(...names);
+        }
+
+        // Books and chapters name their container in T2 / BT, not a journal
+        if (entryType !== 'article') {
+            metadata.booktitle = first('BT', 'T2');
+            metadata.journal = first('JF', 'JO', 'JA');
+        }
+        if (entryType === 'phdthesis' || entryType === 'techreport') {
+            metadata.institution = metadata.publisher;
+            metadata.publisher = null;
+        }
+
+        metadata.authors = [...all('AU'), ...all('A1')].map(imbib.authors.parseName).filter(Boolean);
+
+        const start = first('SP');
+        const end = first('EP');
+        if (start && /[-–]/.test(start)) {
+            metadata.pages = start.replace(/\s*[-–]+\s*/, '-');
+        } else if (start && end) {
+            metadata.pages = `${start}-${end}`;
+        } else if (start) {
+            // A start page without an end is usually an article number (e.g. "A12")
+            metadata.articleNumber = start;
+        }
+
+        // SN holds ISSNs for serials and ISBNs for books, sometimes several
+        const serials = all('SN').flatMap(value => value.split(/[\s,;]+/)).filter(Boolean);
+        metadata.issn = serials.filter(value => /^\d{4}-?\d{3}[\dX]$/i.test(value));
+        metadata.isbn = serials.find(value => !metadata.issn.includes(value)) || null;
+        metadata.keywords = all('KW');
+
+        const printDate = recordDate(all('PY').concat(all('Y1'), all('DA')));
+        return imbib.dates.applyDates(metadata, { printDate });
+    }
+
+    // Every record in an RIS file as a metadata object
+    function parse(text) {
+        const records = [];
+        let tags = null;
+
+        for (const line of String(text || '').split(/\r?\n/)) {
+            const match = line.match(/^([A-Z][A-Z0-9])  -(?: (.*))?$/);
+            if (!match) {
+                // Continuation lines belong to the previous tag's value
+                if (tags?.length && line.trim()) {
+                    tags[tags.length - 1][1] += ` ${line.trim()}`;
+                }
+                continue;
+            }
+
+            const [, tag, value = ''] = match;
+            if (tag === 'TY') {
+                tags = [];
+            } else if (tag === 'ER') {
+                if (tags) records.push(recordMetadata(tags));
+                tags = null;
+                continue;
+            }
+            if (tags) tags.push([tag, value.trim()]);
+        }
+
+        return records;
+    }
+
+    // ==================== EndNote ====================
+
+    // EndNote tagged ("refer") fields -> the RIS tags read above
+    const ENDNOTE_TAGS = {
+        A: 'AU',
+        T: 'TI',
+        J: 'JF',
+        B: 'T2',
+        V: 'VL',
+        N: 'IS',
+        P: 'SP',
+        D: 'PY',
+        8: 'DA',
+        R: 'DO',
+        X: 'AB',
+        K: 'KW',
+        U: 'UR',
+        I: 'PB',
+        '@': 'SN',
+        G: 'LA',
+        F: 'ID'
+    };
+
+    // EndNote reference type names (%0) -> RIS reference types
+    const ENDNOTE_TYPES = {
+        'journal article': 'JOUR',
+        'electronic article': 'EJOUR',
+        'magazine article': 'MGZN',
+        'book': 'BOOK',
+        'edited book': 'BOOK',
+        'book section': 'CHAP',
+        'conference proceedings': 'CONF',
+        'conference paper': 'CPAPER',
+        'thesis': 'THES',
+        'report': 'RPRT',
+        'unpublished work': 'UNPB',
+        'computer program': 'COMP',
+        'dataset': 'DATA'
+    };
+
+    // Every record in an EndNote .enw file as a metadata object. Records
+    // start at %0 (or the first tag) and end at a blank line.
+    function parseEndNote(text) {
+        const records = [];
+        let tags = null;
+        let current = null;
+
+        const finish = () => {
+            if (tags?.length > 1) records.push(recordMetadata(tags));
+            tags = null;
+            current = null;
+        };
+
+        for (const line of String(text || '').split(/\r?\n/)) {
+            const match = line.match(/^%(\S)(?:\s+(.*))?$/);
+            if (!match) {
+                if (!line.trim()) {
+                    finish();
+                } else if (current) {
+                    current[1] += ` ${line.trim()}`;
+                }
+                continue;
+            }
+
+            const [, tag, value = ''] = match;
+            if (tag === '0') {
+                finish();
+                tags = [['TY', ENDNOTE_TYPES[value.trim().toLowerCase()] || 'GEN']];
+                continue;
+            }
+
+            if (!tags) tags = [['TY', 'GEN']];
+            current = ENDNOTE_TAGS[tag] ? [ENDNOTE_TAGS[tag], value.trim()] : null;
+            if (current) tags.push(current);
+        }
+        finish();
+
+        return records;
+    }
+
+    imbib.ris = {
+        formatEntry,
+        formatEntries,
+        parse,
+        parseEndNote
+    };
+})(globalThis);